@@ -0,0 +1,574 @@
+#!/usr/bin/env node
+// With --json stdout carries only the result: logs, including those printed while modules load, go to stderr
+if (process.argv.includes('--json')) {
+    console.log = console.error;
+    console.info = console.error;
+}
+// Load .env before any service module: several of them read their settings when they are first required
+require('dotenv').config();
+
+const path = require('path');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const pipeline = require('./src/services/pipeline');
+const analysisService = require('./src/services/analysis');
+const highlightReel = require('./src/services/highlightReel');
+const timelineExport = require('./src/services/timelineExport');
+
+// Command line entry point. Runs the same pipeline as the server (src/services/pipeline.js),
+// with the same cache files next to each video and the same clip names in the output folder.
+const USAGE = `Usage: node cli.js <command> <video|folder|glob>... [options]
+
+Commands:
+  process         Run every stage and render the selected clips
+  transcribe      Remove silences and transcribe (stops before the analysis)
+  analyze         Transcribe, analyze and select clips, without rendering
+  render          Render the clips of an already analyzed video
+  clip            Cut one clip picked by transcript text (--from-text, --to-text)
+  silence-report  Dry run of the silence removal: silences found and time saved, nothing is cut
+  export          Write the clips of an analyzed video as editor timelines (--format, default all)
+  reel            Build one highlight reel from the best clips of the videos (analyzes them first)
+  list            List the videos of a folder with their cache and clip status
+  clean-cache     Delete the cache files of the videos (--clips deletes rendered clips too)
+
+Options:
+  --output-dir <dir>         Folder for rendered clips (default: ${pipeline.DEFAULT_OUTPUT_DIR})
+  --profile <name>           Output profile / aspect ratio (9:16, 4:5, 1:1, 16:9)
+  --framing <mode>           Framing mode for the profile
+  --captions <preset>        Burn in captions with this preset
+  --caption-language <code>  Burn in the captions translated to this language (e.g. en), needs --captions
+  --source <clean|original>  Cut clips from the clean video or the original recording
+  --encoding <preset>        Encoding preset: upload (default), archive, preview
+  --loudness <target>        Loudness target: youtube (default), tiktok, podcast, ebu, off
+  --highpass <hz>            High-pass filter on the voice (e.g. 80)
+  --denoise                  Reduce background hiss
+  --compressor               Even out the voice level
+  --fade <s>                 Audio fade in/out at the clip edges (default 0.1)
+  --music <track|random>     Mix a music bed from the music library, ducked under speech
+  --music-volume <dB>        Music bed level (default -20)
+  --branding <template>      Branding template from branding/ (hook title, logo, progress bar, intro/outro)
+  --analysis-profile <name>  Prompt profile used by the analysis
+  --language <code|auto>     Spoken language of the videos for the transcription (default auto = detected)
+  --prompt-language <code>   Language the analysis writes titles and copy in (default: the profile's)
+  --translate <codes>        Subtitles per clip in these languages, e.g. en,es (repeatable)
+  --skip-metadata            No publishing metadata (titles, hooks, description, hashtags) per clip
+  --thumbnails <n>           Cover frame candidates per clip (default 3, 0 = none)
+  --thumbnail-title          Draw the first title option on the cover frames
+  --max-clips <n>            Keep at most n clips
+  --min-score <n>            Drop clips scored below n
+  --skip-silence-removal     Work on the original video (caches get a "_full" suffix)
+  --silence-mode <mode>      "remove" cuts silences, "shorten" keeps --keep-silence-ms of each
+  --silence-threshold <dB>   Silence threshold in dB (e.g. -30) or "auto" (from the mean loudness)
+  --min-silence <s>          Shortest pause treated as silence
+  --silence-padding <s>      Audio kept around each cut
+  --keep-silence-ms <ms>     Pause left in place of each silence with --silence-mode shorten
+  --trim-in-clips            Leave the video uncut, trim silences inside each rendered clip only
+  --clean-preset <preset>    x264 preset of the silence-free video (default veryfast)
+  --clean-crf <n>            x264 CRF of the silence-free video (default 18)
+  --force <stage>            Run a stage again even when cached (repeatable): ${pipeline.STAGES.join(', ')}
+  --parallel <n>             Videos processed at the same time (default 1)
+  --target-duration <s>      Reel: longest reel in seconds (title cards and transitions included)
+  --transition <type>        Reel: cut (default) or crossfade
+  --transition-duration <s>  Reel: crossfade length (default 0.5)
+  --title-cards              Reel: show each clip's title on a card before it
+  --order <order>            Reel: chronological (default) or score
+  --name <name>              Reel: output name (highlights_<name>.mp4)
+  --format <format>          Export: edl, fcpxml or xmeml (repeatable)
+  --json                     Print a machine-readable result on stdout (logs go to stderr)
+  --from-text, --to-text, --padding <s>, --occurrence <n>, --title   Options of "clip"
+  --clips                    With clean-cache: delete the rendered clips too
+  -h, --help                 Show this help`;
+
+const COMMANDS = ['process', 'transcribe', 'analyze', 'render', 'clip', 'silence-report', 'export', 'reel', 'list', 'clean-cache'];
+// Last pipeline stage of each command
+const UNTIL = { process: 'render', transcribe: 'transcription', analyze: 'selection', render: 'render' };
+
+const OPTIONS = {
+    'output-dir': { type: 'string' },
+    profile: { type: 'string' },
+    framing: { type: 'string' },
+    captions: { type: 'string' },
+    source: { type: 'string' },
+    encoding: { type: 'string' },
+    loudness: { type: 'string' },
+    highpass: { type: 'string' },
+    denoise: { type: 'boolean' },
+    compressor: { type: 'boolean' },
+    fade: { type: 'string' },
+    music: { type: 'string' },
+    'music-volume': { type: 'string' },
+    branding: { type: 'string' },
+    'analysis-profile': { type: 'string' },
+    language: { type: 'string' },
+    'prompt-language': { type: 'string' },
+    translate: { type: 'string', multiple: true },
+    'caption-language': { type: 'string' },
+    'skip-metadata': { type: 'boolean' },
+    thumbnails: { type: 'string' },
+    'thumbnail-title': { type: 'boolean' },
+    'max-clips': { type: 'string' },
+    'min-score': { type: 'string' },
+    'skip-silence-removal': { type: 'boolean' },
+    'silence-mode': { type: 'string' },
+    'silence-threshold': { type: 'string' },
+    'min-silence': { type: 'string' },
+    'silence-padding': { type: 'string' },
+    'keep-silence-ms': { type: 'string' },
+    'trim-in-clips': { type: 'boolean' },
+    'clean-preset': { type: 'string' },
+    'clean-crf': { type: 'string' },
+    force: { type: 'string', multiple: true },
+    parallel: { type: 'string' },
+    json: { type: 'boolean' },
+    'from-text': { type: 'string' },
+    'to-text': { type: 'string' },
+    padding: { type: 'string' },
+    occurrence: { type: 'string' },
+    title: { type: 'string' },
+    clips: { type: 'boolean' },
+    'target-duration': { type: 'string' },
+    transition: { type: 'string' },
+    'transition-duration': { type: 'string' },
+    'title-cards': { type: 'boolean' },
+    order: { type: 'string' },
+    name: { type: 'string' },
+    format: { type: 'string', multiple: true },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Helper: Error for bad usage, printed with the usage text
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+// Helper: Does a path segment contain glob characters?
+function isGlob(value) {
+    return /[*?[]/.test(value);
+}
+
+// Helper: Simple glob (*, ?, [abc]) for one filename, turned into a RegExp
+function globToRegExp(pattern) {
+    const source = pattern.replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+// Expand the input arguments into a list of source videos.
+// A folder adds its videos, a glob matches filenames in its folder ("videos/*.mp4"), anything else is a file.
+function expandInputs(inputs) {
+    const videos = [];
+    inputs.forEach(input => {
+        const resolved = path.resolve(input);
+        if (isGlob(path.basename(input))) {
+            const dir = path.dirname(resolved);
+            if (isGlob(dir)) {
+                throw usageError(`Only the filename may contain a glob pattern: ${input}`);
+            }
+            const pattern = globToRegExp(path.basename(input));
+            const matches = fs.existsSync(dir)
+                ? fs.readdirSync(dir).filter(file => pattern.test(file) && pipeline.isSourceVideo(file)).sort()
+                : [];
+            if (matches.length === 0) {
+                throw usageError(`No videos match ${input}`);
+            }
+            matches.forEach(file => videos.push(path.join(dir, file)));
+        } else if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+            fs.readdirSync(resolved)
+                .filter(file => pipeline.isSourceVideo(file))
+                .sort()
+                .forEach(file => videos.push(path.join(resolved, file)));
+        } else if (fs.existsSync(resolved)) {
+            videos.push(resolved);
+        } else {
+            throw usageError(`File not found: ${resolved}`);
+        }
+    });
+    return Array.from(new Set(videos));
+}
+
+// Helper: Positive integer option
+function parseCount(value, name, fallback) {
+    if (value === undefined) return fallback;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1) {
+        throw usageError(`--${name} must be a whole number >= 1`);
+    }
+    return count;
+}
+
+// Silence flags -> silence settings (see src/services/silence.js), only the ones given
+const SILENCE_FLAGS = {
+    'silence-mode': 'mode',
+    'silence-threshold': 'threshold',
+    'min-silence': 'minSilenceDuration',
+    'silence-padding': 'padding',
+    'keep-silence-ms': 'keepSilenceMs',
+    'clean-preset': 'preset',
+    'clean-crf': 'crf'
+};
+
+// Helper: Silence settings from the flags, undefined when none was given
+function buildSilenceOptions(values) {
+    const silence = {};
+    Object.entries(SILENCE_FLAGS).forEach(([flag, key]) => {
+        if (values[flag] !== undefined) silence[key] = values[flag];
+    });
+    if (values['trim-in-clips']) silence.apply = 'clips';
+    if (Object.keys(silence).length === 0) return undefined;
+    try {
+        return pipeline.validateSilenceOptions(silence);
+    } catch (error) {
+        throw usageError(error.message);
+    }
+}
+
+// Helper: Audio chain settings from the flags, undefined when none was given
+function buildAudioOptions(values) {
+    const audio = {};
+    if (values.loudness !== undefined) audio.loudness = values.loudness;
+    if (values.highpass !== undefined) audio.highpass = values.highpass;
+    if (values.denoise) audio.denoise = true;
+    if (values.compressor) audio.compressor = true;
+    if (values.fade !== undefined) {
+        audio.fadeIn = values.fade;
+        audio.fadeOut = values.fade;
+    }
+    if (values.music !== undefined) {
+        audio.music = { track: values.music };
+        if (values['music-volume'] !== undefined) audio.music.volumeDb = values['music-volume'];
+    } else if (values['music-volume'] !== undefined) {
+        throw usageError('--music-volume needs --music.');
+    }
+    return Object.keys(audio).length > 0 ? audio : undefined;
+}
+
+// Helper: Publishing metadata settings from the flags, undefined when none was given
+function buildMetadataOptions(values) {
+    const metadata = {};
+    if (values['skip-metadata']) metadata.enabled = false;
+    if (values.thumbnails !== undefined) metadata.thumbnails = values.thumbnails;
+    if (values['thumbnail-title']) metadata.thumbnailTitle = true;
+    if (Object.keys(metadata).length === 0) return undefined;
+    try {
+        return pipeline.validateMetadataOptions(metadata);
+    } catch (error) {
+        throw usageError(error.message);
+    }
+}
+
+// Helper: Subtitle translation settings from the flags, undefined when none was given
+function buildTranslationOptions(values) {
+    if (!values.translate) return undefined;
+    try {
+        return pipeline.validateTranslationOptions({ languages: values.translate.flatMap(value => value.split(',')) });
+    } catch (error) {
+        throw usageError(error.message);
+    }
+}
+
+// Turn the parsed flags into runPipeline options (validated like the server does)
+function buildPipelineOptions(values) {
+    if (values['caption-language'] && !values.captions) {
+        throw usageError('--caption-language needs --captions.');
+    }
+    const renderOptions = {
+        profile: values.profile,
+        framing: values.framing,
+        captions: values.captions ? {
+            preset: values.captions,
+            ...(values['caption-language'] ? { language: values['caption-language'] } : {})
+        } : undefined,
+        source: values.source,
+        encoding: values.encoding,
+        audio: buildAudioOptions(values),
+        branding: values.branding
+    };
+    const selection = {};
+    if (values['max-clips'] !== undefined) selection.maxClips = values['max-clips'];
+    if (values['min-score'] !== undefined) selection.minScore = values['min-score'];
+    (values.force || []).forEach(stage => {
+        if (!pipeline.STAGES.includes(stage)) {
+            throw usageError(`Unknown stage "${stage}" for --force. Use one of: ${pipeline.STAGES.join(', ')}`);
+        }
+    });
+    const analysisOptions = {
+        profile: values['analysis-profile'],
+        overrides: values['prompt-language'] ? { language: values['prompt-language'] } : {},
+        ...(Object.keys(selection).length > 0 ? { selection } : {})
+    };
+
+    return {
+        renderOptions: pipeline.validateRenderOptions(renderOptions),
+        analysisOptions: pipeline.validateAnalysisOptions(analysisOptions),
+        outputDir: values['output-dir'],
+        skipSilenceRemoval: !!values['skip-silence-removal'],
+        silence: buildSilenceOptions(values),
+        metadata: buildMetadataOptions(values),
+        language: values.language ? pipeline.validateLanguage(values.language) : undefined,
+        translation: buildTranslationOptions(values),
+        force: values.force || []
+    };
+}
+
+// Reel flags -> highlight reel options (see src/services/highlightReel.js), only the ones given
+const REEL_FLAGS = {
+    'max-clips': 'maxClips',
+    'min-score': 'minScore',
+    'target-duration': 'targetDuration',
+    transition: 'transition',
+    'transition-duration': 'transitionDuration',
+    order: 'order',
+    name: 'name'
+};
+
+// Helper: Highlight reel options from the flags (validated)
+function buildReelOptions(values) {
+    const reel = {};
+    Object.entries(REEL_FLAGS).forEach(([flag, key]) => {
+        if (values[flag] !== undefined) reel[key] = values[flag];
+    });
+    if (values['title-cards']) reel.titleCards = true;
+    try {
+        highlightReel.resolveReelOptions(reel);
+    } catch (error) {
+        throw usageError(error.message);
+    }
+    return reel;
+}
+
+// Helper: Run worker over items with at most `parallel` running at once, results keep the item order
+async function runBatch(items, parallel, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(parallel, items.length) }, async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await worker(items[i]);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+// Run the pipeline (up to the command's last stage) for one video
+async function runVideo(command, videoPath, options) {
+    if (command === 'render' && !pipeline.loadClipContext(videoPath, options)) {
+        throw new Error(`${path.basename(videoPath)} has not been analyzed yet, run "analyze" or "process" first.`);
+    }
+    return pipeline.runPipeline(videoPath, { ...options, until: UNTIL[command] });
+}
+
+// Cut one clip picked by transcript text. Transcribes first when needed.
+async function runTextClip(videoPath, options, values) {
+    await pipeline.runPipeline(videoPath, { ...options, until: 'transcription' });
+
+    // The manual clip joins the video's clip set, a later "process" keeps it
+    const paths = pipeline.getVideoPaths(videoPath, options);
+    if (!fs.existsSync(paths.analysisCachePath)) {
+        analysisService.saveAnalysisCache(paths.analysisCachePath, { moments: {}, failedChunks: [] });
+    }
+    const clipContext = pipeline.loadClipContext(videoPath, options);
+    const { key } = pipeline.addTextClip(clipContext, {
+        fromText: values['from-text'],
+        toText: values['to-text'],
+        padding: values.padding,
+        occurrence: values.occurrence,
+        titulo: values.title
+    });
+    const { clips } = await pipeline.rerenderClip({
+        videoPath,
+        key,
+        renderOptions: options.renderOptions,
+        pipelineOptions: options
+    });
+    return { message: 'Clip rendered successfully', video: videoPath, clips };
+}
+
+// Write the editor timelines of an analyzed video next to its clips
+function exportVideo(videoPath, options, formats) {
+    const clipContext = pipeline.loadClipContext(videoPath, options);
+    if (!clipContext) {
+        throw new Error(`${path.basename(videoPath)} has not been analyzed yet, run "analyze" or "process" first.`);
+    }
+    fs.mkdirSync(clipContext.outputDir, { recursive: true });
+    const files = formats.map(format => {
+        const exported = timelineExport.exportTimeline(clipContext, format);
+        const file = path.join(clipContext.outputDir, exported.filename);
+        fs.writeFileSync(file, exported.content);
+        console.log(`Exported ${exported.clipCount} clip(s) to ${file}`);
+        return file;
+    });
+    return { video: videoPath, files };
+}
+
+// Analyze every video (cached stages are reused), then build one reel from their best clips
+async function runReel(videos, options, reel, parallel) {
+    await runBatch(videos, parallel, video => runVideo('analyze', video, options));
+    const result = await highlightReel.buildHighlightReel(
+        videos.map(videoPath => ({ videoPath, pipelineOptions: options })),
+        { ...reel, renderOptions: options.renderOptions, outputDir: options.outputDir }
+    );
+    return { video: result.reel.path, ...result };
+}
+
+// Cache and render status of one video
+function describeVideo(videoPath, options) {
+    return {
+        video: videoPath,
+        caches: Object.keys(pipeline.getCacheFiles(videoPath, options)),
+        renderedClips: pipeline.getRenderedFiles(videoPath, options).filter(file => file.endsWith('.mp4')).length
+    };
+}
+
+// Delete the cache files (and with --clips the rendered clips) of one video
+function cleanVideo(videoPath, options, withClips) {
+    const files = Object.values(pipeline.getCacheFiles(videoPath, options));
+    if (withClips) files.push(...pipeline.getRenderedFiles(videoPath, options));
+    files.forEach(file => {
+        console.log(`Deleting ${file}`);
+        fs.unlinkSync(file);
+    });
+    return { video: videoPath, deleted: files };
+}
+
+// Helper: Human-readable lines for one result
+function printResult(command, result) {
+    const name = path.basename(result.video);
+    if (result.error) {
+        process.stdout.write(`✗ ${name}: ${result.error}\n`);
+    } else if (command === 'list') {
+        const caches = result.caches.length > 0 ? result.caches.join(', ') : 'no cache';
+        process.stdout.write(`${name}  [${caches}]  ${result.renderedClips} clip(s)\n`);
+    } else if (command === 'clean-cache') {
+        process.stdout.write(`${name}: deleted ${result.deleted.length} file(s)\n`);
+    } else if (command === 'silence-report') {
+        const { report } = result;
+        const threshold = report.settings.threshold === 'auto'
+            ? `${report.threshold} dB (auto, mean ${report.meanVolume} dB)`
+            : `${report.threshold} dB`;
+        process.stdout.write(`✓ ${name}: ${report.silences.length} silence(s) at ${threshold}, `
+            + `${report.keptDuration}s of ${report.originalDuration}s kept, ${report.savedSeconds}s saved (${report.savedPercent}%)\n`);
+    } else if (command === 'export') {
+        process.stdout.write(`✓ ${name}: ${result.files.join(', ')}\n`);
+    } else if (command === 'reel') {
+        process.stdout.write(`✓ ${name}: ${result.clips.length} clip(s), ${result.reel.duration}s -> ${result.reel.path}\n`);
+        result.chapters.forEach(chapter => {
+            process.stdout.write(`    ${chapter.timestamp}  ${chapter.title}\n`);
+        });
+        process.stdout.write(`    chapters: ${result.reel.chaptersPath}\n`);
+        (result.outputIssues || []).forEach(issue => {
+            process.stdout.write(`    ! ${issue.name} output check: ${issue.issues.join('; ')}\n`);
+        });
+    } else if (command === 'transcribe') {
+        process.stdout.write(`✓ ${name}: ${result.cueCount} cues${result.language ? ` (${result.language})` : ''} -> ${result.transcriptionPath}\n`);
+    } else {
+        process.stdout.write(`✓ ${name}: ${result.clips.length} clip(s)${result.language ? ` (spoken language: ${result.language})` : ''}\n`);
+        result.clips.forEach(clip => {
+            const where = clip.path || `${clip.start}s - ${clip.end}s`;
+            process.stdout.write(`    ${clip.rank ? `#${clip.rank} ` : ''}${clip.name}  ${clip.titulo || ''}  ${where}\n`);
+            if (clip.sidecar) {
+                process.stdout.write(`        metadata: ${clip.sidecar}${clip.metadata && clip.metadata.error ? ` (copy failed: ${clip.metadata.error})` : ''}\n`);
+            }
+            Object.entries(clip.translations || {}).forEach(([code, files]) => {
+                process.stdout.write(`        ${code}: ${files.join(', ')}\n`);
+            });
+            Object.entries(clip.translationErrors || {}).forEach(([code, error]) => {
+                process.stdout.write(`        ! ${code} translation failed: ${error}\n`);
+            });
+        });
+        if (result.failedChunks && result.failedChunks.length > 0) {
+            process.stdout.write(`    ! analysis failed for chunk(s) ${result.failedChunks.map(c => c.chunk).join(', ')}\n`);
+        }
+        (result.outputIssues || []).forEach(issue => {
+            process.stdout.write(`    ! ${issue.name} output check: ${issue.issues.join('; ')}\n`);
+        });
+    }
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...inputs] = positionals;
+    if (values.help || !command) {
+        process.stdout.write(`${USAGE}\n`);
+        return values.help ? 0 : 1;
+    }
+    if (!COMMANDS.includes(command)) {
+        throw usageError(`Unknown command "${command}".`);
+    }
+
+    if (command === 'clip') {
+        if (!values['from-text']) throw usageError('"clip" needs --from-text.');
+        if (inputs.length !== 1) throw usageError('"clip" takes exactly one video.');
+    } else if (values['from-text'] || values['to-text'] || values.padding || values.occurrence || values.title) {
+        throw usageError('--from-text, --to-text, --padding, --occurrence and --title belong to the "clip" command.');
+    }
+    const reelOnly = ['target-duration', 'transition', 'transition-duration', 'title-cards', 'order', 'name'];
+    if (command !== 'reel' && reelOnly.some(flag => values[flag] !== undefined)) {
+        throw usageError('--target-duration, --transition, --transition-duration, --title-cards, --order and --name belong to the "reel" command.');
+    }
+
+    const options = buildPipelineOptions(values);
+    const reel = command === 'reel' ? buildReelOptions(values) : null;
+    const formats = values.format || Object.keys(timelineExport.EXPORT_FORMATS);
+    formats.forEach(format => {
+        if (!timelineExport.EXPORT_FORMATS[format]) {
+            throw usageError(`Unknown timeline format "${format}". Use one of: ${Object.keys(timelineExport.EXPORT_FORMATS).join(', ')}`);
+        }
+    });
+    if (values.format && command !== 'export') {
+        throw usageError('--format belongs to the "export" command.');
+    }
+    const parallel = parseCount(values.parallel, 'parallel', 1);
+    const videos = expandInputs(inputs.length > 0 ? inputs : (command === 'list' ? ['videos'] : []));
+    if (videos.length === 0) {
+        throw usageError(inputs.length > 0 ? 'No videos found.' : `"${command}" needs at least one video, folder or glob.`);
+    }
+
+    let results;
+    if (command === 'list') {
+        results = videos.map(video => describeVideo(video, options));
+    } else if (command === 'clean-cache') {
+        results = videos.map(video => cleanVideo(video, options, !!values.clips));
+    } else if (command === 'reel') {
+        try {
+            results = [await runReel(videos, options, reel, parallel)];
+        } catch (error) {
+            console.error('Error building the highlight reel:', error.message);
+            results = [{ video: 'highlight reel', error: error.message }];
+        }
+    } else {
+        results = await runBatch(videos, parallel, async (video) => {
+            try {
+                if (command === 'clip') return await runTextClip(video, options, values);
+                if (command === 'silence-report') return await pipeline.silenceReport(video, options.silence);
+                if (command === 'export') return exportVideo(video, options, formats);
+                return await runVideo(command, video, options);
+            } catch (error) {
+                console.error(`Error processing ${video}:`, error.message);
+                return { video, error: error.message };
+            }
+        });
+    }
+
+    if (values.json) {
+        process.stdout.write(`${JSON.stringify({ command, results }, null, 2)}\n`);
+    } else {
+        results.forEach(result => printResult(command, result));
+    }
+    return results.some(result => result.error) ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(error.message);
+            if (error.usage || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+                console.error(`\n${USAGE}`);
+            }
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { main };
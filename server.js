@@ -1,160 +1,414 @@
-// FIX: Disable SSL verification to avoid EPROTO errors on some local Windows networks
-process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
-
-
+// Load .env before any service module: several of them read their settings when they are first required
+require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const transcriptionService = require('./src/services/transcription');
 const analysisService = require('./src/services/analysis');
-const videoProcessor = require('./src/services/videoProcessor');
-require('dotenv').config();
+const jobQueue = require('./src/services/jobQueue');
+const outputProfiles = require('./src/services/outputProfiles');
+const captions = require('./src/services/captions');
+const encodingPresets = require('./src/services/encodingPresets');
+const audioChain = require('./src/services/audioChain');
+const branding = require('./src/services/branding');
+const promptTemplates = require('./src/services/promptTemplates');
+const textClips = require('./src/services/textClips');
+const pipeline = require('./src/services/pipeline');
+const highlightReel = require('./src/services/highlightReel');
+const timelineExport = require('./src/services/timelineExport');
+const clipMetadata = require('./src/services/clipMetadata');
+const languages = require('./src/services/languages');
+const watchFolder = require('./src/services/watchFolder');
+const library = require('./src/services/library');
+const zipArchive = require('./src/services/zipArchive');
+const security = require('./src/services/security');
+
+// Certificates are verified unless ALLOW_INSECURE_TLS=true: some Windows networks (intercepting proxies) fail
+// with EPROTO otherwise. Opt in only on such a network, it turns verification off for every outgoing call.
+if (process.env.ALLOW_INSECURE_TLS === 'true') {
+    process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
+    console.warn('ALLOW_INSECURE_TLS=true: TLS certificate verification is OFF for outgoing requests.');
+}
 
 const app = express();
-const port = 3000;
+const port = parseInt(process.env.PORT, 10) || 3000;
+const VIDEOS_DIR = path.join(__dirname, 'videos');
+
+// Multer does not create the folder when the destination is a function
+fs.mkdirSync('uploads', { recursive: true });
 
-// Configure Multer
+// Configure Multer: one video file per request, stored under a random name (nothing from the client ends up in the path)
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
         cb(null, 'uploads/');
     },
     filename: (req, file, cb) => {
-        cb(null, Date.now() + path.extname(file.originalname));
+        cb(null, security.uploadFilename(file.originalname));
     }
 });
-const upload = multer({ storage: storage });
+const upload = multer({
+    storage: storage,
+    limits: { fileSize: security.DEFAULTS.uploadMaxBytes, files: 1, fields: 50 },
+    fileFilter: (req, file, cb) => {
+        if (!security.uploadFilename(file.originalname)) {
+            return cb(new Error(`Only video files are accepted (${pipeline.VIDEO_EXTENSIONS.join(', ')}).`));
+        }
+        cb(null, true);
+    }
+});
+
+// Helper: Multer upload answering 413/400 itself when the file is too big or not a video
+function acceptUpload(field) {
+    const single = upload.single(field);
+    return (req, res, next) => single(req, res, (error) => {
+        if (!error) return next();
+        if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).send(`File too large (limit ${+(security.DEFAULTS.uploadMaxBytes / 1048576).toFixed(2)} MB).`);
+        }
+        res.status(400).send(error.message);
+    });
+}
 
+// Helper: Path of a library video from a request's filename, null when it points outside 'videos'
+function libraryPath(filename) {
+    return security.resolveInside(VIDEOS_DIR, filename);
+}
+
+// Token or basic auth on every route when AUTH_TOKEN or AUTH_USER/AUTH_PASSWORD are set (see security.js)
+app.use(security.requireAuth());
 app.use(express.static('public'));
 app.use(express.json());
 
-// Helper function for processing logic
-async function processVideoPipeline(videoPath, res) {
-    try {
-        console.log(`[1/5] Processing started for: ${videoPath}`);
-        const baseName = path.basename(videoPath, path.extname(videoPath));
-        const outputDir = path.dirname(videoPath);
-
-        // CHECKPOINT 1: Silence Removal (Preprocessing)
-        const cleanVideoPath = videoPath.replace(path.extname(videoPath), '_clean.mp4');
-        if (fs.existsSync(cleanVideoPath)) {
-            console.log('[1/5] Found pre-processed video, skipping silence removal.');
-        } else {
-            console.log('[1/5] Removing silence from video (Preprocessing)...');
-            await videoProcessor.removeSilence(videoPath, cleanVideoPath);
-        }
+// Media for the review screen. express.static answers HTTP Range requests, so the browser can seek in long videos.
+const MEDIA_DIRS = {
+    output: path.resolve(pipeline.DEFAULT_OUTPUT_DIR),
+    videos: VIDEOS_DIR,
+    uploads: path.resolve('uploads')
+};
+Object.entries(MEDIA_DIRS).forEach(([name, dir]) => app.use(`/media/${name}`, express.static(dir)));
 
-        // Use the clean video for subsequent steps
-        const workingVideoPath = cleanVideoPath;
-
-        // CHECKPOINT 2: Transcription
-        const transcriptionCachePath = path.join(outputDir, `${baseName}_transcription.json`);
-        let transcription;
-
-        if (fs.existsSync(transcriptionCachePath)) {
-            console.log('[2/5] & [3/5] Found existing transcription, loading from cache...');
-            transcription = JSON.parse(fs.readFileSync(transcriptionCachePath, 'utf8'));
-        } else {
-            // Step 1: Extract Audio
-            console.log('[2/5] Extracting audio from clean video...');
-            const audioPath = workingVideoPath.replace(path.extname(workingVideoPath), '.mp3');
-            await videoProcessor.extractAudio(workingVideoPath, audioPath);
-
-            // Step 2: Transcription
-            console.log('[3/5] Starting transcription...');
-            const rawTranscription = await transcriptionService.transcribeAudio(audioPath);
-            console.log('Transcription complete.');
-
-            // Normalize transcription
-            transcription = rawTranscription;
-            fs.writeFileSync(transcriptionCachePath, JSON.stringify(transcription, null, 2));
-
-            // Clean up audio file
-            try {
-                fs.unlinkSync(audioPath);
-            } catch (e) {
-                console.warn('Could not delete temp audio file:', e);
-            }
-        }
+// Helper: Multipart uploads send nested objects as JSON strings
+function parseJsonField(value) {
+    if (typeof value === 'string') {
+        return value.trim() === '' ? undefined : JSON.parse(value);
+    }
+    return value || undefined;
+}
 
-        // CHECKPOINT 3: Analysis
-        const analysisCachePath = path.join(outputDir, `${baseName}_analysis.json`);
-        let viralMoments;
-
-        if (fs.existsSync(analysisCachePath)) {
-            console.log('[4/5] Found existing analysis, loading from cache...');
-            console.log(`NOTE: If you want to re-analyze with updated prompts, delete this file: ${analysisCachePath}`);
-            viralMoments = JSON.parse(fs.readFileSync(analysisCachePath, 'utf8'));
-        } else {
-            console.log('[4/5] Analyzing for viral moments...');
-            const textToAnalyze = typeof transcription === 'string' ? transcription : JSON.stringify(transcription);
-            viralMoments = await analysisService.analyzeTranscription(textToAnalyze);
-            console.log('Analysis complete. Moments found:', viralMoments);
-            fs.writeFileSync(analysisCachePath, JSON.stringify(viralMoments, null, 2));
-        }
+// Helper: Pick the render options a client may set per job (output profile, framing, captions)
+function parseRenderOptions(body = {}) {
+    const renderOptions = {
+        profile: body.profile || undefined,
+        framing: body.framing || undefined,
+        layout: parseJsonField(body.layout),
+        captions: parseJsonField(body.captions),
+        // 'clean' cuts from _clean.mp4, 'original' cuts from the untouched source (silences trimmed inside the clip only)
+        source: body.source || undefined,
+        // Encoding preset: upload, archive or preview
+        encoding: body.encoding || undefined,
+        // Audio chain: { loudness, highpass, denoise, compressor, fadeIn, fadeOut, music }
+        audio: parseJsonField(body.audio),
+        // Branding template folder name (hook title, watermark, progress bar, intro/outro)
+        branding: body.branding || undefined
+    };
+    // Throw on unknown values so the request fails before a job is queued
+    return pipeline.validateRenderOptions(renderOptions);
+}
 
-        // Step 4: Processing
-        console.log('[5/5] Processing video clips...');
-        const processedClips = [];
+// Helper: Analysis profile and the prompt parameters a client may override per job
+function parseAnalysisOptions(body = {}) {
+    const overrides = parseJsonField(body.analysisOverrides) || {};
+    const analysisOptions = {
+        profile: body.analysisProfile || undefined,
+        overrides: {}
+    };
+    promptTemplates.OVERRIDABLE_PARAMS.forEach(key => {
+        if (overrides[key] !== undefined) analysisOptions.overrides[key] = overrides[key];
+    });
+    // Selection constraints (maxClips, minScore, minGapSeconds, maxTotalSeconds, similarityLimit, diversityWeight)
+    const selection = parseJsonField(body.selection);
+    if (selection) analysisOptions.selection = selection;
+    // Throws on an unknown profile, a missing template or bad selection constraints
+    return pipeline.validateAnalysisOptions(analysisOptions);
+}
 
-        // Ensure output directory exists
-        if (!fs.existsSync('output')) {
-            fs.mkdirSync('output');
-        }
+// Helper: Silence removal settings a client may set per job (mode, threshold, padding, apply, ...)
+function parseSilenceOptions(body = {}) {
+    const silence = parseJsonField(body.silence);
+    // Throws on an unknown mode or out-of-range values
+    return silence ? pipeline.validateSilenceOptions(silence) : undefined;
+}
 
-        const keys = Object.keys(viralMoments);
-        for (let i = 0; i < keys.length; i++) {
-            const key = keys[i];
-            const moment = viralMoments[key];
-            const outputPath = `output/${baseName}_${key}.mp4`;
-
-            // Checkpoint: Skip existing clips
-            if (fs.existsSync(outputPath)) {
-                console.log(`Clip already exists: ${outputPath}, skipping...`);
-                processedClips.push({ name: key, path: outputPath, ...moment });
-                continue;
-            }
-
-            console.log(`Processing clip ${i + 1}/${keys.length}: ${key}`);
-            await videoProcessor.processVideo(workingVideoPath, outputPath, moment.start, moment.end);
-            processedClips.push({
-                name: key,
-                path: outputPath,
-                ...moment
-            });
-        }
+// Helper: Publishing metadata settings a client may set per job (enabled, titleCount, thumbnails, thumbnailTitle)
+function parseMetadataOptions(body = {}) {
+    const metadata = parseJsonField(body.metadata);
+    return metadata ? pipeline.validateMetadataOptions(metadata) : undefined;
+}
 
-        res.json({
-            message: 'Video processed successfully',
-            clips: processedClips
-        });
+// Helper: Subtitle translation settings a client may set per job ({ languages: ["en", "es"] })
+function parseTranslationOptions(body = {}) {
+    const translation = parseJsonField(body.translation);
+    return translation ? pipeline.validateTranslationOptions(translation) : undefined;
+}
+
+// Helper: Spoken language of the video for the transcription (ISO 639-1 code, "auto" or empty to detect it)
+function parseLanguage(body = {}) {
+    return body.language ? pipeline.validateLanguage(body.language) : undefined;
+}
+
+// Helper: Options that decide where a processed video's caches are (the silence settings pick the timeline)
+// and how its clips are published
+function pipelineOptionsOf(job) {
+    return { silence: job.payload.silence, metadata: job.payload.metadata, translation: job.payload.translation };
+}
 
+// Helper: Does the branding template of these render options burn the clip title in (a hook)?
+function burnsTitle(renderOptions) {
+    return !!(renderOptions.branding && branding.loadTemplate(renderOptions.branding).hook);
+}
+
+// Helper: URL of a file inside one of the media folders, with its mtime so re-rendered clips are not served from cache
+function mediaUrl(filePath) {
+    const absolute = path.resolve(filePath);
+    const entry = Object.entries(MEDIA_DIRS).find(([, dir]) => path.dirname(absolute) === dir);
+    if (!entry || !fs.existsSync(absolute)) return null;
+    return `/media/${entry[0]}/${encodeURIComponent(path.basename(absolute))}?v=${Math.round(fs.statSync(absolute).mtimeMs)}`;
+}
+
+const runPipelineJob = (job, context) => pipeline.runPipeline(job.payload.videoPath, {
+    renderOptions: job.payload.renderOptions,
+    analysisOptions: job.payload.analysisOptions,
+    silence: job.payload.silence,
+    metadata: job.payload.metadata,
+    language: job.payload.language,
+    translation: job.payload.translation,
+    force: job.payload.force
+}, context);
+const JOB_HANDLERS = {
+    'process-server-file': runPipelineJob,
+    'process-video': runPipelineJob,
+    'render-clip': (job, context) => pipeline.rerenderClip(job.payload, context),
+    'silence-report': (job, context) => pipeline.silenceReport(job.payload.videoPath, job.payload.silence, context),
+    'highlight-reel': (job, context) => highlightReel.buildHighlightReel(job.payload.sources, {
+        ...job.payload.reel,
+        renderOptions: job.payload.renderOptions
+    }, context)
+};
+jobQueue.start((job, context) => JOB_HANDLERS[job.type](job, context));
+
+// Watch folders: new videos in videos/ (and WATCH_FOLDERS) are queued with the options in the WATCH_OPTIONS JSON
+// file, which takes the same fields as the /process-server-file body (profile, captions, silence, ...)
+function startWatcher() {
+    let body = {};
+    let payload;
+    try {
+        if (process.env.WATCH_OPTIONS) body = JSON.parse(fs.readFileSync(path.resolve(__dirname, process.env.WATCH_OPTIONS), 'utf8'));
+        payload = {
+            renderOptions: parseRenderOptions(body),
+            analysisOptions: parseAnalysisOptions(body),
+            silence: parseSilenceOptions(body),
+            metadata: parseMetadataOptions(body),
+            language: parseLanguage(body),
+            translation: parseTranslationOptions(body)
+        };
+        watchFolder.start({}, {
+            enqueue: videoPath => jobQueue.createJob('process-server-file', {
+                videoPath,
+                filename: path.basename(videoPath),
+                ...payload,
+                source: 'watch'
+            }),
+            pipelineOptions: { silence: payload.silence, metadata: payload.metadata, translation: payload.translation }
+        });
     } catch (error) {
-        console.error('Error processing video:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Watch folders not started:', error.message);
     }
 }
+if (watchFolder.DEFAULTS.enabled) startWatcher();
+
+// Helper: Stream job updates to the browser as Server-Sent Events
+function streamJobEvents(req, res, filter) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (job) => res.write(`event: job\ndata: ${JSON.stringify(job)}\n\n`);
+    const unsubscribe = jobQueue.subscribe((job) => {
+        if (filter(job)) send(job);
+    });
+
+    // Comment lines keep proxies from closing an idle connection
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+    });
+
+    return send;
+}
+
+// Route 0: Output profiles, framing modes, caption, encoding, audio and branding options the UI can offer
+app.get('/output-profiles', (req, res) => {
+    res.json({
+        profiles: outputProfiles.OUTPUT_PROFILES,
+        framingModes: outputProfiles.FRAMING_MODES,
+        captionPresets: captions.CAPTION_PRESETS,
+        subtitleFormats: captions.SIDECAR_FORMATS,
+        encodingPresets: encodingPresets.ENCODING_PRESETS,
+        defaultEncoding: encodingPresets.DEFAULT_ENCODING,
+        loudnessTargets: audioChain.LOUDNESS_TARGETS,
+        musicTracks: audioChain.listMusicTracks(),
+        brandingTemplates: branding.listTemplates()
+    });
+});
+
+// Route 0b: Analysis profiles (prompt template + parameters)
+app.get('/analysis-profiles', (req, res) => {
+    res.json({
+        profiles: promptTemplates.listProfiles(),
+        overridable: promptTemplates.OVERRIDABLE_PARAMS,
+        // For the spoken language, the prompt language and the subtitle translations
+        languages: languages.listLanguages()
+    });
+});
 
 // Route 1: List videos in 'videos' folder
 app.get('/list-videos', (req, res) => {
-    const videosDir = path.join(__dirname, 'videos');
-    if (!fs.existsSync(videosDir)) {
-        fs.mkdirSync(videosDir);
+    if (!fs.existsSync(VIDEOS_DIR)) {
+        fs.mkdirSync(VIDEOS_DIR);
     }
 
-    fs.readdir(videosDir, (err, files) => {
+    fs.readdir(VIDEOS_DIR, (err, files) => {
         if (err) {
             return res.status(500).json({ error: 'Unable to scan directory: ' + err });
         }
-        // Filter for video files (simple extension check)
-        const videoFiles = files.filter(file => {
-            const ext = path.extname(file).toLowerCase();
-            return ['.mp4', '.mov', '.avi', '.mkv'].includes(ext);
-        });
+        // Filter for source videos (simple extension check, our own _clean.mp4 files are left out)
+        const videoFiles = files.filter(file => pipeline.isSourceVideo(file));
         res.json({ videos: videoFiles });
     });
 });
 
+// Helper: Library record with the URLs the browser needs (thumbnail, source, clips and their files)
+function withUrls(record) {
+    const id = encodeURIComponent(record.id);
+    const addUrl = file => ({ ...file, url: mediaUrl(file.path) });
+    return {
+        ...record,
+        url: mediaUrl(record.path),
+        thumbnailUrl: record.metadata ? `/library/${id}/thumbnail` : null,
+        downloadUrl: `/library/${id}/download`,
+        runs: record.runs.map(run => ({ ...run, clips: run.clips.map(addUrl), artifacts: run.artifacts.map(addUrl) }))
+    };
+}
+
+// Helper: Timeline of a library request ("clean" or "original"), null for both. Throws on anything else.
+function parseTimeline(value, allowBoth = true) {
+    if ((value === undefined || value === '') && allowBoth) return null;
+    const timeline = value || 'clean';
+    if (!library.TIMELINES[timeline]) {
+        throw new Error(`Unknown timeline "${timeline}". Use one of: ${Object.keys(library.TIMELINES).join(', ')}`);
+    }
+    return timeline;
+}
+
+// Library: one record per video in 'videos' with its metadata, stage status, clips and cached files
+app.get('/library', async (req, res) => {
+    res.json({ videos: (await library.listRecords()).map(withUrls), stages: pipeline.STAGES });
+});
+
+app.get('/library/:id', async (req, res) => {
+    const record = await library.getRecord(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: 'Video not found.' });
+    }
+    res.json(withUrls(record));
+});
+
+app.get('/library/:id/thumbnail', async (req, res) => {
+    if (!library.resolveVideo(req.params.id)) {
+        return res.status(404).json({ error: 'Video not found.' });
+    }
+    try {
+        res.sendFile(await library.ensureThumbnail(req.params.id));
+    } catch (error) {
+        res.status(500).json({ error: `Thumbnail failed: ${error.message}` });
+    }
+});
+
+// Run a video again from a stage: { stage, timeline }. Uses the settings of its latest job on that timeline.
+app.post('/library/:id/rerun', (req, res) => {
+    if (!library.resolveVideo(req.params.id)) {
+        return res.status(404).json({ error: 'Video not found.' });
+    }
+    const { stage } = req.body || {};
+    if (!pipeline.STAGES.includes(stage)) {
+        return res.status(400).json({ error: `Unknown stage "${stage}". Use one of: ${pipeline.STAGES.join(', ')}` });
+    }
+    let timeline;
+    try {
+        timeline = parseTimeline((req.body || {}).timeline, false);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const active = library.activeJob(req.params.id);
+    if (active) {
+        return res.status(409).json({ error: `Job ${active.id} is ${active.status} for this video.`, jobId: active.id });
+    }
+    const job = jobQueue.createJob('process-server-file', { ...library.rerunPayload(req.params.id, timeline), force: stage });
+    res.status(202).json({ jobId: job.id, job });
+});
+
+// Delete a video's cache files or its rendered clips (?timeline=clean|original, both when omitted)
+['cache', 'clips'].forEach(what => {
+    app.delete(`/library/:id/${what}`, async (req, res) => {
+        if (!library.resolveVideo(req.params.id)) {
+            return res.status(404).json({ error: 'Video not found.' });
+        }
+        let timeline;
+        try {
+            timeline = parseTimeline(req.query.timeline);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        const active = library.activeJob(req.params.id);
+        if (active) {
+            return res.status(409).json({ error: `Job ${active.id} is ${active.status} for this video.`, jobId: active.id });
+        }
+        try {
+            const deleted = library.deleteArtifacts(req.params.id, what, timeline);
+            res.json({ deleted: deleted.map(file => path.basename(file)), video: withUrls(await library.getRecord(req.params.id)) });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+});
+
+// Everything made for a video as one ZIP (caches and clips, plus the source with ?source=1)
+app.get('/library/:id/download', async (req, res) => {
+    if (!library.resolveVideo(req.params.id)) {
+        return res.status(404).json({ error: 'Video not found.' });
+    }
+    const includeSource = req.query.source === '1' || req.query.source === 'true';
+    const entries = library.archiveEntries(req.params.id, includeSource);
+    if (entries.length === 0) {
+        return res.status(404).json({ error: 'Nothing to download yet, process the video first.' });
+    }
+    const name = path.basename(req.params.id, path.extname(req.params.id));
+    res.attachment(`${name}.zip`);
+    res.type('application/zip');
+    try {
+        await zipArchive.writeZip(entries, res);
+    } catch (error) {
+        // Headers are gone by now, all that is left is cutting the download short
+        console.warn(`ZIP download of ${req.params.id} stopped: ${error.message}`);
+        res.destroy();
+    }
+});
+
 // Route 2: Process a local file from confirm 'videos' folder
 app.post('/process-server-file', async (req, res) => {
     const filename = req.body.filename;
@@ -162,24 +416,442 @@ app.post('/process-server-file', async (req, res) => {
         return res.status(400).send('Filename is required.');
     }
 
-    const videoPath = path.resolve(__dirname, 'videos', filename);
+    const videoPath = libraryPath(filename);
+    if (!videoPath) {
+        return res.status(400).send('Invalid filename.');
+    }
 
     if (!fs.existsSync(videoPath)) {
         return res.status(404).send('File not found on server.');
     }
 
-    await processVideoPipeline(videoPath, res);
+    let renderOptions;
+    let analysisOptions;
+    let silence;
+    let metadata;
+    let language;
+    let translation;
+    try {
+        renderOptions = parseRenderOptions(req.body);
+        analysisOptions = parseAnalysisOptions(req.body);
+        silence = parseSilenceOptions(req.body);
+        metadata = parseMetadataOptions(req.body);
+        language = parseLanguage(req.body);
+        translation = parseTranslationOptions(req.body);
+    } catch (error) {
+        return res.status(400).send(error.message);
+    }
+
+    const job = jobQueue.createJob('process-server-file', {
+        videoPath,
+        filename,
+        renderOptions,
+        analysisOptions,
+        silence,
+        metadata,
+        language,
+        translation
+    });
+    res.status(202).json({ jobId: job.id, job });
+});
+
+// Watched folders and the state of every file in them
+app.get('/watch', (req, res) => {
+    res.json(watchFolder.getStatus());
 });
 
 // Route 3: Upload and process (Legacy but kept)
-app.post('/process-video', upload.single('video'), async (req, res) => {
+app.post('/process-video', acceptUpload('video'), async (req, res) => {
     if (!req.file) {
         return res.status(400).send('No file uploaded.');
     }
-    await processVideoPipeline(req.file.path, res);
+    // The extension says video, ffprobe checks that the content is one
+    try {
+        await security.sniffVideo(req.file.path);
+    } catch (error) {
+        fs.unlink(req.file.path, () => { });
+        // A server without ffprobe is not the uploader's fault
+        return res.status(error.unavailable ? 503 : 400).send(`Rejected upload: ${error.message}`);
+    }
+    let renderOptions;
+    let analysisOptions;
+    let silence;
+    let metadata;
+    let language;
+    let translation;
+    try {
+        renderOptions = parseRenderOptions(req.body);
+        analysisOptions = parseAnalysisOptions(req.body);
+        silence = parseSilenceOptions(req.body);
+        metadata = parseMetadataOptions(req.body);
+        language = parseLanguage(req.body);
+        translation = parseTranslationOptions(req.body);
+    } catch (error) {
+        fs.unlink(req.file.path, () => { });
+        return res.status(400).send(error.message);
+    }
+
+    const job = jobQueue.createJob('process-video', {
+        videoPath: path.resolve(req.file.path),
+        filename: path.basename(req.file.originalname),
+        renderOptions,
+        analysisOptions,
+        silence,
+        metadata,
+        language,
+        translation
+    });
+    res.status(202).json({ jobId: job.id, job });
+});
+
+// Route 3b: Silence removal dry run for a library video: { filename, silence }.
+// Reports the silences found and the time a pass with these settings would save, without cutting anything.
+app.post('/silence-report', (req, res) => {
+    const filename = (req.body || {}).filename;
+    if (!filename) {
+        return res.status(400).send('Filename is required.');
+    }
+    const videoPath = libraryPath(filename);
+    if (!videoPath) {
+        return res.status(400).send('Invalid filename.');
+    }
+    if (!fs.existsSync(videoPath)) {
+        return res.status(404).send('File not found on server.');
+    }
+
+    let silence;
+    try {
+        silence = parseSilenceOptions(req.body);
+    } catch (error) {
+        return res.status(400).send(error.message);
+    }
+
+    const job = jobQueue.createJob('silence-report', { videoPath, filename, silence });
+    res.status(202).json({ jobId: job.id, job });
+});
+
+// Route 3c: Highlight reel from the best clips of processed videos:
+// { jobIds: [...] and/or filenames: [...], reel: { maxClips, targetDuration, minScore, transition, transitionDuration,
+//   titleCards, titleCardDuration, order, name }, silence (for filenames), render options like the other routes }.
+app.post('/highlight-reel', (req, res) => {
+    const body = req.body || {};
+    const jobIds = Array.isArray(body.jobIds) ? body.jobIds : [];
+    const filenames = Array.isArray(body.filenames) ? body.filenames : [];
+    if (jobIds.length === 0 && filenames.length === 0) {
+        return res.status(400).send('Pick at least one processed video (jobIds or filenames).');
+    }
+
+    let renderOptions;
+    let reel;
+    let silence;
+    try {
+        renderOptions = parseRenderOptions(body);
+        reel = parseJsonField(body.reel) || {};
+        highlightReel.resolveReelOptions(reel);
+        silence = parseSilenceOptions(body);
+    } catch (error) {
+        return res.status(400).send(error.message);
+    }
+
+    const sources = [];
+    for (const id of jobIds) {
+        const job = jobQueue.getJob(id);
+        if (!job || !['process-server-file', 'process-video'].includes(job.type)) {
+            return res.status(404).send(`Processing job ${id} not found.`);
+        }
+        sources.push({ videoPath: job.payload.videoPath, pipelineOptions: pipelineOptionsOf(job) });
+    }
+    for (const filename of filenames) {
+        const videoPath = libraryPath(filename);
+        if (!videoPath) {
+            return res.status(400).send(`Invalid filename: ${filename}`);
+        }
+        if (!fs.existsSync(videoPath)) {
+            return res.status(404).send(`File not found on server: ${filename}`);
+        }
+        sources.push({ videoPath, pipelineOptions: { silence } });
+    }
+    const unprocessed = sources.find(source => !pipeline.loadClipContext(source.videoPath, source.pipelineOptions));
+    if (unprocessed) {
+        return res.status(409).send(`${path.basename(unprocessed.videoPath)} has not been processed yet.`);
+    }
+
+    const job = jobQueue.createJob('highlight-reel', { sources, reel, renderOptions });
+    res.status(202).json({ jobId: job.id, job });
+});
+
+// Route 4: Job list and live updates for all jobs
+app.get('/jobs', (req, res) => {
+    res.json({ jobs: jobQueue.listJobs() });
+});
+
+app.get('/jobs/events', (req, res) => {
+    streamJobEvents(req, res, () => true);
+});
+
+// Route 5: Single job status, live updates and cancellation
+app.get('/jobs/:id', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    res.json(job);
+});
+
+app.get('/jobs/:id/events', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    const send = streamJobEvents(req, res, (j) => j.id === job.id);
+    // Send the current state right away so the client does not wait for the next tick
+    send(job);
+});
+
+app.delete('/jobs/:id', (req, res) => {
+    const job = jobQueue.cancelJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    res.json(job);
+});
+
+// Re-run a processed video from a given stage: { from: "transcription" }. Earlier stages come from the cache,
+// the named stage and every stage after it run again. Queues a new job with the same settings.
+app.post('/jobs/:id/rerun', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    if (!['process-server-file', 'process-video'].includes(job.type)) {
+        return res.status(400).json({ error: 'Only video processing jobs can be re-run.' });
+    }
+    const from = (req.body || {}).from;
+    if (!pipeline.STAGES.includes(from)) {
+        return res.status(400).json({ error: `Unknown stage "${from}". Use one of: ${pipeline.STAGES.join(', ')}` });
+    }
+    if (!fs.existsSync(job.payload.videoPath)) {
+        return res.status(409).json({ error: 'The source video is gone.' });
+    }
+
+    const rerun = jobQueue.createJob(job.type, { ...job.payload, force: from });
+    res.status(202).json({ jobId: rerun.id, job: rerun });
+});
+
+// Route 6: Review screen data for a processed video: source video, transcript and clips (clean timeline)
+app.get('/jobs/:id/review', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    const clipContext = job.payload.videoPath ? pipeline.loadClipContext(job.payload.videoPath, pipelineOptionsOf(job)) : null;
+    if (!clipContext) {
+        return res.status(409).json({ error: 'This video has not been processed yet.' });
+    }
+
+    const analysis = analysisService.loadAnalysisCache(clipContext.analysisCachePath);
+    const renderOptions = job.payload.renderOptions || {};
+    const describeClip = ([key, moment]) => {
+        const clipPath = pipeline.clipOutputPath(clipContext, key, renderOptions);
+        // Publishing copy and cover candidates from the clip's sidecar
+        const sidecar = clipMetadata.readSidecar(clipPath);
+        // Translated subtitles written next to the clip
+        const subtitles = clipContext.translation.languages
+            .map(code => ({ language: code, url: mediaUrl(clipPath.replace(/\.mp4$/i, `.${code}.srt`)) }))
+            .filter(subtitle => subtitle.url);
+        return {
+            key,
+            ...moment,
+            url: mediaUrl(clipPath),
+            subtitles,
+            publishing: sidecar ? {
+                ...sidecar,
+                thumbnails: sidecar.thumbnails.map(thumb => ({ ...thumb, url: mediaUrl(path.join(path.dirname(clipPath), thumb.file)) }))
+            } : null
+        };
+    };
+    const transcript = typeof clipContext.transcription === 'string'
+        ? analysisService.parseSRT(clipContext.transcription).map(e => ({ start: e.startSeconds, end: e.endSeconds, text: e.text }))
+        : [];
+
+    res.json({
+        jobId: job.id,
+        filename: job.payload.filename,
+        source: {
+            url: mediaUrl(clipContext.workingVideoPath),
+            duration: pipeline.getSourceDuration(clipContext)
+        },
+        // Spoken language recorded with the transcription (null for older transcriptions)
+        language: clipContext.language,
+        transcript,
+        clips: Object.entries(analysis.moments).map(describeClip),
+        rejected: Object.entries(analysis.rejected || {}).map(describeClip),
+        exports: Object.entries(timelineExport.EXPORT_FORMATS).map(([format, exporter]) => ({
+            format,
+            label: exporter.label,
+            url: `/jobs/${job.id}/export/${format}`
+        }))
+    });
+});
+
+// Route 6b: Download the selected clips as an editor timeline (edl, fcpxml or xmeml) on the original recording
+app.get('/jobs/:id/export/:format', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    if (!timelineExport.EXPORT_FORMATS[req.params.format]) {
+        return res.status(400).json({ error: `Unknown timeline format "${req.params.format}". Use one of: ${Object.keys(timelineExport.EXPORT_FORMATS).join(', ')}` });
+    }
+    const clipContext = job.payload.videoPath ? pipeline.loadClipContext(job.payload.videoPath, pipelineOptionsOf(job)) : null;
+    if (!clipContext) {
+        return res.status(409).json({ error: 'This video has not been processed yet.' });
+    }
+
+    try {
+        const exported = timelineExport.exportTimeline(clipContext, req.params.format);
+        res.attachment(exported.filename);
+        res.type(exported.mimeType);
+        res.send(exported.content);
+    } catch (error) {
+        console.error('Timeline export failed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Route 7: Edit one clip from the review screen: { start, end, titulo, review: "approved" | "rejected" | null }.
+// New times re-render only that clip, as a "render-clip" job. A candidate the selection rejected is promoted.
+app.patch('/jobs/:id/clips/:key', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    const clipContext = job.payload.videoPath ? pipeline.loadClipContext(job.payload.videoPath, pipelineOptionsOf(job)) : null;
+    if (!clipContext) {
+        return res.status(409).json({ error: 'This video has not been processed yet.' });
+    }
+
+    const key = req.params.key;
+    const analysis = analysisService.loadAnalysisCache(clipContext.analysisCachePath);
+    // Own keys only: "__proto__" or "constructor" in the URL must not reach Object.prototype
+    const has = (clips) => !!clips && Object.prototype.hasOwnProperty.call(clips, key);
+    let moment = has(analysis.moments) ? analysis.moments[key] : null;
+    if (!moment && has(analysis.rejected)) {
+        const { rejection, ...candidate } = analysis.rejected[key];
+        moment = candidate;
+    }
+    if (!moment) {
+        return res.status(404).json({ error: `Clip ${key} not found.` });
+    }
+
+    const { start, end, titulo, review } = req.body || {};
+    const updated = { ...moment };
+    if (titulo !== undefined) {
+        if (typeof titulo !== 'string' || titulo.trim() === '') {
+            return res.status(400).json({ error: 'titulo must be a non-empty string.' });
+        }
+        updated.titulo = titulo.trim();
+    }
+    if (review !== undefined) {
+        if (![null, 'approved', 'rejected'].includes(review)) {
+            return res.status(400).json({ error: 'review must be "approved", "rejected" or null.' });
+        }
+        updated.review = review;
+        // Approved clips survive a later re-selection
+        updated.pinned = review === 'approved';
+    }
+
+    let timesChanged = false;
+    if (start !== undefined || end !== undefined) {
+        const newStart = start !== undefined ? Number(start) : moment.start;
+        const newEnd = end !== undefined ? Number(end) : moment.end;
+        const duration = pipeline.getSourceDuration(clipContext);
+        if (!Number.isFinite(newStart) || !Number.isFinite(newEnd) || newStart < 0 || newEnd <= newStart || newEnd > duration + 0.01) {
+            return res.status(400).json({ error: `start/end must satisfy 0 <= start < end <= ${duration.toFixed(2)}.` });
+        }
+        if (newStart !== moment.start || newEnd !== moment.end) {
+            updated.start = Math.round(newStart * 1000) / 1000;
+            updated.end = Math.round(newEnd * 1000) / 1000;
+            // Boundary refinement leaves hand-edited clips alone
+            updated.edited = true;
+            timesChanged = true;
+        }
+    }
+
+    const renderOptions = job.payload.renderOptions || {};
+    // A branding hook shows the title in the video itself, a new title needs a new render
+    const titleBurned = updated.titulo !== moment.titulo && burnsTitle(renderOptions);
+
+    analysis.moments[key] = updated;
+    if (analysis.rejected) delete analysis.rejected[key];
+    analysisService.saveAnalysisCache(clipContext.analysisCachePath, analysis);
+
+    const rendered = fs.existsSync(pipeline.clipOutputPath(clipContext, key, renderOptions));
+    let renderJob = null;
+    if (updated.review !== 'rejected' && (timesChanged || titleBurned || !rendered)) {
+        renderJob = jobQueue.createJob('render-clip', {
+            videoPath: job.payload.videoPath,
+            filename: `${job.payload.filename} (${key})`,
+            key,
+            renderOptions,
+            pipelineOptions: pipelineOptionsOf(job)
+        });
+    }
+
+    res.status(renderJob ? 202 : 200).json({
+        clip: { key, ...updated, url: mediaUrl(pipeline.clipOutputPath(clipContext, key, renderOptions)) },
+        jobId: renderJob ? renderJob.id : null,
+        job: renderJob
+    });
+});
+
+// Route 8: Search the cached transcription of a processed video
+app.get('/jobs/:id/transcript/search', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    const clipContext = job.payload.videoPath ? pipeline.loadClipContext(job.payload.videoPath, pipelineOptionsOf(job)) : null;
+    if (!clipContext) {
+        return res.status(409).json({ error: 'This video has not been processed yet.' });
+    }
+    res.json({ matches: textClips.searchTranscript(clipContext.transcription, req.query.q || '') });
+});
+
+// Route 9: Manual clip from transcript text: { fromText, toText, padding, occurrence, titulo }.
+// The clip joins the video's clip set and is rendered with the job's settings, like the AI clips.
+app.post('/jobs/:id/clips', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+    }
+    const clipContext = job.payload.videoPath ? pipeline.loadClipContext(job.payload.videoPath, pipelineOptionsOf(job)) : null;
+    if (!clipContext) {
+        return res.status(409).json({ error: 'This video has not been processed yet.' });
+    }
+
+    let added;
+    try {
+        added = pipeline.addTextClip(clipContext, req.body || {});
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const { key, moment } = added;
+
+    const renderJob = jobQueue.createJob('render-clip', {
+        videoPath: job.payload.videoPath,
+        filename: `${job.payload.filename} (${key})`,
+        key,
+        renderOptions: job.payload.renderOptions || {},
+        pipelineOptions: pipelineOptionsOf(job)
+    });
+    res.status(202).json({ clip: { key, ...moment }, jobId: renderJob.id, job: renderJob });
 });
 
 app.listen(port, () => {
     console.log(`Server running at http://localhost:${port}`);
     console.log('Place videos in the "videos" folder to use Library Mode.');
+    if (!security.authMode()) {
+        console.warn('No AUTH_TOKEN or AUTH_USER/AUTH_PASSWORD set: anyone who can reach this port can use the server.');
+    }
 });
@@ -1,127 +1,155 @@
-const OpenAI = require('openai');
-require('dotenv').config();
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Helper: Convert SRT timestamp "00:00:00,000" to seconds
-function parseTimestamp(timeStr) {
-    if (!timeStr) return 0;
-    const [h, m, s] = timeStr.split(':');
-    const [sec, ms] = s.split(',');
-    return (parseInt(h) * 3600) + (parseInt(m) * 60) + parseInt(sec) + (parseInt(ms) / 1000);
+const fs = require('fs');
+const { isAbortError, throwIfAborted, createAbortError } = require('./jobQueue');
+const { parseSRT, parseTimestamp } = require('./srt');
+const promptTemplates = require('./promptTemplates');
+const transcriptChunks = require('./transcriptChunks');
+
+// LLM backends. Each one exposes: name, complete({ messages, chunk, kind }, { signal }) -> raw JSON string,
+// optionally settings() (part of the cache key) and checkConfig() (throws when a required setting is missing)
+// kind is "moments" for clip detection, "summary" for the rolling summary, "metadata" for a clip's publishing copy
+// and "translation" for a clip's subtitles in another language
+const PROVIDERS = {
+    openai: require('./analysisProviders/openai'),
+    'openai-compatible': require('./analysisProviders/openaiCompatible'),
+    mock: require('./analysisProviders/mock')
+};
+
+// Attempts per chunk (provider errors and invalid output both count)
+const MAX_ATTEMPTS = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS, 10) || 3;
+const BACKOFF_BASE_MS = 1000;
+// Moments may end slightly after the last cue of the chunk (speech tail)
+const RANGE_SLACK_SECONDS = 2;
+// Carry a short summary of the previous chunks into each prompt (one extra request per chunk)
+const ROLLING_SUMMARY = process.env.ANALYSIS_ROLLING_SUMMARY !== 'false';
+const MAX_SUMMARY_CHARS = 1500;
+
+// Version of the _analysis.json layout. Files without it are a bare moments map.
+const ANALYSIS_CACHE_VERSION = 2;
+
+function getProvider(name) {
+    const providerName = name || process.env.ANALYSIS_PROVIDER || 'openai';
+    const provider = PROVIDERS[providerName];
+    if (!provider) {
+        throw new Error(`Unknown analysis provider "${providerName}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    // A missing setting fails the job up front instead of every chunk failing on it
+    if (provider.checkConfig) provider.checkConfig();
+    return provider;
 }
 
-// Helper: Parse raw SRT string into structured array
-function parseSRT(srtContent) {
-    // Normalize line endings and split by double blank lines
-    const blocks = srtContent.replace(/\r\n/g, '\n').split('\n\n');
-    const entries = [];
-
-    blocks.forEach(block => {
-        const lines = block.split('\n').filter(l => l.trim() !== '');
-        if (lines.length >= 3) {
-            const id = lines[0];
-            const timeLine = lines[1];
-            const text = lines.slice(2).join(' '); // Join remaining lines as text
-
-            // Extract start time for sorting/chunking
-            const timeMatch = timeLine.match(/(\d{2}:\d{2}:\d{2},\d{3}) -->/);
-            const startSeconds = timeMatch ? parseTimestamp(timeMatch[1]) : 0;
-
-            entries.push({
-                id,
-                timeLine,
-                startSeconds,
-                text,
-                fullBlock: block
-            });
-        }
-    });
-
-    return entries;
+// Read _analysis.json, accepting the old bare-map layout
+function loadAnalysisCache(cachePath) {
+    const data = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    if (data && data.version) return data;
+    return { version: ANALYSIS_CACHE_VERSION, moments: data, failedChunks: [] };
 }
 
-// Helper: Group parsed entries into chunks of ~duration minutes
-function chunkSRTByDuration(entries, durationMinutes = 10) {
-    const durationSeconds = durationMinutes * 60;
-    const chunks = [];
-    let currentChunk = [];
-    let chunkStartTime = -1;
-
-    entries.forEach(entry => {
-        if (chunkStartTime === -1) chunkStartTime = entry.startSeconds;
+function saveAnalysisCache(cachePath, data) {
+    fs.writeFileSync(cachePath, JSON.stringify({ ...data, version: ANALYSIS_CACHE_VERSION }, null, 2));
+}
 
-        // If adding this entry exceeds the chunk duration (and chunk is not empty)
-        if (entry.startSeconds - chunkStartTime > durationSeconds && currentChunk.length > 0) {
-            chunks.push(currentChunk);
-            currentChunk = [];
-            chunkStartTime = entry.startSeconds;
-        }
-        currentChunk.push(entry);
+// Helper: Wait, but give up early if the job is cancelled
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(createAbortError());
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
     });
-
-    if (currentChunk.length > 0) {
-        chunks.push(currentChunk);
-    }
-
-    return chunks;
 }
 
-// Helper: Remove overlapping clips (Greedy algorithm based on score/length)
-function removeOverlaps(momentsMap) {
-    // Convert to array
-    let clips = Object.entries(momentsMap).map(([key, val]) => ({
-        key,
-        ...val,
-        duration: val.end - val.start
-    }));
-
-    // Sort by Score (high to low), then by Duration (long to short)
-    clips.sort((a, b) => {
-        const scoreA = a.score || 0;
-        const scoreB = b.score || 0;
-        if (scoreB !== scoreA) return scoreB - scoreA;
-        return b.duration - a.duration;
-    });
+// Strict check of the LLM output for one chunk.
+// range: { start, end } of the chunk in seconds. Returns { moments, errors } - moments holds the valid ones.
+function validateMoments(parsed, range) {
+    const errors = [];
+    const moments = {};
 
-    const selectedClips = [];
-    const rejectedClips = [];
-
-    for (const clip of clips) {
-        let isOverlap = false;
-        for (const selected of selectedClips) {
-            // Check for overlap: StartA < EndB && StartB < EndA
-            // Added a small buffer (0.5s) to define "overlap"
-            if (clip.start < selected.end - 0.5 && selected.start < clip.end - 0.5) {
-                isOverlap = true;
-                break;
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { moments, errors: ['A resposta deve ser um objeto JSON no formato { "c1": { ... }, "c2": { ... } }.'] };
+    }
+
+    for (const [key, m] of Object.entries(parsed)) {
+        const problems = [];
+        if (!m || typeof m !== 'object' || Array.isArray(m)) {
+            errors.push(`"${key}": deve ser um objeto com start, end, titulo e score.`);
+            continue;
+        }
+        if (typeof m.start !== 'number' || !Number.isFinite(m.start)) problems.push('"start" deve ser um número em segundos');
+        if (typeof m.end !== 'number' || !Number.isFinite(m.end)) problems.push('"end" deve ser um número em segundos');
+        if (problems.length === 0) {
+            if (m.start >= m.end) problems.push(`"start" (${m.start}) deve ser menor que "end" (${m.end})`);
+            if (m.start < range.start - RANGE_SLACK_SECONDS || m.end > range.end + RANGE_SLACK_SECONDS) {
+                problems.push(`o corte (${m.start}-${m.end}) deve ficar dentro deste trecho (${range.start.toFixed(1)}-${range.end.toFixed(1)})`);
             }
         }
+        if (typeof m.score !== 'number' || !Number.isFinite(m.score) || m.score < 0 || m.score > 100) {
+            problems.push('"score" deve ser um número de 0 a 100');
+        }
+        if (typeof m.titulo !== 'string' || m.titulo.trim() === '') {
+            problems.push('"titulo" deve ser um texto não vazio');
+        }
 
-        if (!isOverlap) {
-            selectedClips.push(clip);
+        if (problems.length > 0) {
+            errors.push(`"${key}": ${problems.join('; ')}.`);
         } else {
-            rejectedClips.push(clip);
+            moments[key] = { ...m, titulo: m.titulo.trim() };
         }
     }
 
-    // Convert back to map structure
-    const result = {};
-    selectedClips.forEach(clip => {
-        const k = clip.key;
-        delete clip.key;
-        delete clip.duration; // Clean up aux property
-        result[k] = clip;
-    });
+    return { moments, errors };
+}
+
+// Chunking settings with per-call overrides: { minutes, overlapSeconds, rollingSummary }
+function resolveChunking(overrides = {}) {
+    const defaults = transcriptChunks.getChunkDefaults();
+    return {
+        minutes: overrides.minutes || defaults.minutes,
+        overlapSeconds: overrides.overlapSeconds !== undefined ? overrides.overlapSeconds : defaults.overlapSeconds,
+        rollingSummary: overrides.rollingSummary !== undefined ? overrides.rollingSummary : ROLLING_SUMMARY
+    };
+}
+
+// Is a cached analysis still valid for this profile and chunking? Returns null when it is, else the reason.
+function getCacheStaleReason(cache, profile, chunking = resolveChunking()) {
+    if (!cache.promptHash) return 'cache was made before prompt templates were versioned';
+    if (cache.profile !== profile.name) return `profile changed (${cache.profile} -> ${profile.name})`;
+    if (cache.promptHash !== profile.hash) return `prompt template or parameters changed (${cache.promptHash} -> ${profile.hash})`;
+    if (JSON.stringify(cache.chunking) !== JSON.stringify(chunking)) return 'chunking settings changed';
+    return null;
+}
 
-    console.log(`Overlap Removal: Kept ${selectedClips.length} clips, removed ${rejectedClips.length} overlapping.`);
-    return result;
+// Everything that changes the analysis of a given transcript, for the analysis cache key
+function getCacheParams(profile, chunking = resolveChunking(), providerName) {
+    const provider = getProvider(providerName);
+    return {
+        provider: provider.name,
+        ...(provider.settings ? provider.settings() : {}),
+        profile: profile.name,
+        promptHash: profile.hash,
+        chunking
+    };
 }
 
-async function analyzeTranscription(transcriptionText) {
+// options: { signal, onProgress, provider, profile, chunking } - onProgress receives { chunk, totalChunks },
+// profile is a promptTemplates.resolveProfile() result (defaults to the configured profile),
+// chunking overrides resolveChunking() defaults
+// Returns { moments, failedChunks, chunkCount, profile, promptHash, chunking } - failedChunks lists chunks that produced
+// no (or only partly) valid output
+async function analyzeTranscription(transcriptionText, options = {}) {
+    const { signal, onProgress } = options;
     try {
+        const provider = getProvider(options.provider);
+        const profile = options.profile || promptTemplates.resolveProfile();
+        console.log(`Analysis provider: ${provider.name}, profile: ${profile.name} (template ${profile.templateName}, hash ${profile.hash})`);
+        const chunking = resolveChunking(options.chunking);
+        const cacheInfo = { profile: profile.name, promptHash: profile.hash, chunking };
+
         console.log("Parsing SRT and splitting into chunks...");
         // 1. Parse SRT properly
         const parsedEntries = parseSRT(transcriptionText);
@@ -129,34 +157,46 @@ async function analyzeTranscription(transcriptionText) {
         if (parsedEntries.length === 0) {
             console.warn("Could not parse SRT or empty file. Running fallback logic (treat as raw text).");
             // Basic fallback if SRT parsing fails drastically (unlikely)
-            return {};
+            return { moments: {}, failedChunks: [], chunkCount: 0, ...cacheInfo };
         }
 
-        // 2. Chunk by 12 minutes (to fit context window safely and give good context)
-        const chunks = chunkSRTByDuration(parsedEntries, 12);
-        console.log(`Analysis: Split transcript into ${chunks.length} time-based chunks.`);
+        // 2. Overlapping windows (~12 minutes each) cut at sentence ends or pauses
+        const chunks = transcriptChunks.chunkWithOverlap(parsedEntries, chunking);
+        console.log(`Analysis: Split transcript into ${chunks.length} chunks (${chunking.minutes} min, ${chunking.overlapSeconds}s overlap).`);
 
-        let allMoments = {};
+        const windows = [];
+        const failedChunks = [];
+        let summary = '';
 
         for (let i = 0; i < chunks.length; i++) {
+            throwIfAborted(signal);
             console.log(`Analyzing chunk ${i + 1}/${chunks.length}... (${chunks[i].length} lines)`);
+            if (onProgress) onProgress({ chunk: i + 1, totalChunks: chunks.length });
 
-            // Reconstruct SRT text for this chunk
-            const chunkText = chunks[i].map(e => e.fullBlock).join('\n\n');
-
-            const chunkMoments = await analyzeChunk(chunkText, i);
+            const result = await analyzeChunk(provider, profile, chunks[i], i, signal, summary);
+            if (result.failure) {
+                failedChunks.push(result.failure);
+            }
+            windows.push({ index: i, moments: result.moments });
 
-            // Merge results
-            for (const [key, val] of Object.entries(chunkMoments)) {
-                allMoments[`chunk${i}_${key}`] = val;
+            if (chunking.rollingSummary && i < chunks.length - 1) {
+                summary = await summarizeChunk(provider, profile, chunks[i], i, signal, summary);
             }
         }
 
-        // 3. Remove Overlaps
-        console.log("Detecting and removing overlapping clips...");
-        const finalMoments = removeOverlaps(allMoments);
+        // The same moment is often proposed by two overlapping windows: keep it once
+        const allMoments = transcriptChunks.mergeWindowMoments(windows);
+
+        // Nothing valid came back at all (bad key, provider down): fail rather than cache an empty analysis
+        if (failedChunks.length === chunks.length && failedChunks.every(failure => !failure.partial)) {
+            throw new Error(`Analysis failed: none of the ${chunks.length} chunk(s) returned valid moments (${failedChunks[failedChunks.length - 1].error})`);
+        }
+        if (failedChunks.length > 0) {
+            console.warn(`Analysis: ${failedChunks.length} of ${chunks.length} chunks failed or were only partly valid.`);
+        }
 
-        return finalMoments;
+        // Every candidate is returned, picking the clips to render is up to clipSelection
+        return { moments: allMoments, failedChunks, chunkCount: chunks.length, ...cacheInfo };
 
     } catch (error) {
         console.error("Analysis error:", error);
@@ -164,47 +204,119 @@ async function analyzeTranscription(transcriptionText) {
     }
 }
 
-async function analyzeChunk(textChunk, chunkIndex) {
+// Fold one chunk into the rolling summary. A failed summary is not fatal: the previous one is kept.
+async function summarizeChunk(provider, profile, chunkEntries, chunkIndex, signal, previousSummary) {
+    const textChunk = chunkEntries.map(e => e.text).join(' ');
+    const prompt = promptTemplates.renderSummaryPrompt(profile, chunkIndex, textChunk, previousSummary);
+    const chunkInfo = {
+        index: chunkIndex,
+        start: chunkEntries[0].startSeconds,
+        end: chunkEntries[chunkEntries.length - 1].endSeconds,
+        entries: chunkEntries
+    };
+
     try {
-        const prompt = `
-Você é um editor de vídeos especialista em retenção para TikTok e Instagram Reels.
-Estamos analisando a PARTE ${chunkIndex + 1} de uma transcrição longa em formato SRT.
-
-SUA MISSÃO:
-1. Encontre PELO MENOS 3 a 10 momentos virais (cortes) nesta parte da transcrição. Quanto mais cortes de qualidade, melhor.
-2. CADA CORTE DEVE TER UM TEMA ÚNICO (Início, Meio e Fim).
-3. Critérios OBRIGATÓRIOS:
-   - DURAÇÃO: 30s a 110s (Curtos e impactantes são bem-vindos).
-   - SEM SILÊNCIOS EXTRAS: Use os timestamps exatos da fala.
-   - ARCO NARRATIVO CLARO.
-   - EVITE cortes que dependam de contexto anterior não incluído.
-   - SEJA PRODUTIVO: Não se limite a apenas 1 corte. Explore todo o potencial do texto.
-
-Retorne APENAS um JSON válido com os cortes encontrados.
-Adicione um campo "score" (0-100) baseando-se na viralidade percebida (gancho forte, emoção, plot twist).
-
-Exemplo de Saída:
-{
-  "c1": { "start": 10.5, "end": 60.2, "titulo": "O segredo do sucesso", "score": 95 },
-  "c2": { "start": 100.0, "end": 150.0, "titulo": "Erro comum", "score": 80 }
+        const content = await provider.complete({
+            messages: [{ role: "system", content: "You output raw JSON." }, { role: "user", content: prompt }],
+            chunk: chunkInfo,
+            kind: 'summary'
+        }, { signal });
+        const parsed = JSON.parse(content);
+        if (!parsed || typeof parsed.resumo !== 'string' || parsed.resumo.trim() === '') {
+            throw new Error('response has no "resumo" text');
+        }
+        return parsed.resumo.trim().substring(0, MAX_SUMMARY_CHARS);
+    } catch (err) {
+        if (isAbortError(err) || (signal && signal.aborted)) throw err;
+        console.warn(`Chunk ${chunkIndex}: rolling summary failed (${err.message}), keeping the previous one.`);
+        return previousSummary;
+    }
 }
 
-Transcrição (Trecho):
-${textChunk}
-        `;
+// Analyze one chunk with retries. Returns { moments, failure } - failure is null when the output was fully valid.
+async function analyzeChunk(provider, profile, chunkEntries, chunkIndex, signal, previousSummary) {
+    // Reconstruct SRT text for this chunk
+    const textChunk = chunkEntries.map(e => e.fullBlock).join('\n\n');
+    const range = {
+        start: chunkEntries[0].startSeconds,
+        end: chunkEntries[chunkEntries.length - 1].endSeconds
+    };
+
+    const prompt = promptTemplates.renderChunkPrompt(profile, chunkIndex, textChunk, previousSummary);
+
+    const baseMessages = [{ role: "system", content: "You output raw JSON." }, { role: "user", content: prompt }];
+    const chunkInfo = { index: chunkIndex, start: range.start, end: range.end, entries: chunkEntries };
+
+    let messages = baseMessages;
+    let bestMoments = {};
+    let lastError = null;
+    let attempt = 0;
+
+    while (attempt < MAX_ATTEMPTS) {
+        attempt++;
+        let content;
+        try {
+            content = await provider.complete({ messages, chunk: chunkInfo, kind: 'moments' }, { signal });
+        } catch (err) {
+            // A cancelled job must stop here instead of continuing with the next chunk
+            if (isAbortError(err) || (signal && signal.aborted)) throw err;
+            lastError = err.message;
+            console.warn(`Chunk ${chunkIndex}: attempt ${attempt}/${MAX_ATTEMPTS} failed: ${err.message}`);
+            if (attempt < MAX_ATTEMPTS) await sleep(BACKOFF_BASE_MS * Math.pow(2, attempt - 1), signal);
+            continue;
+        }
 
-        const completion = await openai.chat.completions.create({
-            messages: [{ role: "system", content: "You output raw JSON." }, { role: "user", content: prompt }],
-            model: "gpt-5-nano",
-            response_format: { type: "json_object" }
-        });
+        let parsed;
+        let errors;
+        try {
+            parsed = JSON.parse(content);
+        } catch (err) {
+            errors = [`A resposta não é um JSON válido (${err.message}).`];
+        }
 
-        const content = completion.choices[0].message.content;
-        return JSON.parse(content);
-    } catch (err) {
-        console.warn(`Error analyzing chunk ${chunkIndex}:`, err.message);
-        return {};
+        let valid = {};
+        if (!errors) {
+            ({ moments: valid, errors } = validateMoments(parsed, range));
+        }
+        if (Object.keys(valid).length >= Object.keys(bestMoments).length) {
+            bestMoments = valid;
+        }
+
+        if (errors.length === 0) {
+            return { moments: valid, failure: null };
+        }
+
+        lastError = errors.join(' ');
+        console.warn(`Chunk ${chunkIndex}: attempt ${attempt}/${MAX_ATTEMPTS} returned invalid output (${errors.length} problems), asking for a repair...`);
+        // Only the latest bad answer is kept so the conversation does not grow with every retry
+        messages = [...baseMessages, { role: "assistant", content: String(content) }, { role: "user", content: promptTemplates.renderRepairPrompt(profile, errors) }];
     }
+
+    const validCount = Object.keys(bestMoments).length;
+    console.warn(`Error analyzing chunk ${chunkIndex}: ${lastError}` + (validCount > 0 ? ` (keeping ${validCount} valid moments)` : ''));
+    return {
+        moments: bestMoments,
+        failure: {
+            chunk: chunkIndex,
+            start: range.start,
+            end: range.end,
+            attempts: attempt,
+            partial: validCount > 0,
+            error: lastError
+        }
+    };
 }
 
-module.exports = { analyzeTranscription };
+module.exports = {
+    analyzeTranscription,
+    validateMoments,
+    getProvider,
+    loadAnalysisCache,
+    saveAnalysisCache,
+    getCacheStaleReason,
+    getCacheParams,
+    resolveChunking,
+    parseSRT,
+    parseTimestamp,
+    PROVIDERS
+};
@@ -0,0 +1,52 @@
+// Deterministic stand-in for an LLM: proposes clips at fixed positions inside each chunk.
+// Same transcript in, same moments out, so the pipeline can be exercised offline.
+const CLIP_SECONDS = 60;
+const STEP_SECONDS = 90;
+
+async function complete(request) {
+    const { chunk } = request;
+    if (request.kind === 'summary') {
+        return JSON.stringify({ resumo: `Partes 1 a ${chunk.index + 1} (até ${Math.round(chunk.end)}s).` });
+    }
+    if (request.kind === 'metadata') {
+        const firstLine = chunk.entries.length > 0 ? chunk.entries[0].text.slice(0, 60) : 'Corte';
+        return JSON.stringify({
+            titulos: [firstLine, `${firstLine} (parte ${chunk.index + 1})`],
+            ganchos: [`Você precisa ouvir isso: ${firstLine}`],
+            descricao: `${firstLine}. Siga para mais cortes!`,
+            hashtags: ['#cortes', '#shorts'],
+            capa: Math.round((chunk.end - chunk.start) / 3 * 10) / 10
+        });
+    }
+    if (request.kind === 'translation') {
+        // Same cues, tagged with the target language
+        return JSON.stringify({
+            legendas: chunk.entries.map((entry, i) => ({ id: i + 1, texto: `[${chunk.language}] ${entry.text}` }))
+        });
+    }
+
+    const moments = {};
+
+    let n = 1;
+    for (let start = chunk.start; start + 30 <= chunk.end; start += STEP_SECONDS) {
+        const end = Math.min(chunk.end, start + CLIP_SECONDS);
+        const firstLine = (chunk.entries.find(e => e.startSeconds >= start) || chunk.entries[0]).text;
+        moments[`c${n}`] = {
+            start: Math.round(start * 10) / 10,
+            end: Math.round(end * 10) / 10,
+            titulo: firstLine.slice(0, 40) || `Clip ${n}`,
+            // Falls with position so the ranking is stable
+            score: Math.max(1, 90 - (chunk.index * 5) - (n * 3))
+        };
+        n++;
+    }
+
+    return JSON.stringify(moments);
+}
+
+// Nothing to configure, the output only depends on the transcript
+function settings() {
+    return {};
+}
+
+module.exports = { name: 'mock', complete, settings };
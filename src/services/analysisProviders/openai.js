@@ -0,0 +1,31 @@
+const OpenAI = require('openai');
+
+let openai = null;
+
+// Created on first use so the other providers work without an API key
+function getClient() {
+    if (!openai) {
+        openai = new OpenAI({
+            apiKey: process.env.OPENAI_API_KEY,
+        });
+    }
+    return openai;
+}
+
+// request: { messages, chunk } - returns the raw message content
+async function complete(request, options = {}) {
+    const completion = await getClient().chat.completions.create({
+        messages: request.messages,
+        model: process.env.ANALYSIS_MODEL || "gpt-5-nano",
+        response_format: { type: "json_object" }
+    }, { signal: options.signal });
+
+    return completion.choices[0].message.content;
+}
+
+// Settings that change the answers (part of the analysis cache key)
+function settings() {
+    return { model: process.env.ANALYSIS_MODEL || "gpt-5-nano" };
+}
+
+module.exports = { name: 'openai', complete, settings };
@@ -0,0 +1,52 @@
+const OpenAI = require('openai');
+
+// Any server speaking the OpenAI chat API: Ollama, LM Studio, vLLM, llama.cpp server...
+//   ANALYSIS_BASE_URL         e.g. http://localhost:11434/v1 (Ollama) or http://localhost:1234/v1 (LM Studio)
+//   ANALYSIS_MODEL            model name as the server knows it
+//   ANALYSIS_API_KEY          only if the server wants one
+//   ANALYSIS_RESPONSE_FORMAT  json_object (default) or none, for servers that reject response_format
+let client = null;
+
+// Both settings are required, checked when the provider is picked (before any chunk is sent)
+function checkConfig() {
+    const missing = ['ANALYSIS_BASE_URL', 'ANALYSIS_MODEL'].filter(name => !process.env[name]);
+    if (missing.length > 0) {
+        throw new Error(`The openai-compatible analysis provider is not configured: set ${missing.join(' and ')}`);
+    }
+}
+
+function getClient() {
+    if (!client) {
+        client = new OpenAI({
+            baseURL: process.env.ANALYSIS_BASE_URL,
+            apiKey: process.env.ANALYSIS_API_KEY || 'not-needed',
+            // Local models can be slow on long chunks
+            timeout: parseInt(process.env.ANALYSIS_TIMEOUT_MS, 10) || 600000,
+        });
+    }
+    return client;
+}
+
+async function complete(request, options = {}) {
+    const params = {
+        messages: request.messages,
+        model: process.env.ANALYSIS_MODEL
+    };
+    if ((process.env.ANALYSIS_RESPONSE_FORMAT || 'json_object') !== 'none') {
+        params.response_format = { type: "json_object" };
+    }
+
+    const completion = await getClient().chat.completions.create(params, { signal: options.signal });
+    return completion.choices[0].message.content;
+}
+
+// Settings that change the answers (part of the analysis cache key)
+function settings() {
+    return {
+        baseURL: process.env.ANALYSIS_BASE_URL || null,
+        model: process.env.ANALYSIS_MODEL || null,
+        responseFormat: process.env.ANALYSIS_RESPONSE_FORMAT || 'json_object'
+    };
+}
+
+module.exports = { name: 'openai-compatible', checkConfig, complete, settings };
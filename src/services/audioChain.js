@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Audio post-processing of rendered clips: optional clean-up (high-pass, de-noise, compressor), a music bed
+// from the local library ducked under speech, EBU R128 loudness normalization and short fades at the edges.
+// This module builds the settings and filter graphs, videoProcessor.processClipAudio runs them.
+
+// Loudness targets per platform: integrated loudness (LUFS), true peak (dBTP), loudness range (LU)
+const LOUDNESS_TARGETS = {
+    youtube: { label: 'YouTube (-14 LUFS)', i: -14, tp: -1, lra: 11 },
+    tiktok: { label: 'TikTok / Reels / Shorts (-14 LUFS, tighter range)', i: -14, tp: -1, lra: 7 },
+    podcast: { label: 'Podcast (-16 LUFS)', i: -16, tp: -1.5, lra: 11 },
+    ebu: { label: 'Broadcast EBU R128 (-23 LUFS)', i: -23, tp: -1, lra: 15 }
+};
+
+// Music library folder, relative to the project root (data/music is git-ignored)
+const MUSIC_DIR = path.resolve(__dirname, '../../', process.env.MUSIC_DIR || 'data/music');
+const MUSIC_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.aac', '.ogg', '.flac'];
+
+const DEFAULTS = {
+    // Target name from LOUDNESS_TARGETS, or "off"
+    loudness: process.env.AUDIO_LOUDNESS || 'youtube',
+    // Cut-off in Hz for rumble and handling noise, 0 = off
+    highpass: 0,
+    denoise: false,
+    compressor: false,
+    // Seconds
+    fadeIn: process.env.AUDIO_FADE !== undefined ? parseFloat(process.env.AUDIO_FADE) : 0.1,
+    fadeOut: process.env.AUDIO_FADE !== undefined ? parseFloat(process.env.AUDIO_FADE) : 0.1,
+    // { track: filename in MUSIC_DIR or "random", volumeDb, duck }
+    music: null
+};
+const MUSIC_DEFAULTS = { track: 'random', volumeDb: -20, duck: true };
+// Noise floor of the FFT de-noiser in dB, lower removes less
+const DENOISE_NOISE_FLOOR = parseFloat(process.env.AUDIO_DENOISE_NF) || -25;
+// Longest fade that still leaves the clip audible
+const MAX_FADE_SECONDS = 3;
+
+// Music tracks of the library, by filename
+function listMusicTracks() {
+    if (!fs.existsSync(MUSIC_DIR)) return [];
+    return fs.readdirSync(MUSIC_DIR)
+        .filter(file => MUSIC_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort();
+}
+
+// Helper: Validate the music bed options
+function resolveMusic(music) {
+    if (!music) return null;
+    const settings = { ...MUSIC_DEFAULTS, ...(typeof music === 'string' ? { track: music } : music) };
+    // Only filenames inside the library, never paths
+    if (settings.track !== 'random' && (path.basename(settings.track) !== settings.track || !listMusicTracks().includes(settings.track))) {
+        throw new Error(`Music track "${settings.track}" is not in the music library (${MUSIC_DIR})`);
+    }
+    if (settings.track === 'random' && listMusicTracks().length === 0) {
+        throw new Error(`The music library (${MUSIC_DIR}) is empty`);
+    }
+    settings.volumeDb = Number(settings.volumeDb);
+    if (!Number.isFinite(settings.volumeDb) || settings.volumeDb > 0) {
+        throw new Error('Music volume must be a number of dB <= 0');
+    }
+    settings.duck = settings.duck !== false;
+    return settings;
+}
+
+// Merge clip audio options with the defaults and validate them
+function resolveAudioSettings(options = {}) {
+    const settings = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+        if (options[key] !== undefined && options[key] !== null && options[key] !== '') settings[key] = options[key];
+    });
+
+    if (settings.loudness === false) settings.loudness = 'off';
+    if (settings.loudness !== 'off' && !LOUDNESS_TARGETS[settings.loudness]) {
+        throw new Error(`Unknown loudness target "${settings.loudness}". Use one of: ${Object.keys(LOUDNESS_TARGETS).join(', ')}, off`);
+    }
+    settings.highpass = settings.highpass === true ? 80 : Number(settings.highpass || 0);
+    if (!Number.isFinite(settings.highpass) || settings.highpass < 0 || settings.highpass > 1000) {
+        throw new Error('High-pass cut-off must be between 0 (off) and 1000 Hz');
+    }
+    settings.denoise = !!settings.denoise;
+    settings.compressor = !!settings.compressor;
+    ['fadeIn', 'fadeOut'].forEach(key => {
+        settings[key] = Number(settings[key]);
+        if (!Number.isFinite(settings[key]) || settings[key] < 0 || settings[key] > MAX_FADE_SECONDS) {
+            throw new Error(`Audio option "${key}" must be between 0 and ${MAX_FADE_SECONDS} seconds`);
+        }
+    });
+    settings.music = resolveMusic(settings.music);
+    return settings;
+}
+
+// Does the chain change anything? (no post-processing pass otherwise)
+function isActive(settings) {
+    return settings.loudness !== 'off' || settings.highpass > 0 || settings.denoise || settings.compressor
+        || settings.fadeIn > 0 || settings.fadeOut > 0 || !!settings.music;
+}
+
+// Music file for a clip. "random" picks from the library by seed, so a clip keeps its track on re-renders.
+function resolveMusicPath(music, seed) {
+    if (!music) return null;
+    if (music.track !== 'random') return path.join(MUSIC_DIR, music.track);
+    const tracks = listMusicTracks();
+    const index = parseInt(crypto.createHash('sha256').update(String(seed)).digest('hex').substring(0, 8), 16) % tracks.length;
+    return path.join(MUSIC_DIR, tracks[index]);
+}
+
+// Helper: Clean-up filters on the voice, in order
+function cleanupFilters(settings) {
+    const filters = [];
+    if (settings.highpass > 0) filters.push(`highpass=f=${settings.highpass}`);
+    if (settings.denoise) filters.push(`afftdn=nf=${DENOISE_NOISE_FLOOR}`);
+    if (settings.compressor) filters.push('acompressor=threshold=-20dB:ratio=3:attack=5:release=250:makeup=2');
+    return filters;
+}
+
+// loudnorm in measuring mode (first pass)
+function loudnormMeasureFilter(settings) {
+    const target = LOUDNESS_TARGETS[settings.loudness];
+    return `loudnorm=I=${target.i}:TP=${target.tp}:LRA=${target.lra}:print_format=json`;
+}
+
+// The measurement loudnorm prints at the end of the first pass
+function parseLoudnormReport(stderr) {
+    const match = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+    if (!match) throw new Error('Loudness measurement missing from the ffmpeg output');
+    return JSON.parse(match[0]);
+}
+
+// loudnorm with the first pass' measurement (second pass, linear gain). null for silent audio.
+function loudnormApplyFilter(settings, measured) {
+    const inputI = parseFloat(measured.input_i);
+    if (!Number.isFinite(inputI)) return null;
+    const target = LOUDNESS_TARGETS[settings.loudness];
+    return `loudnorm=I=${target.i}:TP=${target.tp}:LRA=${target.lra}`
+        + `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}`
+        + `:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true`;
+}
+
+// The -filter_complex graph from the clip audio ([0:a], music on [1:a]) to [aout].
+// options: { duration (clip length, for the fade out), loudnorm (filter or null), fades, sampleRate }
+function buildAudioGraph(settings, options = {}) {
+    const parts = [];
+    const voiceFilters = cleanupFilters(settings);
+    parts.push(`[0:a]${voiceFilters.length > 0 ? voiceFilters.join(',') : 'anull'}[voice]`);
+
+    let mixed = '[voice]';
+    if (settings.music) {
+        parts.push(`[1:a]volume=${settings.music.volumeDb}dB,aresample=${options.sampleRate || 48000}[bed]`);
+        if (settings.music.duck) {
+            // The speech drives a compressor on the music: the bed drops while someone talks
+            parts.push('[voice]asplit=2[voicemix][voicekey]');
+            parts.push('[bed][voicekey]sidechaincompress=threshold=0.02:ratio=8:attack=20:release=400[ducked]');
+            parts.push('[voicemix][ducked]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[mixed]');
+        } else {
+            parts.push('[voice][bed]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[mixed]');
+        }
+        mixed = '[mixed]';
+    }
+
+    const finalFilters = [];
+    if (options.loudnorm) finalFilters.push(options.loudnorm);
+    if (options.fades) {
+        if (settings.fadeIn > 0) finalFilters.push(`afade=t=in:st=0:d=${settings.fadeIn}`);
+        if (settings.fadeOut > 0 && options.duration) {
+            const fadeOut = Math.min(settings.fadeOut, options.duration);
+            finalFilters.push(`afade=t=out:st=${(options.duration - fadeOut).toFixed(3)}:d=${fadeOut}`);
+        }
+    }
+    // loudnorm works at 192 kHz internally, bring it back to the output rate
+    if (options.sampleRate) finalFilters.push(`aresample=${options.sampleRate}`);
+    parts.push(`${mixed}${finalFilters.length > 0 ? finalFilters.join(',') : 'anull'}[aout]`);
+    return parts.join(';');
+}
+
+module.exports = {
+    LOUDNESS_TARGETS,
+    MUSIC_DIR,
+    listMusicTracks,
+    resolveAudioSettings,
+    isActive,
+    resolveMusicPath,
+    loudnormMeasureFilter,
+    parseLoudnormReport,
+    loudnormApplyFilter,
+    buildAudioGraph
+};
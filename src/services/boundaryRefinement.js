@@ -0,0 +1,176 @@
+const { parseSRT } = require('./srt');
+
+// Duration rule from the analysis prompt
+const MIN_CLIP_SECONDS = 30;
+const MAX_CLIP_SECONDS = 110;
+// How far (seconds) a cut point may move to reach a clean boundary
+const DEFAULT_TOLERANCE = parseFloat(process.env.BOUNDARY_TOLERANCE) || 1.5;
+// Pause between words long enough to count as a natural cut point
+const MIN_PAUSE_SECONDS = 0.3;
+// Breathing room so the first/last syllable is not clipped
+const LEAD_IN = 0.1;
+const TAIL_OUT = 0.25;
+
+const SENTENCE_END = /[.!?…]["')\]]*$/;
+
+// Helper: Collect the places where a clip may start or end.
+// starts/ends are sorted arrays of seconds on the clean timeline.
+function collectBoundaries({ entries, words, segmentMap }) {
+    const starts = [];
+    const ends = [];
+
+    // Sentence boundaries from the SRT cues
+    entries.forEach((entry, i) => {
+        const prev = entries[i - 1];
+        if (!prev || SENTENCE_END.test(prev.text.trim())) starts.push(entry.startSeconds);
+        if (SENTENCE_END.test(entry.text.trim())) ends.push(entry.endSeconds);
+    });
+
+    // Sentence boundaries and pauses from word timings (more precise than cues)
+    if (words && words.length > 0) {
+        words.forEach((w, i) => {
+            const prev = words[i - 1];
+            const next = words[i + 1];
+            if (!prev || SENTENCE_END.test(prev.word.trim()) || w.start - prev.end >= MIN_PAUSE_SECONDS) {
+                starts.push(w.start);
+            }
+            if (!next || SENTENCE_END.test(w.word.trim()) || next.start - w.end >= MIN_PAUSE_SECONDS) {
+                ends.push(w.end);
+            }
+        });
+    }
+
+    // Where removeSilence joined two segments there was a pause in the original
+    if (segmentMap) {
+        segmentMap.segments.forEach((seg, i) => {
+            if (i > 0) starts.push(seg.cleanStart);
+            if (i < segmentMap.segments.length - 1) ends.push(seg.cleanEnd);
+        });
+    }
+
+    const sortUnique = (list) => Array.from(new Set(list.map(t => Math.round(t * 1000) / 1000))).sort((a, b) => a - b);
+    return { starts: sortUnique(starts), ends: sortUnique(ends) };
+}
+
+// Helper: Closest candidate to target within tolerance, or null
+function nearest(candidates, target, tolerance) {
+    let best = null;
+    candidates.forEach(c => {
+        const distance = Math.abs(c - target);
+        if (distance <= tolerance && (best === null || distance < Math.abs(best - target))) best = c;
+    });
+    return best;
+}
+
+// Helper: Word that contains time t, if any
+function wordAt(words, t) {
+    if (!words) return null;
+    return words.find(w => w.start <= t && t <= w.end) || null;
+}
+
+// Snap one clip. Returns { start, end, reasons }.
+function refineClip(moment, boundaries, words, options) {
+    const { tolerance, minDuration, maxDuration, totalDuration } = options;
+    const reasons = [];
+    let start = moment.start;
+    let end = moment.end;
+
+    // 1. Start: nearest sentence/pause start, else the start of the word it lands in
+    const snappedStart = nearest(boundaries.starts, start, tolerance);
+    if (snappedStart !== null) {
+        start = snappedStart;
+        reasons.push('start snapped to sentence/pause');
+    } else {
+        const word = wordAt(words, start);
+        if (word) {
+            start = word.start;
+            reasons.push('start moved to word start');
+        }
+    }
+
+    // 2. End: nearest sentence/pause end, else the end of the word it lands in
+    const snappedEnd = nearest(boundaries.ends, end, tolerance);
+    if (snappedEnd !== null) {
+        end = snappedEnd;
+        reasons.push('end snapped to sentence/pause');
+    } else {
+        const word = wordAt(words, end);
+        if (word) {
+            end = word.end;
+            reasons.push('end moved to word end');
+        }
+    }
+
+    // 3. Duration rule: extend short clips / shorten long ones to the next clean boundary
+    if (end - start < minDuration) {
+        const candidate = boundaries.ends.find(e => e - start >= minDuration && e - start <= maxDuration);
+        end = candidate !== undefined ? candidate : start + minDuration;
+        reasons.push(`extended to minimum ${minDuration}s`);
+    } else if (end - start > maxDuration) {
+        const fitting = boundaries.ends.filter(e => e - start >= minDuration && e - start <= maxDuration);
+        end = fitting.length > 0 ? fitting[fitting.length - 1] : start + maxDuration;
+        reasons.push(`trimmed to maximum ${maxDuration}s`);
+    }
+
+    // 4. Small lead-in/tail so the first and last syllables survive the cut
+    start = Math.max(0, start - LEAD_IN);
+    end = Math.min(end + TAIL_OUT, start + maxDuration);
+    if (totalDuration) end = Math.min(totalDuration, end);
+
+    return {
+        start: Math.round(start * 1000) / 1000,
+        end: Math.round(end * 1000) / 1000,
+        reasons
+    };
+}
+
+// Refine every moment that has not been refined yet.
+// context: { srt, words, segmentMap, totalDuration }, options: { tolerance, minDuration, maxDuration }
+// Returns { moments, adjustedCount }. Each refined moment keeps the LLM times under `refinement`.
+function refineMoments(moments, context, options = {}) {
+    const settings = {
+        tolerance: options.tolerance !== undefined ? options.tolerance : DEFAULT_TOLERANCE,
+        minDuration: options.minDuration || MIN_CLIP_SECONDS,
+        maxDuration: options.maxDuration || MAX_CLIP_SECONDS,
+        totalDuration: context.totalDuration
+    };
+    const entries = typeof context.srt === 'string' ? parseSRT(context.srt) : [];
+    const boundaries = collectBoundaries({ entries, words: context.words, segmentMap: context.segmentMap });
+
+    const refined = {};
+    let adjustedCount = 0;
+
+    for (const [key, moment] of Object.entries(moments)) {
+        // Already refined, or edited by hand in the review screen: leave it alone
+        if (moment.refinement || moment.edited) {
+            refined[key] = moment;
+            continue;
+        }
+
+        const result = refineClip(moment, boundaries, context.words, settings);
+        const startShift = result.start - moment.start;
+        const endShift = result.end - moment.end;
+        adjustedCount++;
+
+        console.log(`Boundary refinement ${key}: start ${moment.start.toFixed(2)} -> ${result.start.toFixed(2)} (${startShift >= 0 ? '+' : ''}${startShift.toFixed(2)}s), ` +
+            `end ${moment.end.toFixed(2)} -> ${result.end.toFixed(2)} (${endShift >= 0 ? '+' : ''}${endShift.toFixed(2)}s)` +
+            (result.reasons.length > 0 ? ` [${result.reasons.join(', ')}]` : ''));
+
+        refined[key] = {
+            ...moment,
+            start: result.start,
+            end: result.end,
+            refinement: {
+                llmStart: moment.start,
+                llmEnd: moment.end,
+                startShift: Math.round(startShift * 1000) / 1000,
+                endShift: Math.round(endShift * 1000) / 1000,
+                reasons: result.reasons
+            }
+        };
+    }
+
+    return { moments: refined, adjustedCount };
+}
+
+module.exports = { refineMoments, collectBoundaries, MIN_CLIP_SECONDS, MAX_CLIP_SECONDS };
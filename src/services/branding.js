@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Branding templates: branding/<name>/template.json plus the asset files it names (logo, font, intro, outro),
+// paths relative to the template folder. A template may use any of:
+//   hook         the clip title (titulo) as a text card during the first seconds
+//   watermark    a PNG logo in a corner
+//   progressBar  a bar that fills up while the clip plays
+//   intro/outro  video files joined before/after every clip (they need an audio track)
+// Sizes are relative to a 1920px tall frame and scaled to the output, like the caption presets.
+const BRANDING_DIR = path.resolve(__dirname, '../../', process.env.BRANDING_DIR || 'branding');
+const TEMPLATE_FILE = 'template.json';
+// Intro/outro versions rendered for each output shape and encoding
+const CACHE_DIR_NAME = '.cache';
+
+const HOOK_DEFAULTS = {
+    // fontFile (in the template folder) wins over the font family name
+    font: 'Arial',
+    fontFile: null,
+    size: 84,
+    color: '#FFFFFF',
+    boxColor: '#000000',
+    boxOpacity: 0.6,
+    boxPadding: 24,
+    position: 'top',
+    marginY: 220,
+    // Seconds the hook stays on screen
+    duration: 3,
+    maxCharsPerLine: 22,
+    uppercase: false
+};
+const WATERMARK_DEFAULTS = {
+    position: 'top-right',
+    // Share of the frame width
+    width: 0.18,
+    margin: 40,
+    opacity: 0.85
+};
+const PROGRESS_BAR_DEFAULTS = {
+    color: '#FFE600',
+    height: 14,
+    position: 'bottom'
+};
+const HOOK_POSITIONS = ['top', 'center', 'bottom'];
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Helper: Absolute path of an asset, which has to stay inside the template folder
+function resolveAsset(dir, file, what) {
+    const assetPath = path.resolve(dir, file);
+    if (path.relative(dir, assetPath).startsWith('..') || path.isAbsolute(path.relative(dir, assetPath))) {
+        throw new Error(`Branding ${what} "${file}" must be inside the template folder`);
+    }
+    if (!fs.existsSync(assetPath)) {
+        throw new Error(`Branding ${what} not found: ${assetPath}`);
+    }
+    return assetPath;
+}
+
+// Helper: Colors are written as #RRGGBB
+function checkColor(color, what) {
+    if (!/^#[0-9a-fA-F]{6}$/.test(color)) {
+        throw new Error(`Branding ${what} must be a #RRGGBB color, got "${color}"`);
+    }
+    return color;
+}
+
+// Helper: A section of the template merged with its defaults, or null when absent or disabled
+function section(config, defaults) {
+    if (!config || config.enabled === false) return null;
+    return { ...defaults, ...config };
+}
+
+// Load and validate a template. Returns { name, dir, description, hook, watermark, progressBar, intro, outro, hash }
+// with asset paths made absolute. The hash covers the JSON and the assets, so clips are re-rendered when they change.
+function loadTemplate(name) {
+    if (!name || path.basename(name) !== name) {
+        throw new Error(`Invalid branding template name "${name}"`);
+    }
+    const dir = path.join(BRANDING_DIR, name);
+    const templatePath = path.join(dir, TEMPLATE_FILE);
+    if (!fs.existsSync(templatePath)) {
+        throw new Error(`Unknown branding template "${name}". Use one of: ${listTemplates().map(t => t.name).join(', ') || '(none)'}`);
+    }
+    const config = JSON.parse(fs.readFileSync(templatePath, 'utf8'));
+
+    const hook = section(config.hook, HOOK_DEFAULTS);
+    if (hook) {
+        if (!HOOK_POSITIONS.includes(hook.position)) {
+            throw new Error(`Unknown hook position "${hook.position}". Use one of: ${HOOK_POSITIONS.join(', ')}`);
+        }
+        if (hook.fontFile) hook.fontFile = resolveAsset(dir, hook.fontFile, 'font');
+        checkColor(hook.color, 'hook color');
+        checkColor(hook.boxColor, 'hook box color');
+        hook.maxCharsPerLine = Math.max(1, parseInt(hook.maxCharsPerLine, 10) || 1);
+    }
+
+    const watermark = section(config.watermark, WATERMARK_DEFAULTS);
+    if (watermark) {
+        if (!watermark.file) throw new Error('Branding watermark needs a "file"');
+        watermark.file = resolveAsset(dir, watermark.file, 'watermark');
+        if (!WATERMARK_POSITIONS.includes(watermark.position)) {
+            throw new Error(`Unknown watermark position "${watermark.position}". Use one of: ${WATERMARK_POSITIONS.join(', ')}`);
+        }
+    }
+
+    const progressBar = section(config.progressBar, PROGRESS_BAR_DEFAULTS);
+    if (progressBar) {
+        checkColor(progressBar.color, 'progress bar color');
+        if (!['top', 'bottom'].includes(progressBar.position)) {
+            throw new Error(`Unknown progress bar position "${progressBar.position}". Use "top" or "bottom".`);
+        }
+    }
+
+    const intro = config.intro ? resolveAsset(dir, config.intro, 'intro') : null;
+    const outro = config.outro ? resolveAsset(dir, config.outro, 'outro') : null;
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify(config));
+    [hook && hook.fontFile, watermark && watermark.file, intro, outro].filter(Boolean).forEach(file => {
+        const stat = fs.statSync(file);
+        hash.update(`${path.basename(file)}:${stat.size}:${stat.mtimeMs}`);
+    });
+
+    return {
+        name,
+        dir,
+        description: config.description || '',
+        hook,
+        watermark,
+        progressBar,
+        intro,
+        outro,
+        hash: hash.digest('hex').substring(0, 16)
+    };
+}
+
+// Template list for the UI/API
+function listTemplates() {
+    if (!fs.existsSync(BRANDING_DIR)) return [];
+    return fs.readdirSync(BRANDING_DIR)
+        .filter(name => fs.existsSync(path.join(BRANDING_DIR, name, TEMPLATE_FILE)))
+        .sort()
+        .map(name => {
+            const config = JSON.parse(fs.readFileSync(path.join(BRANDING_DIR, name, TEMPLATE_FILE), 'utf8'));
+            return { name, description: config.description || '' };
+        });
+}
+
+// Split a title into lines of at most maxChars (longer words get a line of their own)
+function wrapTitle(text, maxChars) {
+    const lines = [];
+    String(text || '').trim().split(/\s+/).filter(Boolean).forEach(word => {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
+        }
+    });
+    return lines;
+}
+
+// Folder for the intro/outro versions rendered from a template's files
+function cacheDir(template) {
+    return path.join(template.dir, CACHE_DIR_NAME);
+}
+
+module.exports = {
+    BRANDING_DIR,
+    HOOK_POSITIONS,
+    WATERMARK_POSITIONS,
+    loadTemplate,
+    listTemplates,
+    wrapTitle,
+    cacheDir
+};
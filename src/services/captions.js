@@ -0,0 +1,272 @@
+const path = require('path');
+const fs = require('fs');
+const { parseSRT, formatSrtTime, buildSRT } = require('./srt');
+const languages = require('./languages');
+
+// Caption style presets. Sizes are relative to a 1920px tall frame and scaled to the output.
+// karaoke: highlight each word as it is spoken (ASS \k tags)
+const CAPTION_PRESETS = {
+    classic: {
+        font: 'Arial',
+        size: 64,
+        bold: true,
+        color: '#FFFFFF',
+        highlightColor: '#FFFFFF',
+        outlineColor: '#000000',
+        outline: 4,
+        shadow: 0,
+        position: 'bottom',
+        marginV: 260,
+        maxWordsPerLine: 7,
+        karaoke: false,
+        uppercase: false
+    },
+    karaoke: {
+        font: 'Arial',
+        size: 84,
+        bold: true,
+        color: '#FFFFFF',
+        highlightColor: '#FFE600',
+        outlineColor: '#000000',
+        outline: 6,
+        shadow: 2,
+        position: 'center',
+        marginV: 0,
+        maxWordsPerLine: 3,
+        karaoke: true,
+        uppercase: true
+    },
+    minimal: {
+        font: 'Helvetica',
+        size: 56,
+        bold: false,
+        color: '#FFFFFF',
+        highlightColor: '#FFFFFF',
+        outlineColor: '#000000',
+        outline: 2,
+        shadow: 1,
+        position: 'bottom',
+        marginV: 160,
+        maxWordsPerLine: 8,
+        karaoke: false,
+        uppercase: false
+    },
+    headline: {
+        font: 'Impact',
+        size: 96,
+        bold: false,
+        color: '#FFFFFF',
+        highlightColor: '#00E5FF',
+        outlineColor: '#000000',
+        outline: 7,
+        shadow: 0,
+        position: 'top',
+        marginV: 320,
+        maxWordsPerLine: 2,
+        karaoke: true,
+        uppercase: true
+    }
+};
+
+const SIDECAR_FORMATS = ['srt', 'vtt'];
+
+// ASS numpad alignment: bottom-center, middle-center, top-center
+const ALIGNMENT = { bottom: 2, center: 5, top: 8 };
+
+// Helper: Merge a preset with per-job overrides
+function resolveStyle(captionOptions = {}) {
+    const presetName = captionOptions.preset || 'classic';
+    const preset = CAPTION_PRESETS[presetName];
+    if (!preset) {
+        throw new Error(`Unknown caption preset "${presetName}". Use one of: ${Object.keys(CAPTION_PRESETS).join(', ')}`);
+    }
+    const style = { ...preset, ...(captionOptions.style || {}) };
+    if (!ALIGNMENT[style.position]) {
+        throw new Error(`Unknown caption position "${style.position}". Use one of: ${Object.keys(ALIGNMENT).join(', ')}`);
+    }
+    style.maxWordsPerLine = Math.max(1, parseInt(style.maxWordsPerLine, 10) || 1);
+    return { presetName, style };
+}
+
+// Helper: Validate sidecar formats requested for a job
+function resolveSidecars(captionOptions = {}) {
+    const sidecars = captionOptions.sidecars || [];
+    sidecars.forEach(format => {
+        if (!SIDECAR_FORMATS.includes(format)) {
+            throw new Error(`Unknown subtitle sidecar format "${format}". Use one of: ${SIDECAR_FORMATS.join(', ')}`);
+        }
+    });
+    return sidecars;
+}
+
+// Helper: Language of the burned-in captions (ISO 639-1), null for the spoken language.
+// Captions in another language use the clip's translation (see translation.js).
+function resolveCaptionLanguage(captionOptions = {}) {
+    if (!captionOptions || !captionOptions.language) return null;
+    return languages.resolveLanguage(captionOptions.language, 'caption language');
+}
+
+// Slice the transcript to [start, end] and shift it so the clip starts at zero.
+// Cues crossing the window edges are clamped.
+function sliceCues(srtContent, start, end) {
+    return parseSRT(srtContent)
+        .filter(entry => entry.endSeconds > start && entry.startSeconds < end)
+        .map(entry => ({
+            start: Math.max(0, entry.startSeconds - start),
+            end: Math.min(end, entry.endSeconds) - start,
+            text: entry.text.trim()
+        }))
+        .filter(cue => cue.end > cue.start && cue.text !== '');
+}
+
+// Helper: Split a cue into caption lines of at most maxWords words.
+// Timing inside a cue is spread by character count, which tracks speech better than word count.
+function splitCue(cue, maxWords) {
+    const words = cue.text.split(/\s+/).filter(Boolean);
+    const totalChars = words.reduce((sum, w) => sum + w.length, 0) || 1;
+    const duration = cue.end - cue.start;
+
+    let cursor = cue.start;
+    const timedWords = words.map(word => {
+        const wordDuration = (word.length / totalChars) * duration;
+        const timed = { text: word, start: cursor, end: cursor + wordDuration };
+        cursor += wordDuration;
+        return timed;
+    });
+
+    const lines = [];
+    for (let i = 0; i < timedWords.length; i += maxWords) {
+        const lineWords = timedWords.slice(i, i + maxWords);
+        lines.push({
+            start: lineWords[0].start,
+            end: lineWords[lineWords.length - 1].end,
+            words: lineWords
+        });
+    }
+    return lines;
+}
+
+// Helper: Seconds to ASS time "H:MM:SS.cc"
+function formatAssTime(seconds) {
+    const totalCs = Math.max(0, Math.round(seconds * 100));
+    const h = Math.floor(totalCs / 360000);
+    const m = Math.floor((totalCs % 360000) / 6000);
+    const s = Math.floor((totalCs % 6000) / 100);
+    const cs = totalCs % 100;
+    return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+}
+
+// Helper: "#RRGGBB" to ASS "&H00BBGGRR"
+function toAssColor(hex) {
+    const clean = hex.replace('#', '');
+    const r = clean.substring(0, 2);
+    const g = clean.substring(2, 4);
+    const b = clean.substring(4, 6);
+    return `&H00${b}${g}${r}`.toUpperCase();
+}
+
+// Helper: Escape characters ASS would read as override blocks or line breaks
+function escapeAssText(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\{/g, '\\{').replace(/\}/g, '\\}').replace(/\n/g, ' ');
+}
+
+// Build an ASS document for the given zero-based cues.
+// frame: { width, height } of the rendered clip so positions match the output profile.
+function buildASS(cues, captionOptions = {}, frame = { width: 1920, height: 1080 }) {
+    const { style } = resolveStyle(captionOptions);
+    const scale = frame.height / 1920;
+    const fontSize = Math.round(style.size * scale);
+    const outline = Math.max(0, Math.round(style.outline * scale * 10) / 10);
+    const marginV = Math.round(style.marginV * scale);
+
+    // In karaoke mode ASS fills from SecondaryColour to PrimaryColour as each word is spoken
+    const primary = toAssColor(style.karaoke ? style.highlightColor : style.color);
+    const secondary = toAssColor(style.color);
+
+    const header = [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        `PlayResX: ${frame.width}`,
+        `PlayResY: ${frame.height}`,
+        'WrapStyle: 0',
+        'ScaledBorderAndShadow: yes',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        `Style: Caption,${style.font},${fontSize},${primary},${secondary},${toAssColor(style.outlineColor)},&H80000000,${style.bold ? -1 : 0},0,0,0,100,100,0,0,1,${outline},${style.shadow},${ALIGNMENT[style.position]},60,60,${marginV},1`,
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+    ];
+
+    const events = [];
+    cues.forEach(cue => {
+        splitCue(cue, style.maxWordsPerLine).forEach(line => {
+            const text = line.words.map(word => {
+                const wordText = escapeAssText(style.uppercase ? word.text.toUpperCase() : word.text);
+                if (!style.karaoke) return wordText;
+                const centiseconds = Math.max(1, Math.round((word.end - word.start) * 100));
+                return `{\\k${centiseconds}}${wordText}`;
+            }).join(' ');
+            events.push(`Dialogue: 0,${formatAssTime(line.start)},${formatAssTime(line.end)},Caption,,0,0,0,,${text}`);
+        });
+    });
+
+    return [...header, ...events].join('\n') + '\n';
+}
+
+function buildVTT(cues) {
+    const body = cues.map(cue =>
+        `${formatSrtTime(cue.start, '.')} --> ${formatSrtTime(cue.end, '.')}\n${cue.text}`
+    ).join('\n\n');
+    return `WEBVTT\n\n${body}\n`;
+}
+
+// Write the caption files for one clip. cues: zero-based cues to use instead of the transcript slice
+// (a translation), the sidecars then carry the same text as the burned-in captions.
+// Returns { assPath, sidecars } - assPath is a temp file for processVideo to burn in.
+function writeClipCaptions(srtContent, start, end, clipOutputPath, captionOptions = {}, frame, translatedCues) {
+    const cues = translatedCues || sliceCues(srtContent, start, end);
+    const base = clipOutputPath.replace(path.extname(clipOutputPath), '');
+
+    const assPath = `${base}.ass`;
+    fs.writeFileSync(assPath, buildASS(cues, captionOptions, frame));
+
+    const sidecars = resolveSidecars(captionOptions).map(format => {
+        const sidecarPath = `${base}.${format}`;
+        fs.writeFileSync(sidecarPath, format === 'vtt' ? buildVTT(cues) : buildSRT(cues));
+        return sidecarPath;
+    });
+
+    console.log(`Captions: ${cues.length} cues for clip ${path.basename(clipOutputPath)}`);
+    return { assPath, sidecars, cueCount: cues.length };
+}
+
+// Write translated subtitles next to a clip: <clip>.<language>.srt (and .vtt).
+// cuesByLanguage: { code: zero-based cues }. Returns { code: [paths] }.
+function writeTranslatedSidecars(clipOutputPath, cuesByLanguage, formats = ['srt']) {
+    const base = clipOutputPath.replace(path.extname(clipOutputPath), '');
+    const written = {};
+    Object.entries(cuesByLanguage).forEach(([code, cues]) => {
+        written[code] = formats.map(format => {
+            const sidecarPath = `${base}.${code}.${format}`;
+            fs.writeFileSync(sidecarPath, format === 'vtt' ? buildVTT(cues) : buildSRT(cues));
+            return sidecarPath;
+        });
+    });
+    return written;
+}
+
+module.exports = {
+    CAPTION_PRESETS,
+    SIDECAR_FORMATS,
+    resolveStyle,
+    resolveSidecars,
+    resolveCaptionLanguage,
+    sliceCues,
+    buildASS,
+    buildSRT,
+    buildVTT,
+    writeClipCaptions,
+    writeTranslatedSidecars
+};
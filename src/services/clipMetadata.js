@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const analysisService = require('./analysis');
+const promptTemplates = require('./promptTemplates');
+const stageEngine = require('./stageEngine');
+const { isAbortError, throwIfAborted } = require('./jobQueue');
+const { parseSRT } = require('./srt');
+
+// Publishing metadata per clip: title and hook options, a caption/description, hashtags and a suggested
+// cover frame, written by the analysis provider from the clip's transcript slice. The answers are cached
+// per clip in <video>_metadata.json; after rendering, candidate thumbnails are cut from the clip and
+// everything is written to a <clip>.json sidecar next to the mp4.
+
+const DEFAULTS = {
+    // CLIP_METADATA=false turns the extra provider requests off by default
+    enabled: process.env.CLIP_METADATA !== 'false',
+    // Title and hook options asked for
+    titleCount: 3,
+    // Candidate cover frames per clip, 0 = none
+    thumbnails: parseInt(process.env.CLIP_THUMBNAILS, 10) >= 0 ? parseInt(process.env.CLIP_THUMBNAILS, 10) : 3,
+    // Draw the first title option on the cover frames
+    thumbnailTitle: false
+};
+const MAX_TITLE_COUNT = 10;
+const MAX_THUMBNAILS = 10;
+const MAX_HASHTAGS = 15;
+// Attempts per clip (provider errors and invalid output both count), fewer than the analysis: a failed clip
+// keeps its titulo and gets no copy
+const MAX_ATTEMPTS = parseInt(process.env.METADATA_MAX_ATTEMPTS, 10) || 2;
+// Candidate frames closer than this to another one are skipped
+const MIN_THUMBNAIL_GAP_SECONDS = 1;
+
+// Merge metadata options with the defaults and validate them
+function resolveMetadataSettings(options = {}) {
+    const settings = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+        if (options[key] !== undefined && options[key] !== null && options[key] !== '') settings[key] = options[key];
+    });
+    settings.enabled = settings.enabled !== false && settings.enabled !== 'false';
+    settings.thumbnailTitle = settings.thumbnailTitle === true || settings.thumbnailTitle === 'true';
+    [['titleCount', 1, MAX_TITLE_COUNT], ['thumbnails', 0, MAX_THUMBNAILS]].forEach(([key, min, max]) => {
+        settings[key] = Number(settings[key]);
+        if (!Number.isInteger(settings[key]) || settings[key] < min || settings[key] > max) {
+            throw new Error(`Metadata option "${key}" must be a whole number from ${min} to ${max}`);
+        }
+    });
+    return settings;
+}
+
+// Helper: Cues of the transcript inside a clip, with times relative to the clip start
+function clipTranscript(srt, start, end) {
+    if (typeof srt !== 'string') return [];
+    return parseSRT(srt)
+        .filter(entry => entry.endSeconds > start && entry.startSeconds < end)
+        .map(entry => ({ start: Math.max(0, entry.startSeconds - start), end: Math.min(end, entry.endSeconds) - start, text: entry.text }));
+}
+
+// Helper: List of non-empty strings from an answer field
+function stringList(value) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim() !== '').map(item => item.trim()) : [];
+}
+
+// Strict check of the provider's answer for one clip. Returns { metadata, errors }.
+function validateMetadata(parsed, duration) {
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { metadata: null, errors: ['A resposta deve ser um objeto JSON com titulos, ganchos, descricao, hashtags e capa.'] };
+    }
+    const errors = [];
+    const titles = stringList(parsed.titulos);
+    const hooks = stringList(parsed.ganchos);
+    if (titles.length === 0) errors.push('"titulos" deve ser uma lista de textos não vazia.');
+    if (hooks.length === 0) errors.push('"ganchos" deve ser uma lista de textos não vazia.');
+    if (typeof parsed.descricao !== 'string' || parsed.descricao.trim() === '') {
+        errors.push('"descricao" deve ser um texto não vazio.');
+    }
+    // One word per hashtag, always with the #
+    const hashtags = Array.from(new Set(stringList(parsed.hashtags)
+        .map(tag => `#${tag.replace(/^#+/, '').replace(/\s+/g, '')}`)
+        .filter(tag => tag.length > 1)))
+        .slice(0, MAX_HASHTAGS);
+    if (hashtags.length === 0) errors.push('"hashtags" deve ser uma lista de hashtags não vazia.');
+    if (typeof parsed.capa !== 'number' || !Number.isFinite(parsed.capa) || parsed.capa < 0 || parsed.capa > duration) {
+        errors.push(`"capa" deve ser um número de 0 a ${duration.toFixed(1)} (segundos desde o início do corte).`);
+    }
+    if (errors.length > 0) return { metadata: null, errors };
+
+    return {
+        metadata: {
+            titles,
+            hooks,
+            description: parsed.descricao.trim(),
+            hashtags,
+            coverTime: Math.round(parsed.capa * 10) / 10
+        },
+        errors: []
+    };
+}
+
+// Cache key of a clip's metadata: its times, title and transcript, the provider settings, the prompt and its parameters
+function metadataKey(moment, cues, profile, settings, providerName) {
+    const provider = analysisService.getProvider(providerName);
+    return stageEngine.computeKey(
+        'metadata',
+        { start: moment.start, end: moment.end, titulo: moment.titulo },
+        cues.map(cue => cue.text),
+        { provider: provider.name, ...(provider.settings ? provider.settings() : {}) },
+        profile.metadataTemplate,
+        profile.params,
+        settings.titleCount
+    );
+}
+
+// Ask the provider for one clip's publishing copy, with a repair round on invalid output.
+// Returns the metadata, or null with the error when every attempt failed (the clip is still rendered).
+async function generateClipMetadata(moment, cues, options = {}) {
+    const { profile, settings, signal } = options;
+    const provider = analysisService.getProvider(options.provider);
+    const duration = moment.end - moment.start;
+    const prompt = promptTemplates.renderMetadataPrompt(profile, {
+        titulo: moment.titulo || '',
+        duration: duration.toFixed(1),
+        titleCount: settings.titleCount,
+        transcript: cues.map(cue => `[${cue.start.toFixed(1)}s] ${cue.text}`).join('\n') || '(sem fala)'
+    });
+    const baseMessages = [{ role: "system", content: "You output raw JSON." }, { role: "user", content: prompt }];
+    const chunkInfo = {
+        index: 0,
+        start: moment.start,
+        end: moment.end,
+        entries: cues.map(cue => ({ startSeconds: moment.start + cue.start, endSeconds: moment.start + cue.end, text: cue.text }))
+    };
+
+    let messages = baseMessages;
+    let lastError = null;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        let content;
+        try {
+            content = await provider.complete({ messages, chunk: chunkInfo, kind: 'metadata' }, { signal });
+        } catch (err) {
+            if (isAbortError(err) || (signal && signal.aborted)) throw err;
+            lastError = err.message;
+            continue;
+        }
+
+        let errors;
+        let metadata = null;
+        try {
+            ({ metadata, errors } = validateMetadata(JSON.parse(content), duration));
+        } catch (err) {
+            errors = [`A resposta não é um JSON válido (${err.message}).`];
+        }
+        if (metadata) return { metadata, error: null };
+
+        lastError = errors.join(' ');
+        messages = [...baseMessages, { role: "assistant", content: String(content) }, { role: "user", content: promptTemplates.renderRepairPrompt(profile, errors) }];
+    }
+    return { metadata: null, error: lastError };
+}
+
+function loadMetadataCache(cachePath) {
+    if (!fs.existsSync(cachePath)) return { clips: {} };
+    return { clips: {}, ...JSON.parse(fs.readFileSync(cachePath, 'utf8')) };
+}
+
+function saveMetadataCache(cachePath, cache) {
+    fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+}
+
+// Make sure every clip of `moments` ({ key: moment }) has current metadata, asking the provider only for
+// clips that are new or changed. options: { srt, cachePath, profile, settings, signal, onProgress }.
+// Returns { clips: { key: entry }, generated } - an entry is { key, ...metadata } or { key, error }.
+async function ensureMetadata(moments, options) {
+    const { srt, cachePath, profile, settings, signal, onProgress } = options;
+    const cache = loadMetadataCache(cachePath);
+    const keys = Object.keys(moments);
+    let generated = 0;
+    for (let i = 0; i < keys.length; i++) {
+        throwIfAborted(signal);
+        const clipKey = keys[i];
+        const moment = moments[clipKey];
+        const cues = clipTranscript(srt, moment.start, moment.end);
+        const key = metadataKey(moment, cues, profile, settings);
+        if (cache.clips[clipKey] && cache.clips[clipKey].key === key) continue;
+
+        if (onProgress) onProgress({ clip: i + 1, totalClips: keys.length });
+        const result = await generateClipMetadata(moment, cues, { profile, settings, signal });
+        if (result.error) {
+            console.warn(`Metadata for ${clipKey} failed: ${result.error}`);
+        }
+        cache.clips[clipKey] = { key, ...(result.metadata || { error: result.error }), generatedAt: new Date().toISOString() };
+        generated++;
+        // Saved after every clip so a cancelled job keeps what it already paid for
+        saveMetadataCache(cachePath, cache);
+    }
+    return { clips: cache.clips, generated };
+}
+
+// Times for the candidate thumbnails of a clip: the suggested cover first, then spread over the clip
+function thumbnailTimes(coverTime, duration, count) {
+    if (count <= 0 || !(duration > 0)) return [];
+    const last = Math.max(0, duration - 0.1);
+    const times = [];
+    const add = (time) => {
+        const clamped = Math.round(Math.min(last, Math.max(0, time)) * 10) / 10;
+        if (times.every(other => Math.abs(other - clamped) >= MIN_THUMBNAIL_GAP_SECONDS)) times.push(clamped);
+    };
+    if (coverTime !== undefined && coverTime !== null) add(coverTime);
+    for (let i = 1; times.length < count && i <= count + 1; i++) {
+        add((duration * i) / (count + 2));
+    }
+    return times.slice(0, count);
+}
+
+// Sidecar and thumbnail files of a rendered clip
+function sidecarPath(clipPath) {
+    return clipPath.replace(/\.mp4$/i, '.json');
+}
+
+function thumbnailPath(clipPath, index) {
+    return clipPath.replace(/\.mp4$/i, `_thumb${index + 1}.jpg`);
+}
+
+// Read a clip's sidecar, null when there is none
+function readSidecar(clipPath) {
+    const file = sidecarPath(clipPath);
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.warn(`Unreadable metadata sidecar ${file}: ${error.message}`);
+        return null;
+    }
+}
+
+// Write a clip's sidecar: the clip facts, its metadata and the thumbnails. Returns the sidecar path.
+function writeSidecar(clip, entry, thumbnails, extra = {}) {
+    const file = sidecarPath(clip.path);
+    const { key, generatedAt, ...metadata } = entry || {};
+    const sidecar = {
+        clip: clip.name,
+        file: path.basename(clip.path),
+        start: clip.start,
+        end: clip.end,
+        ...(clip.originalStart !== undefined ? { originalStart: clip.originalStart, originalEnd: clip.originalEnd } : {}),
+        score: clip.score,
+        rank: clip.rank,
+        titulo: clip.titulo,
+        ...metadata,
+        thumbnails: thumbnails.map(thumb => ({ time: thumb.time, file: path.basename(thumb.path) })),
+        metadataKey: key || null,
+        generatedAt: generatedAt || null,
+        ...extra
+    };
+    fs.writeFileSync(file, JSON.stringify(sidecar, null, 2));
+    return file;
+}
+
+module.exports = {
+    DEFAULTS,
+    resolveMetadataSettings,
+    validateMetadata,
+    clipTranscript,
+    generateClipMetadata,
+    loadMetadataCache,
+    ensureMetadata,
+    thumbnailTimes,
+    sidecarPath,
+    thumbnailPath,
+    readSidecar,
+    writeSidecar
+};
@@ -0,0 +1,204 @@
+const { parseSRT } = require('./srt');
+
+// Selection stage: turns the candidate moments from the analysis into the ranked list of
+// clips to render. Constraints come from the job, falling back to these env defaults
+// (0 means "no limit" for maxClips and maxTotalSeconds).
+const DEFAULTS = {
+    maxClips: parseInt(process.env.SELECTION_MAX_CLIPS, 10) || 0,
+    minScore: parseFloat(process.env.SELECTION_MIN_SCORE) || 0,
+    minGapSeconds: parseFloat(process.env.SELECTION_MIN_GAP_SECONDS) || 0,
+    maxTotalSeconds: parseFloat(process.env.SELECTION_MAX_TOTAL_SECONDS) || 0,
+    // Clips at least this similar (0-1) to a better clip are dropped as repeats
+    similarityLimit: parseFloat(process.env.SELECTION_SIMILARITY_LIMIT) || 0.5,
+    // Score points lost per unit of similarity to an already selected clip
+    diversityWeight: process.env.SELECTION_DIVERSITY_WEIGHT !== undefined ? parseFloat(process.env.SELECTION_DIVERSITY_WEIGHT) : 30
+};
+const SETTING_KEYS = Object.keys(DEFAULTS);
+
+// Clips may touch by this much before they count as overlapping (when no min gap is set)
+const OVERLAP_TOLERANCE = 0.5;
+// Words this short are mostly articles and prepositions, they say nothing about the topic
+const MIN_TOKEN_LENGTH = 4;
+
+// Merge job options with the defaults and validate them
+function resolveSelection(options = {}) {
+    const settings = { ...DEFAULTS };
+    SETTING_KEYS.forEach(key => {
+        if (options[key] === undefined || options[key] === null || options[key] === '') return;
+        const value = Number(options[key]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Selection option "${key}" must be a number >= 0`);
+        }
+        settings[key] = value;
+    });
+    if (settings.similarityLimit > 1) {
+        throw new Error('Selection option "similarityLimit" must be between 0 and 1');
+    }
+    return settings;
+}
+
+// Helper: Topic words of a text (lowercase, no accents, no short words)
+function tokenize(text) {
+    return new Set(
+        String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length >= MIN_TOKEN_LENGTH)
+    );
+}
+
+// Helper: Jaccard similarity of two token sets (0..1)
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(token => { if (b.has(token)) shared++; });
+    return shared / (a.size + b.size - shared);
+}
+
+// Helper: Most similar already selected clip, by title or by what is said in it
+function mostSimilar(candidate, selected) {
+    let best = { similarity: 0, key: null };
+    selected.forEach(other => {
+        const similarity = Math.max(
+            jaccard(candidate.titleTokens, other.titleTokens),
+            jaccard(candidate.textTokens, other.textTokens)
+        );
+        if (similarity > best.similarity) best = { similarity, key: other.key };
+    });
+    return best;
+}
+
+// Helper: Why the candidate cannot join the selection, or null
+function findConflict(candidate, selected, settings) {
+    if (settings.maxClips > 0 && selected.length >= settings.maxClips) {
+        return { reason: `max clips reached (${settings.maxClips})` };
+    }
+
+    const requiredGap = settings.minGapSeconds > 0 ? settings.minGapSeconds : -OVERLAP_TOLERANCE;
+    for (const other of selected) {
+        const gap = Math.max(candidate.start, other.start) - Math.min(candidate.end, other.end);
+        if (gap < requiredGap) {
+            const reason = gap < 0
+                ? `overlaps ${other.key}`
+                : `only ${gap.toFixed(1)}s away from ${other.key} (min gap ${settings.minGapSeconds}s)`;
+            return { reason, conflictsWith: other.key };
+        }
+    }
+
+    if (candidate.similar.similarity >= settings.similarityLimit) {
+        return {
+            reason: `too similar to ${candidate.similar.key} (${Math.round(candidate.similar.similarity * 100)}%)`,
+            conflictsWith: candidate.similar.key
+        };
+    }
+
+    if (settings.maxTotalSeconds > 0) {
+        const total = selected.reduce((sum, clip) => sum + clip.duration, 0);
+        if (total + candidate.duration > settings.maxTotalSeconds) {
+            return { reason: `total runtime budget exceeded (${Math.round(total)}s used of ${settings.maxTotalSeconds}s)` };
+        }
+    }
+
+    return null;
+}
+
+// Pick the clips to render.
+// momentsMap: candidates keyed like the analysis (selection fields from an earlier run are ignored).
+// context: { srt } - transcript used to compare what is said in each clip.
+// Moments with `pinned: true` (approved in the review screen) are always kept, moments with
+// `review: "rejected"` never are.
+// Returns { moments, rejected, settings }: moments is ordered by rank and carries `rank` and
+// `selectionScore`, rejected keeps every dropped candidate with `rejection: { reason, conflictsWith }`.
+function selectClips(momentsMap, options = {}, context = {}) {
+    const settings = resolveSelection(options);
+    const entries = typeof context.srt === 'string' ? parseSRT(context.srt) : [];
+
+    const candidates = Object.entries(momentsMap).map(([key, value]) => {
+        const { rank, selectionScore, rejection, ...moment } = value;
+        const text = entries
+            .filter(e => e.endSeconds > moment.start && e.startSeconds < moment.end)
+            .map(e => e.text)
+            .join(' ');
+        return {
+            key,
+            moment,
+            start: moment.start,
+            end: moment.end,
+            duration: moment.end - moment.start,
+            score: moment.score || 0,
+            pinned: moment.pinned === true,
+            titleTokens: tokenize(moment.titulo),
+            textTokens: tokenize(text)
+        };
+    });
+
+    const selected = [];
+    const rejected = {};
+    const reject = (candidate, conflict) => {
+        rejected[candidate.key] = { ...candidate.moment, rejection: { reason: conflict.reason, conflictsWith: conflict.conflictsWith || null } };
+    };
+
+    const remaining = candidates.filter(candidate => {
+        if (candidate.moment.review === 'rejected') {
+            reject(candidate, { reason: 'rejected in review' });
+            return false;
+        }
+        if (candidate.pinned || candidate.score >= settings.minScore) return true;
+        reject(candidate, { reason: `score ${candidate.score} below minimum ${settings.minScore}` });
+        return false;
+    });
+
+    // Greedy: take the best candidate after the diversity penalty, then re-rank the rest against it
+    while (remaining.length > 0) {
+        remaining.forEach(candidate => {
+            candidate.similar = mostSimilar(candidate, selected);
+            candidate.selectionScore = candidate.score - settings.diversityWeight * candidate.similar.similarity;
+        });
+        remaining.sort((a, b) =>
+            (b.pinned - a.pinned) || (b.selectionScore - a.selectionScore) || (b.duration - a.duration)
+        );
+
+        const candidate = remaining.shift();
+        const conflict = candidate.pinned ? null : findConflict(candidate, selected, settings);
+        if (conflict) {
+            reject(candidate, conflict);
+        } else {
+            selected.push(candidate);
+        }
+    }
+
+    // Pinned clips were taken first to guarantee their place, the rank still follows the score
+    selected.sort((a, b) => b.selectionScore - a.selectionScore);
+    const moments = {};
+    selected.forEach((candidate, i) => {
+        moments[candidate.key] = {
+            ...candidate.moment,
+            rank: i + 1,
+            selectionScore: Math.round(candidate.selectionScore * 10) / 10
+        };
+    });
+
+    const totalSeconds = selected.reduce((sum, clip) => sum + clip.duration, 0);
+    console.log(`Clip selection: kept ${selected.length} of ${candidates.length} candidates (${Math.round(totalSeconds)}s total), rejected ${Object.keys(rejected).length}.`);
+    return { moments, rejected, settings };
+}
+
+// Candidates of an analysis: the selected clips plus the rejected ones, so a new selection can promote them
+function getCandidates(analysis) {
+    return { ...(analysis.rejected || {}), ...analysis.moments };
+}
+
+// Does a cached selection match these settings?
+function isSelectionCurrent(analysis, settings) {
+    return !!analysis.selection && SETTING_KEYS.every(key => analysis.selection[key] === settings[key]);
+}
+
+module.exports = {
+    DEFAULTS,
+    resolveSelection,
+    selectClips,
+    getCandidates,
+    isSelectionCurrent
+};
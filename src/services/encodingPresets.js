@@ -0,0 +1,158 @@
+// Encoding presets for rendered clips. Every render sets codec, rate control, frame rate, GOP, pixel format
+// and audio explicitly, so quality and size do not depend on ffmpeg defaults and clips can be joined.
+//   upload   what the platforms re-encode well: capped bitrate, 2 s GOP, fast start
+//   archive  high quality master to keep, larger files
+//   preview  fast, small proxy at half the resolution for reviewing cuts
+const ENCODING_PRESETS = {
+    upload: {
+        label: 'Platform upload (H.264, CRF 20, 30 fps)',
+        videoCodec: 'libx264',
+        x264Preset: 'medium',
+        crf: 20,
+        maxBitrate: '8M',
+        bufferSize: '16M',
+        fps: 30,
+        gop: 60,
+        pixelFormat: 'yuv420p',
+        audioCodec: 'aac',
+        audioBitrate: '192k',
+        audioSampleRate: 48000,
+        audioChannels: 2,
+        scale: 1
+    },
+    archive: {
+        label: 'High-quality archive (H.264, CRF 16, 30 fps)',
+        videoCodec: 'libx264',
+        x264Preset: 'slow',
+        crf: 16,
+        maxBitrate: null,
+        bufferSize: null,
+        fps: 30,
+        gop: 30,
+        pixelFormat: 'yuv420p',
+        audioCodec: 'aac',
+        audioBitrate: '320k',
+        audioSampleRate: 48000,
+        audioChannels: 2,
+        scale: 1
+    },
+    preview: {
+        label: 'Fast preview proxy (half size, CRF 30, 24 fps)',
+        videoCodec: 'libx264',
+        x264Preset: 'ultrafast',
+        crf: 30,
+        maxBitrate: '2M',
+        bufferSize: '4M',
+        fps: 24,
+        gop: 48,
+        pixelFormat: 'yuv420p',
+        audioCodec: 'aac',
+        audioBitrate: '96k',
+        audioSampleRate: 44100,
+        audioChannels: 2,
+        scale: 0.5
+    }
+};
+
+const DEFAULT_ENCODING = process.env.DEFAULT_ENCODING_PRESET || 'upload';
+
+// Codec names as ffprobe reports them
+const PROBE_CODEC_NAMES = { libx264: 'h264', aac: 'aac' };
+
+// Validate a preset name (default when empty). Returns { name, ...preset }.
+function resolveEncoding(name) {
+    const presetName = name || DEFAULT_ENCODING;
+    const preset = ENCODING_PRESETS[presetName];
+    if (!preset) {
+        throw new Error(`Unknown encoding preset "${presetName}". Use one of: ${Object.keys(ENCODING_PRESETS).join(', ')}`);
+    }
+    return { name: presetName, ...preset };
+}
+
+// Helper: Even size, libx264 with yuv420p rejects odd dimensions
+function evenSize(value) {
+    return Math.max(2, Math.round(value / 2) * 2);
+}
+
+// Final frame size of a render with this preset (the profile size, scaled down for proxies)
+function outputSize(profile, name) {
+    const { scale } = resolveEncoding(name);
+    return { width: evenSize(profile.width * scale), height: evenSize(profile.height * scale) };
+}
+
+// Filter appended to the frame filter: proxy scaling, then the preset's frame rate
+function buildEncodingFilter(profile, name) {
+    const encoding = resolveEncoding(name);
+    const filters = [];
+    if (encoding.scale !== 1) {
+        const { width, height } = outputSize(profile, name);
+        filters.push(`scale=${width}:${height}`);
+    }
+    filters.push(`fps=${encoding.fps}`);
+    return filters.join(',');
+}
+
+// ffmpeg audio output options of a preset
+function buildAudioOutputOptions(name) {
+    const encoding = resolveEncoding(name);
+    return [
+        '-c:a', encoding.audioCodec,
+        '-b:a', encoding.audioBitrate,
+        '-ar', String(encoding.audioSampleRate),
+        '-ac', String(encoding.audioChannels)
+    ];
+}
+
+// ffmpeg output options (codec, rate control, GOP, pixel format, audio) of a preset
+function buildOutputOptions(name) {
+    const encoding = resolveEncoding(name);
+    const options = [
+        '-c:v', encoding.videoCodec,
+        '-preset', encoding.x264Preset,
+        '-crf', String(encoding.crf)
+    ];
+    if (encoding.maxBitrate) {
+        options.push('-maxrate', encoding.maxBitrate, '-bufsize', encoding.bufferSize);
+    }
+    options.push(
+        '-r', String(encoding.fps),
+        '-g', String(encoding.gop),
+        '-keyint_min', String(encoding.gop),
+        '-sc_threshold', '0',
+        '-pix_fmt', encoding.pixelFormat,
+        ...buildAudioOutputOptions(name),
+        '-movflags', '+faststart'
+    );
+    return options;
+}
+
+// What a render with this preset should look like, for outputVerification
+function expectedStreams(name) {
+    const encoding = resolveEncoding(name);
+    return {
+        videoCodec: PROBE_CODEC_NAMES[encoding.videoCodec] || encoding.videoCodec,
+        pixelFormat: encoding.pixelFormat,
+        fps: encoding.fps,
+        audioCodec: PROBE_CODEC_NAMES[encoding.audioCodec] || encoding.audioCodec,
+        audioSampleRate: encoding.audioSampleRate,
+        audioChannels: encoding.audioChannels
+    };
+}
+
+// Helper: Suffix for clip filenames, the default preset keeps the plain names
+function encodingSuffix(name) {
+    const { name: presetName } = resolveEncoding(name);
+    return presetName === 'upload' ? '' : `_${presetName}`;
+}
+
+module.exports = {
+    ENCODING_PRESETS,
+    DEFAULT_ENCODING,
+    resolveEncoding,
+    outputSize,
+    buildEncodingFilter,
+    buildAudioOutputOptions,
+    buildOutputOptions,
+    expectedStreams,
+    encodingSuffix
+};
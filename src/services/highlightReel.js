@@ -0,0 +1,274 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pipeline = require('./pipeline');
+const videoProcessor = require('./videoProcessor');
+const analysisService = require('./analysis');
+const outputProfiles = require('./outputProfiles');
+const encodingPresets = require('./encodingPresets');
+const outputVerification = require('./outputVerification');
+const jobQueue = require('./jobQueue');
+
+// "Best of" reels: the top clips by score across one or more processed videos, joined into one video
+// within a target duration, with cut or crossfade transitions, optional title cards before each clip
+// and a chapters file (YouTube timestamps and ffmetadata, also embedded in the mp4).
+
+const DEFAULTS = {
+    maxClips: 10,
+    // Seconds, 0 = no limit
+    targetDuration: 0,
+    minScore: 0,
+    transition: 'cut',
+    transitionDuration: 0.5,
+    titleCards: false,
+    titleCardDuration: 2,
+    // "chronological" keeps each video's order (videos in the order given), "score" puts the best clip first
+    order: 'chronological'
+};
+const TRANSITIONS = ['cut', 'crossfade'];
+const ORDERS = ['chronological', 'score'];
+const NUMBER_KEYS = ['maxClips', 'targetDuration', 'minScore', 'transitionDuration', 'titleCardDuration'];
+
+// Merge reel options with the defaults and validate them
+function resolveReelOptions(options = {}) {
+    const settings = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+        if (options[key] !== undefined && options[key] !== null && options[key] !== '') settings[key] = options[key];
+    });
+    NUMBER_KEYS.forEach(key => {
+        settings[key] = Number(settings[key]);
+        if (!Number.isFinite(settings[key]) || settings[key] < 0) {
+            throw new Error(`Reel option "${key}" must be a number >= 0`);
+        }
+    });
+    if (!Number.isInteger(settings.maxClips) || settings.maxClips < 1) {
+        throw new Error('Reel option "maxClips" must be a whole number >= 1');
+    }
+    if (!TRANSITIONS.includes(settings.transition)) {
+        throw new Error(`Unknown transition "${settings.transition}". Use one of: ${TRANSITIONS.join(', ')}`);
+    }
+    if (!ORDERS.includes(settings.order)) {
+        throw new Error(`Unknown reel order "${settings.order}". Use one of: ${ORDERS.join(', ')}`);
+    }
+    if (settings.transition === 'crossfade' && (settings.transitionDuration <= 0 || settings.transitionDuration > 3)) {
+        throw new Error('Crossfade duration must be above 0 and at most 3 seconds');
+    }
+    settings.titleCards = settings.titleCards === true || settings.titleCards === 'true';
+    if (settings.titleCards && settings.titleCardDuration <= settings.transitionDuration) {
+        throw new Error('Title cards must be longer than the transition');
+    }
+    return settings;
+}
+
+// Helper: Length of a reel made of these clips (title cards and crossfade overlaps included)
+function reelDuration(clips, settings) {
+    const items = clips.length * (settings.titleCards ? 2 : 1);
+    const content = clips.reduce((sum, clip) => sum + (clip.end - clip.start), 0)
+        + (settings.titleCards ? clips.length * settings.titleCardDuration : 0);
+    const overlap = settings.transition === 'crossfade' ? Math.max(0, items - 1) * settings.transitionDuration : 0;
+    return content - overlap;
+}
+
+// Pick the reel's clips from the candidates ([{ videoIndex, key, start, end, score, ... }]):
+// best score first, skipping clips that would overrun the target duration, then put in the reel order.
+function selectReelClips(candidates, settings) {
+    const ranked = candidates
+        .filter(clip => (Number(clip.score) || 0) >= settings.minScore)
+        .sort((a, b) => (Number(b.score) || 0) - (Number(a.score) || 0));
+
+    const picked = [];
+    for (const clip of ranked) {
+        if (picked.length >= settings.maxClips) break;
+        if (settings.targetDuration > 0 && reelDuration([...picked, clip], settings) > settings.targetDuration) continue;
+        picked.push(clip);
+    }
+
+    if (settings.order === 'chronological') {
+        picked.sort((a, b) => a.videoIndex - b.videoIndex || a.start - b.start);
+    }
+    return picked;
+}
+
+// Helper: Seconds as a YouTube chapter timestamp (m:ss, or h:mm:ss past an hour)
+function formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// YouTube description chapters: one "m:ss Title" line per chapter, the first at 0:00
+function buildYoutubeChapters(chapters) {
+    return chapters.map(chapter => `${formatTimestamp(chapter.start)} ${chapter.title}`).join('\n');
+}
+
+// Helper: ffmetadata values escape = ; # \ and newlines
+function escapeMetadata(value) {
+    return String(value).replace(/[=;#\\\n]/g, '\\$&');
+}
+
+// ffmetadata file with one [CHAPTER] per chapter (milliseconds)
+function buildFfmetadata(chapters, title) {
+    const lines = [';FFMETADATA1', `title=${escapeMetadata(title)}`];
+    chapters.forEach(chapter => {
+        lines.push('', '[CHAPTER]', 'TIMEBASE=1/1000',
+            `START=${Math.round(chapter.start * 1000)}`,
+            `END=${Math.round(chapter.end * 1000)}`,
+            `title=${escapeMetadata(chapter.title)}`);
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+// Helper: Chapters of the joined reel from its parts' real lengths. Each clip (with its title card) is a chapter.
+function buildChapters(parts, settings) {
+    const overlap = settings.transition === 'crossfade' ? settings.transitionDuration : 0;
+    const chapters = [];
+    let position = 0;
+    parts.forEach((part, i) => {
+        if (part.chapter) chapters.push({ start: Math.max(0, position), title: part.chapter });
+        position += part.duration - (i < parts.length - 1 ? overlap : 0);
+    });
+    chapters.forEach((chapter, i) => {
+        chapter.end = i < chapters.length - 1 ? chapters[i + 1].start : position;
+    });
+    return { chapters, duration: position };
+}
+
+// Candidate clips of the processed videos. sources: [{ videoPath, pipelineOptions }]
+function collectCandidates(sources) {
+    const candidates = [];
+    sources.forEach((source, videoIndex) => {
+        const clipContext = pipeline.loadClipContext(source.videoPath, source.pipelineOptions);
+        if (!clipContext) {
+            throw new Error(`${path.basename(source.videoPath)} has not been processed yet.`);
+        }
+        const analysis = analysisService.loadAnalysisCache(clipContext.analysisCachePath);
+        Object.entries(analysis.moments).forEach(([key, moment]) => {
+            if (moment.review === 'rejected') return;
+            candidates.push({ ...moment, key, videoIndex, clipContext });
+        });
+    });
+    return candidates;
+}
+
+// Helper: Filename for the reel, from a name given by the user or the time
+function reelBaseName(name) {
+    const safe = String(name || '').trim().replace(/[^\p{L}\p{N}_-]+/gu, '_').replace(/^_+|_+$/g, '');
+    return `highlights_${safe || new Date().toISOString().replace(/[:.]/g, '-')}`;
+}
+
+// Build a highlight reel.
+// sources: [{ videoPath, pipelineOptions }] processed videos. options: reel options (see DEFAULTS) plus
+// { renderOptions, outputDir, name }. The clips are rendered with renderOptions (reusing rendered clips),
+// branding intros/outros are left out so they do not repeat inside the reel.
+// context: { signal, progress } provided by the job queue.
+async function buildHighlightReel(sources, options = {}, context = {}) {
+    const settings = resolveReelOptions(options);
+    const renderOptions = { ...(options.renderOptions || {}) };
+    delete renderOptions.branding;
+    pipeline.validateRenderOptions(renderOptions);
+    const { signal } = context;
+    const report = (stepIndex, step, message, extra = {}) => {
+        if (context.progress) context.progress({ step, stepIndex, totalSteps: 3, message, ...extra });
+    };
+
+    const clips = selectReelClips(collectCandidates(sources), settings);
+    if (clips.length === 0) {
+        throw new Error('No clip fits the reel (check minScore and targetDuration).');
+    }
+    const multipleVideos = new Set(clips.map(clip => clip.videoIndex)).size > 1;
+    console.log(`Highlight reel: ${clips.length} clip(s), about ${reelDuration(clips, settings).toFixed(1)}s.`);
+
+    const outputDir = path.resolve(options.outputDir || pipeline.DEFAULT_OUTPUT_DIR);
+    fs.mkdirSync(outputDir, { recursive: true });
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reel_'));
+
+    try {
+        // 1. Clips, rendered like any other (an existing render with the same settings is reused)
+        const parts = [];
+        for (let i = 0; i < clips.length; i++) {
+            jobQueue.throwIfAborted(signal);
+            const clip = clips[i];
+            const message = `Rendering clip ${i + 1} of ${clips.length}`;
+            report(1, 'render', message, { clip: i + 1, totalClips: clips.length });
+            const rendered = await pipeline.renderClip(clip.clipContext, clip.key, clip, renderOptions, {
+                signal,
+                onProgress: (percent) => report(1, 'render', message, { clip: i + 1, totalClips: clips.length, percent })
+            });
+            const title = multipleVideos
+                ? `${clip.titulo || clip.key} (${path.basename(clip.clipContext.videoPath)})`
+                : (clip.titulo || clip.key);
+
+            // 2. Title card before the clip
+            if (settings.titleCards) {
+                report(2, 'title-cards', `Title card ${i + 1} of ${clips.length}`);
+                const cardPath = path.join(tempDir, `card_${i}.mp4`);
+                await videoProcessor.renderTitleCard(clip.titulo || clip.key, cardPath, {
+                    signal,
+                    profile: outputProfiles.resolveFraming(renderOptions).profileName,
+                    encoding: renderOptions.encoding,
+                    duration: settings.titleCardDuration
+                });
+                parts.push({ path: cardPath, duration: videoProcessor.getDuration(cardPath), chapter: title });
+                parts.push({ path: rendered.path, duration: videoProcessor.getDuration(rendered.path), clip: rendered });
+            } else {
+                parts.push({ path: rendered.path, duration: videoProcessor.getDuration(rendered.path), clip: rendered, chapter: title });
+            }
+        }
+
+        // 3. Join and add the chapters
+        jobQueue.throwIfAborted(signal);
+        report(3, 'join', `Joining ${parts.length} parts (${settings.transition})`);
+        const baseName = reelBaseName(options.name);
+        const reelPath = path.join(outputDir, `${baseName}.mp4`);
+        if (settings.transition === 'crossfade') {
+            await videoProcessor.crossfadeVideos(parts.map(part => part.path), reelPath, {
+                signal,
+                encoding: renderOptions.encoding,
+                fadeDuration: settings.transitionDuration
+            });
+        } else {
+            await videoProcessor.concatenateVideos(parts.map(part => part.path), reelPath, {
+                signal,
+                encoding: renderOptions.encoding
+            });
+        }
+
+        const { chapters, duration } = buildChapters(parts, settings);
+        const chaptersPath = path.join(outputDir, `${baseName}.chapters.txt`);
+        const metadataPath = path.join(outputDir, `${baseName}.ffmetadata.txt`);
+        fs.writeFileSync(chaptersPath, `${buildYoutubeChapters(chapters)}\n`);
+        fs.writeFileSync(metadataPath, buildFfmetadata(chapters, baseName));
+        await videoProcessor.embedChapters(reelPath, metadataPath, { signal });
+
+        const frame = encodingPresets.outputSize(outputProfiles.resolveFraming(renderOptions).profile, renderOptions.encoding);
+        const verification = outputVerification.verifyOutput(reelPath, {
+            duration,
+            ...frame,
+            ...encodingPresets.expectedStreams(renderOptions.encoding)
+        });
+        console.log(`Highlight reel ready: ${reelPath} (${duration.toFixed(1)}s, ${chapters.length} chapters)`);
+
+        return {
+            message: 'Highlight reel built successfully',
+            reel: { path: reelPath, duration: Math.round(duration * 100) / 100, chaptersPath, metadataPath },
+            chapters: chapters.map(chapter => ({ ...chapter, timestamp: formatTimestamp(chapter.start) })),
+            clips: parts.filter(part => part.clip).map(part => part.clip),
+            outputIssues: verification && !verification.ok ? [{ name: baseName, path: reelPath, issues: verification.issues }] : []
+        };
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    DEFAULTS,
+    TRANSITIONS,
+    ORDERS,
+    resolveReelOptions,
+    selectReelClips,
+    buildYoutubeChapters,
+    buildFfmetadata,
+    buildHighlightReel
+};
@@ -0,0 +1,252 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Jobs are persisted so that a server restart picks up where it left off
+const JOBS_FILE = path.resolve(__dirname, '../../', process.env.JOBS_FILE || 'data/jobs.json');
+// How many jobs may run at the same time (ffmpeg is CPU heavy, default to one)
+const DEFAULT_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+// Finished jobs kept in history (older ones are dropped on save)
+const MAX_FINISHED_JOBS = 200;
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+const pending = [];
+const running = new Map(); // jobId -> AbortController
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let handler = null;
+let concurrency = DEFAULT_CONCURRENCY;
+
+// Helper: Error used to signal that a job was cancelled by the user
+function createAbortError(message = 'Job cancelled') {
+    const err = new Error(message);
+    err.name = 'AbortError';
+    return err;
+}
+
+function isAbortError(err) {
+    return !!err && err.name === 'AbortError';
+}
+
+// Helper: Throw if the given AbortSignal already fired (used between pipeline steps)
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw createAbortError();
+    }
+}
+
+function saveJobs() {
+    const all = Array.from(jobs.values());
+    const active = all.filter(j => !FINISHED_STATES.includes(j.status));
+    const finished = all
+        .filter(j => FINISHED_STATES.includes(j.status))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, MAX_FINISHED_JOBS);
+
+    // Drop pruned jobs from memory too so history does not grow forever
+    const keep = new Set([...active, ...finished].map(j => j.id));
+    for (const id of jobs.keys()) {
+        if (!keep.has(id)) jobs.delete(id);
+    }
+
+    try {
+        fs.mkdirSync(path.dirname(JOBS_FILE), { recursive: true });
+        fs.writeFileSync(JOBS_FILE, JSON.stringify([...active, ...finished], null, 2));
+    } catch (e) {
+        console.warn('Could not persist job queue:', e.message);
+    }
+}
+
+function loadJobs() {
+    if (!fs.existsSync(JOBS_FILE)) return;
+
+    try {
+        const saved = JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
+        saved
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .forEach(job => {
+                // Anything that was running when the server stopped goes back into the queue.
+                // The pipeline checkpoints make the restart cheap.
+                if (!FINISHED_STATES.includes(job.status)) {
+                    job.status = 'queued';
+                    job.startedAt = null;
+                    job.progress = { step: 'queued', message: 'Waiting in queue (restored after restart)' };
+                    pending.push(job.id);
+                }
+                jobs.set(job.id, job);
+            });
+        console.log(`Job queue: restored ${jobs.size} jobs (${pending.length} pending).`);
+    } catch (e) {
+        console.warn(`Could not read job queue file ${JOBS_FILE}:`, e.message);
+    }
+}
+
+function emitUpdate(job) {
+    events.emit('update', job);
+}
+
+function updateJob(job, changes, persist = true) {
+    Object.assign(job, changes);
+    if (persist) saveJobs();
+    emitUpdate(job);
+}
+
+function createJob(type, payload) {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        payload,
+        status: 'queued',
+        progress: { step: 'queued', message: 'Waiting in queue' },
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job.id);
+    saveJobs();
+    emitUpdate(job);
+    console.log(`Job queued: ${job.id} (${type})`);
+
+    // Defer so the caller can answer the HTTP request first
+    setImmediate(processQueue);
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function listJobs() {
+    return Array.from(jobs.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (FINISHED_STATES.includes(job.status)) return job;
+
+    const queuedIndex = pending.indexOf(id);
+    if (queuedIndex !== -1) {
+        pending.splice(queuedIndex, 1);
+    }
+
+    const controller = running.get(id);
+    if (controller) {
+        // The running step kills its ffmpeg child when the signal fires
+        console.log(`Cancelling running job ${id}...`);
+        controller.abort();
+    }
+
+    updateJob(job, {
+        status: 'cancelled',
+        finishedAt: new Date().toISOString(),
+        progress: { ...job.progress, message: 'Cancelled by user' }
+    });
+    return job;
+}
+
+// Change the payload of a finished job, e.g. when its source video moved. Running jobs keep their payload.
+function updatePayload(id, changes) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (!FINISHED_STATES.includes(job.status)) {
+        throw new Error(`Job ${id} is ${job.status}, its payload can only change once it has finished`);
+    }
+    updateJob(job, { payload: { ...job.payload, ...changes } });
+    return job;
+}
+
+async function runJob(job) {
+    const controller = new AbortController();
+    running.set(job.id, controller);
+
+    updateJob(job, {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        progress: { step: 'starting', message: 'Starting' }
+    });
+
+    const context = {
+        signal: controller.signal,
+        // Progress ticks are frequent, only broadcast them (no disk write)
+        progress: (update) => {
+            if (job.status !== 'running') return;
+            updateJob(job, { progress: { ...update, updatedAt: new Date().toISOString() } }, false);
+        }
+    };
+
+    try {
+        const result = await handler(job, context);
+        if (job.status === 'running') {
+            updateJob(job, {
+                status: 'completed',
+                result,
+                finishedAt: new Date().toISOString(),
+                progress: { step: 'done', message: 'Done', percent: 100 }
+            });
+        }
+    } catch (error) {
+        if (job.status === 'cancelled' || isAbortError(error)) {
+            console.log(`Job ${job.id} cancelled.`);
+            if (job.status !== 'cancelled') {
+                updateJob(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+            }
+        } else {
+            console.error(`Job ${job.id} failed:`, error);
+            updateJob(job, {
+                status: 'failed',
+                error: error.message,
+                finishedAt: new Date().toISOString()
+            });
+        }
+    } finally {
+        running.delete(job.id);
+        processQueue();
+    }
+}
+
+function processQueue() {
+    if (!handler) return;
+
+    while (running.size < concurrency && pending.length > 0) {
+        const job = jobs.get(pending.shift());
+        if (!job || job.status !== 'queued') continue;
+        runJob(job);
+    }
+}
+
+// Register the function that executes a job: handler(job, { signal, progress })
+function start(jobHandler, options = {}) {
+    handler = jobHandler;
+    if (options.concurrency) concurrency = options.concurrency;
+    loadJobs();
+    console.log(`Job queue started (concurrency: ${concurrency}).`);
+    processQueue();
+}
+
+// Listen to every job update. Returns a function that removes the listener.
+function subscribe(listener) {
+    events.on('update', listener);
+    return () => events.off('update', listener);
+}
+
+module.exports = {
+    start,
+    createJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    updatePayload,
+    subscribe,
+    createAbortError,
+    isAbortError,
+    throwIfAborted
+};
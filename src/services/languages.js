@@ -0,0 +1,51 @@
+// Languages the pipeline knows by name, keyed by ISO 639-1 code. `name` is what Whisper reports for a
+// detected language, `promptName` is how the (Portuguese) prompt templates refer to it.
+const LANGUAGES = {
+    pt: { name: 'portuguese', promptName: 'português' },
+    en: { name: 'english', promptName: 'inglês' },
+    es: { name: 'spanish', promptName: 'espanhol' },
+    fr: { name: 'french', promptName: 'francês' },
+    de: { name: 'german', promptName: 'alemão' },
+    it: { name: 'italian', promptName: 'italiano' },
+    nl: { name: 'dutch', promptName: 'holandês' },
+    pl: { name: 'polish', promptName: 'polonês' },
+    ru: { name: 'russian', promptName: 'russo' },
+    tr: { name: 'turkish', promptName: 'turco' },
+    ar: { name: 'arabic', promptName: 'árabe' },
+    hi: { name: 'hindi', promptName: 'hindi' },
+    ja: { name: 'japanese', promptName: 'japonês' },
+    ko: { name: 'korean', promptName: 'coreano' },
+    zh: { name: 'chinese', promptName: 'chinês' }
+};
+
+// Language code for a code ("pt", "pt-BR"), a Whisper name ("portuguese") or a prompt name ("português").
+// Returns null for anything else.
+function normalizeLanguage(value) {
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const clean = value.trim().toLowerCase();
+    const code = clean.split(/[-_]/)[0];
+    if (LANGUAGES[code]) return code;
+    const match = Object.entries(LANGUAGES).find(([, language]) => language.name === clean || language.promptName === clean);
+    return match ? match[0] : null;
+}
+
+// Like normalizeLanguage, but throws on an unknown language. label names the setting in the error.
+function resolveLanguage(value, label = 'language') {
+    const code = normalizeLanguage(value);
+    if (!code) {
+        throw new Error(`Unknown ${label} "${value}". Use one of: ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+    return code;
+}
+
+// How the prompts name a language code (the code itself when unknown)
+function promptName(code) {
+    return LANGUAGES[code] ? LANGUAGES[code].promptName : code;
+}
+
+// Language list for the UI/API
+function listLanguages() {
+    return Object.entries(LANGUAGES).map(([code, language]) => ({ code, name: language.name, promptName: language.promptName }));
+}
+
+module.exports = { LANGUAGES, normalizeLanguage, resolveLanguage, promptName, listLanguages };
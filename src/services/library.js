@@ -0,0 +1,261 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const pipeline = require('./pipeline');
+const stageEngine = require('./stageEngine');
+const videoProcessor = require('./videoProcessor');
+const outputVerification = require('./outputVerification');
+const jobQueue = require('./jobQueue');
+const security = require('./security');
+
+// The video library: one record per source video in videos/, with its ffprobe facts, a thumbnail, the status of
+// every pipeline stage (from the stage manifest), the rendered clips and every file the pipeline made for it.
+// A video can have two runs: the default one cut on the clean (silence-free) timeline and the "original" one
+// (silences trimmed inside the clips, or none removed) whose caches are called <video>_full_*.
+const LIBRARY_DIR = path.resolve(__dirname, '../../videos');
+// ffprobe results and thumbnails of the library, keyed by the video's size and mtime
+const CACHE_DIR = path.resolve(__dirname, '../../', process.env.LIBRARY_CACHE_DIR || 'data/library');
+const PROBE_CACHE_PATH = path.join(CACHE_DIR, 'probes.json');
+const TIMELINES = {
+    clean: {},
+    original: { silence: { apply: 'clips' } }
+};
+const PROCESSING_JOB_TYPES = ['process-server-file', 'process-video'];
+const ACTIVE_JOB_STATES = ['queued', 'running'];
+
+let probeCache = null;
+
+// Path of a library video from its id (the filename), null when there is no such video
+function resolveVideo(id) {
+    if (typeof id !== 'string' || path.basename(id) !== id || !pipeline.isSourceVideo(id)) return null;
+    const videoPath = security.resolveInside(LIBRARY_DIR, id);
+    return videoPath && fs.existsSync(videoPath) && fs.statSync(videoPath).isFile() ? videoPath : null;
+}
+
+function listVideoIds() {
+    if (!fs.existsSync(LIBRARY_DIR)) return [];
+    return fs.readdirSync(LIBRARY_DIR).filter(file => pipeline.isSourceVideo(file) && resolveVideo(file)).sort();
+}
+
+function loadProbeCache() {
+    if (probeCache) return probeCache;
+    probeCache = {};
+    if (fs.existsSync(PROBE_CACHE_PATH)) {
+        try {
+            probeCache = JSON.parse(fs.readFileSync(PROBE_CACHE_PATH, 'utf8'));
+        } catch (error) {
+            console.warn(`Library probe cache ${PROBE_CACHE_PATH} is unreadable (${error.message}), probing again.`);
+        }
+    }
+    return probeCache;
+}
+
+function saveProbeCache() {
+    try {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        fs.writeFileSync(PROBE_CACHE_PATH, JSON.stringify(probeCache, null, 2));
+    } catch (error) {
+        console.warn('Could not persist the library probe cache:', error.message);
+    }
+}
+
+// Helper: ffprobe facts of a video in the shape the library shows them
+function summarize(probe, size) {
+    const summary = outputVerification.summarizeProbe(probe);
+    return {
+        duration: summary.duration,
+        width: summary.video ? summary.video.width : null,
+        height: summary.video ? summary.video.height : null,
+        fps: summary.video ? summary.video.fps : null,
+        videoCodec: summary.video ? summary.video.codec : null,
+        audioCodec: summary.audio ? summary.audio.codec : null,
+        audioChannels: summary.audio ? summary.audio.channels : null,
+        bitrate: probe.format.bit_rate ? Number(probe.format.bit_rate) : null,
+        container: probe.format.format_name || null,
+        size
+    };
+}
+
+// Content hash and ffprobe facts of a video, probed again only when its size or mtime changed.
+// Resolves with { hash, metadata, error } - error when ffprobe failed (not cached, the next call tries again).
+// Asynchronous: the library routes call it, and a multi-GB source must not stall the server meanwhile.
+async function probeVideo(videoPath) {
+    const cache = loadProbeCache();
+    const stat = fs.statSync(videoPath);
+    const cached = cache[videoPath];
+    if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+        return { hash: cached.hash, metadata: cached.metadata, error: null };
+    }
+    const hash = await stageEngine.fingerprintFileAsync(videoPath);
+    let metadata;
+    try {
+        metadata = summarize(await videoProcessor.probeMediaAsync(videoPath), stat.size);
+    } catch (error) {
+        return { hash, metadata: null, error: error.message };
+    }
+    cache[videoPath] = { size: stat.size, mtimeMs: stat.mtimeMs, hash, metadata };
+    saveProbeCache();
+    return { hash, metadata, error: null };
+}
+
+// Helper: Status of each pipeline stage of one run, from its manifest
+//   done      cached and its files exist
+//   missing   recorded, but its files were deleted (runs again)
+//   outdated  made from other content of the source (the video changed since)
+//   pending   never ran
+function stageStatus(manifest, hash) {
+    const changed = !!(manifest.input && hash && manifest.input.hash !== hash);
+    return pipeline.STAGES.map(name => {
+        const entry = manifest.stages[name];
+        if (!entry) return { name, status: 'pending' };
+        let status = entry.artifacts.every(file => fs.existsSync(file)) ? 'done' : 'missing';
+        if (changed) status = 'outdated';
+        return { name, status, completedAt: entry.completedAt, ...(entry.adopted ? { adopted: true } : {}) };
+    });
+}
+
+// Helper: Size and kind of a file the pipeline made
+function describeFile(kind, file) {
+    return { kind, path: file, filename: path.basename(file), size: fs.statSync(file).size };
+}
+
+// One run of a video (timeline: clean or original). Null for the original run when it never happened.
+function describeRun(videoPath, timeline, hash) {
+    const options = TIMELINES[timeline];
+    const paths = pipeline.getVideoPaths(videoPath, options);
+    const caches = pipeline.getCacheFiles(videoPath, options);
+    const rendered = pipeline.getRenderedFiles(videoPath, options);
+    if (timeline !== 'clean' && Object.keys(caches).length === 0 && rendered.length === 0) return null;
+
+    const manifest = stageEngine.loadManifest(paths.manifestPath);
+    const clips = rendered.filter(file => file.endsWith('.mp4')).map(file => describeFile('clip', file));
+    return {
+        timeline,
+        stages: stageStatus(manifest, hash),
+        clipCount: clips.length,
+        clips,
+        artifacts: [
+            ...Object.entries(caches).map(([kind, file]) => describeFile(kind, file)),
+            ...rendered.filter(file => !file.endsWith('.mp4')).map(file => describeFile('clip-file', file))
+        ]
+    };
+}
+
+// Processing jobs of a video, newest first
+function jobsOf(videoPath) {
+    return jobQueue.listJobs().filter(job => PROCESSING_JOB_TYPES.includes(job.type) && job.payload.videoPath === videoPath);
+}
+
+// Library record of a video, resolves with null when there is no such video
+async function getRecord(id) {
+    const videoPath = resolveVideo(id);
+    if (!videoPath) return null;
+    const stat = fs.statSync(videoPath);
+    const probe = await probeVideo(videoPath);
+    const runs = Object.keys(TIMELINES).map(timeline => describeRun(videoPath, timeline, probe.hash)).filter(Boolean);
+    const latest = jobsOf(videoPath)[0];
+    return {
+        id,
+        filename: id,
+        path: videoPath,
+        size: stat.size,
+        modifiedAt: stat.mtime.toISOString(),
+        hash: probe.hash,
+        metadata: probe.metadata,
+        probeError: probe.error,
+        runs,
+        clipCount: runs.reduce((sum, run) => sum + run.clipCount, 0),
+        latestJob: latest ? { id: latest.id, status: latest.status, createdAt: latest.createdAt } : null
+    };
+}
+
+// One video at a time: a fresh library would otherwise start an ffprobe per video at once
+async function listRecords() {
+    const records = [];
+    for (const id of listVideoIds()) {
+        const record = await getRecord(id);
+        if (record) records.push(record);
+    }
+    return records;
+}
+
+// Thumbnail of a video (a frame at 10% of its duration, at most one minute in), made on first request.
+// Returns its path.
+async function ensureThumbnail(id) {
+    const videoPath = resolveVideo(id);
+    if (!videoPath) throw new Error(`Unknown video ${id}`);
+    const stat = fs.statSync(videoPath);
+    const name = crypto.createHash('sha256').update(`${videoPath}:${stat.size}:${stat.mtimeMs}`).digest('hex').substring(0, 16);
+    const thumbnailPath = path.join(CACHE_DIR, `${name}.jpg`);
+    if (fs.existsSync(thumbnailPath)) return thumbnailPath;
+
+    const { metadata, error } = await probeVideo(videoPath);
+    if (!metadata) throw new Error(error);
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    await videoProcessor.extractThumbnail(videoPath, Math.min(metadata.duration * 0.1, 60), thumbnailPath);
+    return thumbnailPath;
+}
+
+// Pipeline options to run a video again with: those of its latest processing job on that timeline,
+// the defaults when it was never processed there. Returns the job payload fields (without videoPath).
+function rerunPayload(id, timeline = 'clean') {
+    const videoPath = resolveVideo(id);
+    const cacheBase = pipeline.getVideoPaths(videoPath, TIMELINES[timeline]).cacheBase;
+    const job = jobsOf(videoPath).find(candidate => pipeline.getVideoPaths(videoPath, candidate.payload).cacheBase === cacheBase);
+    if (job) {
+        const { force, ...payload } = job.payload;
+        return payload;
+    }
+    return { videoPath, filename: id, ...TIMELINES[timeline] };
+}
+
+// Queued or running processing job of a video (its files are about to change), null when there is none
+function activeJob(id) {
+    const videoPath = resolveVideo(id);
+    return videoPath ? jobsOf(videoPath).find(job => ACTIVE_JOB_STATES.includes(job.status)) || null : null;
+}
+
+// Delete the cache files (what: "cache") or the rendered clips with their sidecars (what: "clips") of a video,
+// for one timeline or both. Check activeJob first. Returns the deleted paths.
+function deleteArtifacts(id, what, timeline = null) {
+    const videoPath = resolveVideo(id);
+    if (!videoPath) throw new Error(`Unknown video ${id}`);
+    const timelines = timeline ? [timeline] : Object.keys(TIMELINES);
+    const files = timelines.flatMap(name => (what === 'clips'
+        ? pipeline.getRenderedFiles(videoPath, TIMELINES[name])
+        : Object.values(pipeline.getCacheFiles(videoPath, TIMELINES[name]))));
+    files.forEach(file => {
+        console.log(`Deleting ${file}`);
+        fs.unlinkSync(file);
+    });
+    return files;
+}
+
+// Files of a video for the ZIP download: [{ name, path }] - <video>/cache/..., <video>/clips/... and, with
+// includeSource, the source itself
+function archiveEntries(id, includeSource = false) {
+    const videoPath = resolveVideo(id);
+    if (!videoPath) throw new Error(`Unknown video ${id}`);
+    const folder = path.basename(videoPath, path.extname(videoPath));
+    const entries = includeSource ? [{ name: `${folder}/${id}`, path: videoPath }] : [];
+    Object.values(TIMELINES).forEach(options => {
+        Object.values(pipeline.getCacheFiles(videoPath, options))
+            .forEach(file => entries.push({ name: `${folder}/cache/${path.basename(file)}`, path: file }));
+        pipeline.getRenderedFiles(videoPath, options)
+            .forEach(file => entries.push({ name: `${folder}/clips/${path.basename(file)}`, path: file }));
+    });
+    return entries;
+}
+
+module.exports = {
+    LIBRARY_DIR,
+    TIMELINES,
+    resolveVideo,
+    getRecord,
+    listRecords,
+    ensureThumbnail,
+    rerunPayload,
+    activeJob,
+    deleteArtifacts,
+    archiveEntries
+};
@@ -0,0 +1,121 @@
+// Output shapes for rendered clips. Width/height are the final frame size.
+const OUTPUT_PROFILES = {
+    '9:16': { width: 1080, height: 1920, label: 'Vertical 9:16 (TikTok, Reels, Shorts)' },
+    '4:5': { width: 1080, height: 1350, label: 'Portrait 4:5 (Instagram feed)' },
+    '1:1': { width: 1080, height: 1080, label: 'Square 1:1' },
+    '16:9': { width: 1920, height: 1080, label: 'Landscape 16:9 (YouTube)' }
+};
+
+// How the source frame is fitted into the output frame
+const FRAMING_MODES = {
+    pad: 'Fit the whole frame and fill the rest with black bars',
+    crop: 'Center crop to fill the frame',
+    blur: 'Fit the whole frame over a blurred copy of itself',
+    stack: 'Speaker on top, screen on the bottom (vertical profiles only)'
+};
+
+const DEFAULT_PROFILE = process.env.DEFAULT_OUTPUT_PROFILE || '16:9';
+
+// Default regions for the stacked layout, as fractions of the source frame.
+// Typical screen recording: webcam in the bottom-right corner, screen everywhere.
+const DEFAULT_STACK_LAYOUT = {
+    speaker: { x: 0.7, y: 0.7, w: 0.3, h: 0.3 },
+    screen: { x: 0, y: 0, w: 1, h: 1 },
+    // Share of the output height given to the speaker
+    speakerHeight: 0.4
+};
+
+function defaultFraming(profileName) {
+    return profileName === '16:9' ? 'pad' : 'crop';
+}
+
+// Helper: Validate and fill in defaults for a render's framing options
+function resolveFraming(options = {}) {
+    const profileName = options.profile || DEFAULT_PROFILE;
+    const profile = OUTPUT_PROFILES[profileName];
+    if (!profile) {
+        throw new Error(`Unknown output profile "${profileName}". Use one of: ${Object.keys(OUTPUT_PROFILES).join(', ')}`);
+    }
+
+    const framing = options.framing || defaultFraming(profileName);
+    if (!FRAMING_MODES[framing]) {
+        throw new Error(`Unknown framing mode "${framing}". Use one of: ${Object.keys(FRAMING_MODES).join(', ')}`);
+    }
+    if (framing === 'stack' && profile.width >= profile.height) {
+        throw new Error(`Framing "stack" needs a vertical profile, got "${profileName}"`);
+    }
+
+    const layout = {
+        ...DEFAULT_STACK_LAYOUT,
+        ...(options.layout || {}),
+        speaker: { ...DEFAULT_STACK_LAYOUT.speaker, ...((options.layout || {}).speaker || {}) },
+        screen: { ...DEFAULT_STACK_LAYOUT.screen, ...((options.layout || {}).screen || {}) }
+    };
+
+    return { profileName, profile, framing, layout };
+}
+
+// Helper: Scale to cover WxH and crop the overflow
+function coverFilter(width, height) {
+    return `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+}
+
+// Helper: Scale to fit inside WxH (may leave empty space)
+function fitFilter(width, height) {
+    return `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+}
+
+// Helper: Crop a region given as fractions of the input size
+function regionFilter(region) {
+    return `crop=iw*${region.w}:ih*${region.h}:iw*${region.x}:ih*${region.y}`;
+}
+
+// Build the -filter_script:v content for a clip. It is a single-input,
+// single-output graph, so the labelled branches stay internal to it.
+function buildFrameFilter(options = {}) {
+    const { profile, framing, layout } = resolveFraming(options);
+    const { width, height } = profile;
+
+    switch (framing) {
+        case 'pad':
+            return `${fitFilter(width, height)},pad=${width}:${height}:-1:-1:color=black,setsar=1`;
+
+        case 'crop':
+            return `${coverFilter(width, height)},setsar=1`;
+
+        case 'blur':
+            return [
+                'split=2[bg][fg]',
+                `[bg]${coverFilter(width, height)},boxblur=luma_radius=40:luma_power=2[bgblur]`,
+                `[fg]${fitFilter(width, height)}[fgfit]`,
+                '[bgblur][fgfit]overlay=(W-w)/2:(H-h)/2,setsar=1'
+            ].join(';');
+
+        case 'stack': {
+            // Keep both heights even, libx264 rejects odd dimensions
+            const topHeight = Math.round((height * layout.speakerHeight) / 2) * 2;
+            const bottomHeight = height - topHeight;
+            return [
+                'split=2[speaker][screen]',
+                `[speaker]${regionFilter(layout.speaker)},${coverFilter(width, topHeight)}[top]`,
+                `[screen]${regionFilter(layout.screen)},${coverFilter(width, bottomHeight)}[bottom]`,
+                '[top][bottom]vstack=inputs=2,setsar=1'
+            ].join(';');
+        }
+    }
+}
+
+// Helper: Suffix for clip filenames so different shapes of the same clip do not collide
+function profileSuffix(options = {}) {
+    const { profileName, framing } = resolveFraming(options);
+    if (profileName === '16:9' && framing === 'pad') return '';
+    return `_${profileName.replace(':', 'x')}_${framing}`;
+}
+
+module.exports = {
+    OUTPUT_PROFILES,
+    FRAMING_MODES,
+    resolveFraming,
+    buildFrameFilter,
+    profileSuffix
+};
@@ -0,0 +1,111 @@
+const videoProcessor = require('./videoProcessor');
+
+// Checks a rendered file against what was asked for (ffprobe): duration, frame size, frame rate and streams.
+// Mismatches do not fail the job, they are listed in its result so a broken clip is not published unnoticed.
+
+// Verification can be turned off for slow network drives (VERIFY_OUTPUTS=false)
+const VERIFY_OUTPUTS = process.env.VERIFY_OUTPUTS !== 'false';
+// Seconds a render may be off: frame rounding and segment joins shift the end slightly
+const DURATION_TOLERANCE = parseFloat(process.env.VERIFY_DURATION_TOLERANCE) || 0.5;
+const FPS_TOLERANCE = 0.1;
+
+// Helper: "30000/1001" -> 29.97
+function parseFrameRate(rate) {
+    const [num, den] = String(rate || '0/1').split('/').map(Number);
+    return den ? num / den : num;
+}
+
+// Helper: The parts of an ffprobe report that are checked
+function summarizeProbe(probe) {
+    const video = probe.streams.find(stream => stream.codec_type === 'video');
+    const audio = probe.streams.find(stream => stream.codec_type === 'audio');
+    return {
+        duration: parseFloat(probe.format.duration),
+        video: video ? {
+            codec: video.codec_name,
+            width: video.width,
+            height: video.height,
+            pixelFormat: video.pix_fmt,
+            fps: Math.round(parseFrameRate(video.avg_frame_rate) * 100) / 100
+        } : null,
+        audio: audio ? {
+            codec: audio.codec_name,
+            sampleRate: Number(audio.sample_rate),
+            channels: audio.channels
+        } : null
+    };
+}
+
+// Compare a probe summary with the expectation. Returns a list of readable mismatches.
+// expected: { duration, width, height, videoCodec, pixelFormat, fps, audioCodec, audioSampleRate, audioChannels }
+function compareOutput(actual, expected) {
+    const issues = [];
+    if (expected.duration !== undefined && !(Math.abs(actual.duration - expected.duration) <= DURATION_TOLERANCE)) {
+        issues.push(`duration ${actual.duration}s, expected ${expected.duration.toFixed(2)}s`);
+    }
+
+    if (!actual.video) {
+        issues.push('no video stream');
+    } else {
+        const { video } = actual;
+        if (video.width !== expected.width || video.height !== expected.height) {
+            issues.push(`resolution ${video.width}x${video.height}, expected ${expected.width}x${expected.height}`);
+        }
+        if (video.codec !== expected.videoCodec) {
+            issues.push(`video codec ${video.codec}, expected ${expected.videoCodec}`);
+        }
+        if (video.pixelFormat !== expected.pixelFormat) {
+            issues.push(`pixel format ${video.pixelFormat}, expected ${expected.pixelFormat}`);
+        }
+        if (Math.abs(video.fps - expected.fps) > FPS_TOLERANCE) {
+            issues.push(`frame rate ${video.fps}, expected ${expected.fps}`);
+        }
+    }
+
+    if (!actual.audio) {
+        issues.push('no audio stream');
+    } else {
+        const { audio } = actual;
+        if (audio.codec !== expected.audioCodec) {
+            issues.push(`audio codec ${audio.codec}, expected ${expected.audioCodec}`);
+        }
+        if (audio.sampleRate !== expected.audioSampleRate) {
+            issues.push(`audio sample rate ${audio.sampleRate}, expected ${expected.audioSampleRate}`);
+        }
+        if (audio.channels !== expected.audioChannels) {
+            issues.push(`audio channels ${audio.channels}, expected ${expected.audioChannels}`);
+        }
+    }
+    return issues;
+}
+
+// Probe a rendered file and compare it with the expectation (see compareOutput).
+// Returns { ok, issues, actual } - or null when verification is turned off.
+function verifyOutput(filePath, expected) {
+    if (!VERIFY_OUTPUTS) return null;
+    let actual;
+    try {
+        actual = summarizeProbe(videoProcessor.probeMedia(filePath));
+    } catch (error) {
+        return { ok: false, issues: [error.message], actual: null };
+    }
+    const issues = compareOutput(actual, expected);
+    if (issues.length > 0) {
+        console.warn(`Output check failed for ${filePath}: ${issues.join('; ')}`);
+    }
+    return { ok: issues.length === 0, issues, actual };
+}
+
+// Clips of a job result whose output check found problems: [{ name, path, issues }]
+function collectIssues(clips) {
+    return clips
+        .filter(clip => clip.verification && !clip.verification.ok)
+        .map(clip => ({ name: clip.name, path: clip.path, issues: clip.verification.issues }));
+}
+
+module.exports = {
+    summarizeProbe,
+    compareOutput,
+    verifyOutput,
+    collectIssues
+};
@@ -0,0 +1,1072 @@
+const path = require('path');
+const fs = require('fs');
+const transcriptionService = require('./transcription');
+const analysisService = require('./analysis');
+const videoProcessor = require('./videoProcessor');
+const jobQueue = require('./jobQueue');
+const outputProfiles = require('./outputProfiles');
+const captions = require('./captions');
+const timeMap = require('./timeMap');
+const boundaryRefinement = require('./boundaryRefinement');
+const promptTemplates = require('./promptTemplates');
+const clipSelection = require('./clipSelection');
+const textClips = require('./textClips');
+const stageEngine = require('./stageEngine');
+const silence = require('./silence');
+const encodingPresets = require('./encodingPresets');
+const outputVerification = require('./outputVerification');
+const audioChain = require('./audioChain');
+const branding = require('./branding');
+const clipMetadata = require('./clipMetadata');
+const translation = require('./translation');
+
+// The processing pipeline shared by server.js and cli.js.
+// Its stages (declared in PIPELINE_STAGES below) run through the stage engine: each caches its result
+// next to the video under a content-based key, a later run picks up from the first stage that changed.
+const TOTAL_STEPS = 5;
+const DEFAULT_OUTPUT_DIR = process.env.OUTPUT_DIR || 'output';
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.avi', '.mkv'];
+
+// Throw on unknown render values so a job fails before it is queued
+function validateRenderOptions(renderOptions = {}) {
+    outputProfiles.resolveFraming(renderOptions);
+    if (renderOptions.source && !['clean', 'original'].includes(renderOptions.source)) {
+        throw new Error(`Unknown clip source "${renderOptions.source}". Use "clean" or "original".`);
+    }
+    encodingPresets.resolveEncoding(renderOptions.encoding);
+    audioChain.resolveAudioSettings(renderOptions.audio);
+    if (renderOptions.branding) branding.loadTemplate(renderOptions.branding);
+    if (renderOptions.captions) {
+        captions.resolveStyle(renderOptions.captions);
+        captions.resolveSidecars(renderOptions.captions);
+        captions.resolveCaptionLanguage(renderOptions.captions);
+    }
+    return renderOptions;
+}
+
+// Throw on an unknown profile, a missing template or bad selection constraints
+function validateAnalysisOptions(analysisOptions = {}) {
+    promptTemplates.resolveProfile(analysisOptions.profile, analysisOptions.overrides);
+    if (analysisOptions.selection) clipSelection.resolveSelection(analysisOptions.selection);
+    return analysisOptions;
+}
+
+// Throw on an unknown mode or out-of-range silence settings (see silence.js)
+function validateSilenceOptions(silenceOptions = {}) {
+    silence.resolveSilenceSettings(silenceOptions);
+    return silenceOptions;
+}
+
+function validateMetadataOptions(metadataOptions = {}) {
+    clipMetadata.resolveMetadataSettings(metadataOptions);
+    return metadataOptions;
+}
+
+// Throw on an unknown target language (see translation.js)
+function validateTranslationOptions(translationOptions = {}) {
+    translation.resolveTranslationSettings(translationOptions);
+    return translationOptions;
+}
+
+// Throw on an unknown spoken language; "auto" lets the transcription provider detect it
+function validateLanguage(language) {
+    transcriptionService.resolveTranscriptionLanguage(language);
+    return language;
+}
+
+// Helper: Is the video worked on uncut? (no silence removal, or silences trimmed inside the clips only)
+function usesOriginalTimeline(options = {}) {
+    return !!options.skipSilenceRemoval || silence.resolveSilenceSettings(options.silence).apply === 'clips';
+}
+
+// Cache and output locations of a video.
+// options: { outputDir, skipSilenceRemoval, silence } - when the video is not cut before transcription the
+// caches get their own names, their times are on the original timeline instead of the clean one.
+function getVideoPaths(videoPath, options = {}) {
+    const baseName = path.basename(videoPath, path.extname(videoPath));
+    const dir = path.dirname(videoPath);
+    const originalTimeline = usesOriginalTimeline(options);
+    const cacheBase = originalTimeline ? `${baseName}_full` : baseName;
+    const cleanVideoPath = videoPath.replace(path.extname(videoPath), '_clean.mp4');
+    return {
+        videoPath,
+        baseName,
+        cacheBase,
+        cleanVideoPath,
+        segmentMapPath: timeMap.getMapPath(cleanVideoPath),
+        workingVideoPath: originalTimeline ? videoPath : cleanVideoPath,
+        transcriptionCachePath: path.join(dir, `${cacheBase}_transcription.json`),
+        // Word-level timestamps, used to snap cut points (absent for transcriptions made before they existed)
+        wordsCachePath: path.join(dir, `${cacheBase}_words.json`),
+        // Spoken language of the transcript, detected or given (absent for transcriptions made before it was recorded)
+        languageCachePath: path.join(dir, `${cacheBase}_language.json`),
+        analysisCachePath: path.join(dir, `${cacheBase}_analysis.json`),
+        // Publishing copy per clip (see clipMetadata)
+        metadataCachePath: path.join(dir, `${cacheBase}_metadata.json`),
+        // Timed subtitles per clip in other languages (see translation)
+        translationsCachePath: path.join(dir, `${cacheBase}_translations.json`),
+        // Kept segments for trimming silences inside the clips (silence "apply: clips")
+        trimMapPath: path.join(dir, `${cacheBase}_trim_map.json`),
+        // Stage keys and artifacts (see stageEngine)
+        manifestPath: path.join(dir, `${cacheBase}_manifest.json`),
+        outputDir: options.outputDir || DEFAULT_OUTPUT_DIR
+    };
+}
+
+// Helper: Clips of a previous analysis would otherwise linger next to the new ones. Returns the removed filenames.
+function removeStaleClips(paths) {
+    if (!fs.existsSync(paths.outputDir)) return [];
+    const pattern = new RegExp(`^${paths.cacheBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}_chunk\\d+_`);
+    const stale = fs.readdirSync(paths.outputDir).filter(file => pattern.test(file));
+    stale.forEach(file => {
+        console.log(`Removing clip from the previous analysis: ${path.join(paths.outputDir, file)}`);
+        try { fs.unlinkSync(path.join(paths.outputDir, file)); } catch (e) { }
+    });
+    return stale;
+}
+
+// Helper: Clip filename suffix for the render settings, so a clip rendered with other settings is not reused
+function renderSuffix(renderOptions = {}) {
+    let suffix = outputProfiles.profileSuffix(renderOptions);
+    if (renderOptions.captions) {
+        suffix += `_cc_${captions.resolveStyle(renderOptions.captions).presetName}`;
+        const captionLanguage = captions.resolveCaptionLanguage(renderOptions.captions);
+        if (captionLanguage) suffix += `_${captionLanguage}`;
+    }
+    if (renderOptions.source === 'original') {
+        suffix += '_orig';
+    }
+    suffix += encodingPresets.encodingSuffix(renderOptions.encoding);
+    if (renderOptions.branding) {
+        suffix += `_b_${renderOptions.branding}`;
+    }
+    return suffix;
+}
+
+// Output path of a rendered clip. The suffix keeps clips rendered with other settings apart.
+function clipOutputPath(clipContext, key, renderOptions) {
+    return path.join(clipContext.outputDir, `${clipContext.baseName}_${key}${renderSuffix(renderOptions)}.mp4`);
+}
+
+// Cache key of a rendered clip: the video it is cut from, its times (and its title when a branding hook shows it),
+// the render settings and what the encoding preset, audio defaults and branding template stand for (plus the
+// transcript when captions are burned in, and the silence settings when silences are trimmed inside the clip).
+// manifest: the stage manifest of the video. captionKey: the translation key of captions burned in another language.
+function clipCacheKey(manifest, moment, renderOptions = {}, trimSettings = null, captionKey = null) {
+    const stageKey = (name) => (manifest.stages[name] ? manifest.stages[name].key : null);
+    const template = renderOptions.branding ? branding.loadTemplate(renderOptions.branding) : null;
+    return stageEngine.computeKey(
+        'clip',
+        stageKey('silence-removal'),
+        renderOptions.captions ? stageKey('transcription') : null,
+        // A hook burns the title in, so it is part of the picture
+        { start: moment.start, end: moment.end, ...(template && template.hook ? { titulo: moment.titulo } : {}) },
+        renderOptions,
+        encodingPresets.resolveEncoding(renderOptions.encoding),
+        audioChain.resolveAudioSettings(renderOptions.audio),
+        template ? template.hash : null,
+        trimSettings ? silence.detectionSettings(trimSettings) : null,
+        ...(captionKey ? [captionKey] : [])
+    );
+}
+
+// Helper: Kept segments of the recording for trimming silences inside clips, detected once per settings
+async function loadTrimMap(clipContext, signal) {
+    const key = stageEngine.computeKey('trim-map', clipContext.sourceHash, silence.detectionSettings(clipContext.silence));
+    if (fs.existsSync(clipContext.trimMapPath)) {
+        const cached = JSON.parse(fs.readFileSync(clipContext.trimMapPath, 'utf8'));
+        if (cached.key === key) return cached.map;
+    }
+    console.log('Detecting silences to trim inside the clips...');
+    const detection = await videoProcessor.detectSilence(clipContext.videoPath, clipContext.silence, { signal });
+    const map = timeMap.buildSegmentMap(clipContext.videoPath, detection.sounds, detection.totalDuration);
+    fs.writeFileSync(clipContext.trimMapPath, JSON.stringify({ key, map }, null, 2));
+    return map;
+}
+
+// Helper: What a rendered clip should look like (see outputVerification). duration is left out when unknown.
+function expectedClip(renderOptions, duration) {
+    const frame = encodingPresets.outputSize(outputProfiles.resolveFraming(renderOptions).profile, renderOptions.encoding);
+    return { duration, ...frame, ...encodingPresets.expectedStreams(renderOptions.encoding) };
+}
+
+// Helper: Total length of a list of segments
+function segmentsDuration(segments) {
+    return segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+}
+
+// Helper: A branding intro/outro rendered like the clips (shape, encoding, loudness), once per combination,
+// so it joins a clip without re-encoding the clip
+async function prepareBrandClip(template, file, renderOptions, signal) {
+    const { profileName } = outputProfiles.resolveFraming(renderOptions);
+    const audio = audioChain.resolveAudioSettings({
+        loudness: audioChain.resolveAudioSettings(renderOptions.audio).loudness,
+        fadeIn: 0,
+        fadeOut: 0
+    });
+    const stat = fs.statSync(file);
+    const key = stageEngine.computeKey(path.basename(file), stat.size, stat.mtimeMs, profileName,
+        encodingPresets.resolveEncoding(renderOptions.encoding), audio.loudness);
+    const dir = branding.cacheDir(template);
+    const preparedPath = path.join(dir, `${path.basename(file, path.extname(file))}_${key}.mp4`);
+    if (fs.existsSync(preparedPath)) return preparedPath;
+
+    console.log(`Preparing ${path.basename(file)} of branding "${template.name}" for ${profileName}...`);
+    fs.mkdirSync(dir, { recursive: true });
+    // Rendered under a temporary name: a half-done file must not be picked up as prepared
+    const tempPath = path.join(dir, `tmp_${key}.mp4`);
+    try {
+        await videoProcessor.processVideo(file, tempPath, 0, videoProcessor.getDuration(file), {
+            profile: profileName,
+            framing: 'pad',
+            encoding: renderOptions.encoding,
+            signal
+        });
+        if (audioChain.isActive(audio)) {
+            await videoProcessor.processClipAudio(tempPath, { ...audio, musicPath: null }, { signal, encoding: renderOptions.encoding });
+        }
+        fs.renameSync(tempPath, preparedPath);
+    } finally {
+        if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    }
+    return preparedPath;
+}
+
+// Helper: Join the template's intro and outro around a rendered clip (in place). Returns the seconds added.
+async function addIntroOutro(template, clipPath, renderOptions, signal) {
+    const intro = template.intro ? await prepareBrandClip(template, template.intro, renderOptions, signal) : null;
+    const outro = template.outro ? await prepareBrandClip(template, template.outro, renderOptions, signal) : null;
+    if (!intro && !outro) return 0;
+
+    const joinedPath = path.join(path.dirname(clipPath), `${path.basename(clipPath, '.mp4')}_joined.mp4`);
+    try {
+        await videoProcessor.concatenateVideos([intro, clipPath, outro].filter(Boolean), joinedPath, {
+            signal,
+            encoding: renderOptions.encoding
+        });
+        fs.renameSync(joinedPath, clipPath);
+    } finally {
+        if (fs.existsSync(joinedPath)) fs.unlinkSync(joinedPath);
+    }
+    return [intro, outro].filter(Boolean).reduce((sum, file) => sum + videoProcessor.getDuration(file), 0);
+}
+
+// Helper: Translation entry for captions burned in another language than the spoken one, else null.
+// entries: the clip's translations ({ code: entry }), read from the translation cache when not given.
+function captionTranslation(clipContext, key, renderOptions, entries) {
+    const language = renderOptions.captions ? captions.resolveCaptionLanguage(renderOptions.captions) : null;
+    if (!language || language === clipContext.language) return null;
+    const clipEntries = entries || (clipContext.translationsCachePath
+        ? translation.loadTranslationCache(clipContext.translationsCachePath).clips[key]
+        : null) || {};
+    const entry = clipEntries[language];
+    if (!entry || !entry.cues) {
+        throw new Error(`Clip ${key} has no ${language} translation for its captions${entry && entry.error ? ` (${entry.error})` : ''}.`);
+    }
+    return entry;
+}
+
+// Render one clip (or reuse it when it already exists, unless options.overwrite).
+// clipContext: { videoPath, workingVideoPath, baseName, outputDir, segmentMap, transcription, language, originalTimeline,
+//   trimSilence, silence, trimMapPath, translationsCachePath, sourceHash } - trimSilence cuts the silences out inside the clip only
+// options: { signal, onStart, onProgress, overwrite, translations } - translations: the clip's translation entries
+// by language, for captions in another language. Returns the clip result for the job, with the
+// output check in `verification`.
+async function renderClip(clipContext, key, moment, renderOptions = {}, options = {}) {
+    const { videoPath, workingVideoPath, segmentMap, transcription } = clipContext;
+    const { signal } = options;
+    const outputPath = clipOutputPath(clipContext, key, renderOptions);
+    // start/end stay on the clean timeline, originalStart/originalEnd point into the source recording
+    let originalTimes = {};
+    if (clipContext.originalTimeline) {
+        originalTimes = { originalStart: moment.start, originalEnd: moment.end };
+    } else if (segmentMap) {
+        originalTimes = timeMap.mapClip(segmentMap, moment.start, moment.end);
+    }
+
+    const template = renderOptions.branding ? branding.loadTemplate(renderOptions.branding) : null;
+
+    // Checkpoint: Skip existing clips. Their length is only checked when it is known without detecting
+    // silences or probing the intro/outro.
+    if (fs.existsSync(outputPath) && !options.overwrite) {
+        console.log(`Clip already exists: ${outputPath}, skipping...`);
+        const duration = clipContext.trimSilence || (template && (template.intro || template.outro)) ? undefined : moment.end - moment.start;
+        const verification = outputVerification.verifyOutput(outputPath, expectedClip(renderOptions, duration));
+        return { name: key, path: outputPath, ...moment, ...originalTimes, ...(verification ? { verification } : {}) };
+    }
+    if (options.onStart) options.onStart();
+
+    // Ensure output directory exists
+    if (!fs.existsSync(clipContext.outputDir)) {
+        fs.mkdirSync(clipContext.outputDir, { recursive: true });
+    }
+
+    // Captions: slice the cached SRT to this clip and burn it in
+    let clipCaptions = null;
+    if (renderOptions.captions) {
+        const frame = outputProfiles.resolveFraming(renderOptions).profile;
+        const translated = captionTranslation(clipContext, key, renderOptions, options.translations);
+        clipCaptions = captions.writeClipCaptions(transcription, moment.start, moment.end, outputPath, renderOptions.captions, frame,
+            translated ? translated.cues : undefined);
+    }
+
+    const renderCall = {
+        ...renderOptions,
+        subtitlesPath: clipCaptions ? clipCaptions.assPath : undefined,
+        fontsDir: process.env.CAPTION_FONTS_DIR,
+        brandingTemplate: template,
+        title: moment.titulo,
+        signal,
+        onProgress: options.onProgress
+    };
+    let expectedDuration = moment.end - moment.start;
+    // Without silence removal the working video already is the original
+    if (renderOptions.source === 'original' && !clipContext.originalTimeline) {
+        if (!segmentMap) {
+            throw new Error('Cutting from the original needs a segment map. Delete the _clean.mp4 so silence removal runs again.');
+        }
+        // Same content as the clean clip, but cut from the untouched source
+        const segments = timeMap.cleanRangeToOriginalSegments(segmentMap, moment.start, moment.end);
+        await videoProcessor.processVideo(videoPath, outputPath, originalTimes.originalStart, originalTimes.originalEnd, {
+            ...renderCall,
+            segments
+        });
+        expectedDuration = segmentsDuration(segments);
+    } else if (clipContext.trimSilence) {
+        // The recording was never cut: keep only its spoken pieces inside the clip
+        const trimMap = await loadTrimMap(clipContext, signal);
+        const segments = timeMap.originalRangeSegments(trimMap, moment.start, moment.end);
+        await videoProcessor.processVideo(videoPath, outputPath, moment.start, moment.end, {
+            ...renderCall,
+            segments
+        });
+        if (segments.length > 0) expectedDuration = segmentsDuration(segments);
+    } else {
+        await videoProcessor.processVideo(workingVideoPath, outputPath, moment.start, moment.end, renderCall);
+    }
+
+    // Loudness, clean-up, music bed and fades on the rendered clip
+    const audio = audioChain.resolveAudioSettings(renderOptions.audio);
+    if (audioChain.isActive(audio)) {
+        await videoProcessor.processClipAudio(outputPath, {
+            ...audio,
+            musicPath: audioChain.resolveMusicPath(audio.music, `${clipContext.baseName}_${key}`)
+        }, { signal, encoding: renderOptions.encoding });
+    }
+    if (template) {
+        expectedDuration += await addIntroOutro(template, outputPath, renderOptions, signal);
+    }
+    const verification = outputVerification.verifyOutput(outputPath, expectedClip(renderOptions, expectedDuration));
+    return {
+        name: key,
+        path: outputPath,
+        ...(clipCaptions ? { subtitles: clipCaptions.sidecars } : {}),
+        ...moment,
+        ...originalTimes,
+        ...(verification ? { verification } : {})
+    };
+}
+
+// Helper: Candidate thumbnails and the <clip>.json sidecar of a rendered clip, from its metadata entry.
+// Thumbnails are only cut again when the clip file, its metadata or the thumbnail settings changed.
+// Returns the clip result with metadata, thumbnails and sidecar added.
+async function publishClip(clip, entry, settings, signal) {
+    if (!settings.enabled || !entry) return clip;
+    const dir = path.dirname(clip.path);
+    const previous = clipMetadata.readSidecar(clip.path);
+    const stat = fs.statSync(clip.path);
+    const title = settings.thumbnailTitle ? (entry.titles || [])[0] || clip.titulo : null;
+    const thumbnailKey = stageEngine.computeKey('thumbnails', entry.key, stat.size, stat.mtimeMs, settings.thumbnails, title);
+
+    let thumbnails = [];
+    if (previous && previous.thumbnailKey === thumbnailKey && previous.thumbnails.every(thumb => fs.existsSync(path.join(dir, thumb.file)))) {
+        thumbnails = previous.thumbnails.map(thumb => ({ time: thumb.time, path: path.join(dir, thumb.file) }));
+    } else {
+        const duration = clip.verification && clip.verification.actual ? clip.verification.actual.duration : videoProcessor.getDuration(clip.path);
+        const times = clipMetadata.thumbnailTimes(entry.coverTime, duration, settings.thumbnails);
+        try {
+            for (let i = 0; i < times.length; i++) {
+                const thumbnailPath = clipMetadata.thumbnailPath(clip.path, i);
+                await videoProcessor.extractThumbnail(clip.path, times[i], thumbnailPath, { signal, title });
+                thumbnails.push({ time: times[i], path: thumbnailPath });
+            }
+        } catch (error) {
+            if (jobQueue.isAbortError(error)) throw error;
+            console.warn(`Thumbnails for ${clip.name} failed: ${error.message}`);
+        }
+        // Candidates of a previous run beyond the current count
+        (previous ? previous.thumbnails : []).slice(thumbnails.length).forEach(thumb => {
+            try { fs.unlinkSync(path.join(dir, thumb.file)); } catch (e) { }
+        });
+    }
+
+    const sidecar = clipMetadata.writeSidecar(clip, entry, thumbnails, { thumbnailKey });
+    const { key, generatedAt, ...metadata } = entry;
+    return { ...clip, metadata, thumbnails: thumbnails.map(thumb => thumb.path), sidecar };
+}
+
+// Helper: <clip>.<language>.srt sidecars (.vtt too when the job asked for VTT) from the clip's translation entries.
+// Returns the clip result with the files per language, plus the languages whose translation failed.
+function addTranslatedSubtitles(clip, entries, renderOptions) {
+    if (!entries || Object.keys(entries).length === 0) return clip;
+    const cuesByLanguage = {};
+    const failed = {};
+    Object.entries(entries).forEach(([code, entry]) => {
+        if (entry.cues) cuesByLanguage[code] = entry.cues;
+        else failed[code] = entry.error;
+    });
+    const formats = renderOptions.captions ? captions.resolveSidecars(renderOptions.captions) : [];
+    const translations = captions.writeTranslatedSidecars(clip.path, cuesByLanguage, formats.length > 0 ? formats : ['srt']);
+    return { ...clip, translations, ...(Object.keys(failed).length > 0 ? { translationErrors: failed } : {}) };
+}
+
+// Helper: Spoken language recorded with the transcription, null when unknown
+function loadLanguage(paths) {
+    if (!fs.existsSync(paths.languageCachePath)) return null;
+    return JSON.parse(fs.readFileSync(paths.languageCachePath, 'utf8')).language || null;
+}
+
+// Everything needed to work on the clips of an already processed video (from its cache files).
+// options: { outputDir, skipSilenceRemoval, silence, metadata, translation } as given to runPipeline. Returns null when a cache file is missing.
+function loadClipContext(videoPath, options = {}) {
+    const paths = getVideoPaths(videoPath, options);
+    if (!fs.existsSync(paths.workingVideoPath) || !fs.existsSync(paths.transcriptionCachePath) || !fs.existsSync(paths.analysisCachePath)) {
+        return null;
+    }
+    const originalTimeline = usesOriginalTimeline(options);
+    const settings = silence.resolveSilenceSettings(options.silence);
+    const manifest = stageEngine.loadManifest(paths.manifestPath);
+    return {
+        videoPath,
+        workingVideoPath: paths.workingVideoPath,
+        baseName: paths.cacheBase,
+        outputDir: paths.outputDir,
+        originalTimeline,
+        segmentMap: originalTimeline ? null : timeMap.loadSegmentMap(paths.cleanVideoPath),
+        trimSilence: !options.skipSilenceRemoval && settings.apply === 'clips',
+        silence: settings,
+        trimMapPath: paths.trimMapPath,
+        sourceHash: manifest.input ? manifest.input.hash : stageEngine.fingerprintFile(videoPath),
+        transcription: JSON.parse(fs.readFileSync(paths.transcriptionCachePath, 'utf8')),
+        language: loadLanguage(paths),
+        analysisCachePath: paths.analysisCachePath,
+        metadata: clipMetadata.resolveMetadataSettings(options.metadata),
+        metadataCachePath: paths.metadataCachePath,
+        translation: translation.resolveTranslationSettings(options.translation),
+        translationsCachePath: paths.translationsCachePath,
+        manifestPath: paths.manifestPath
+    };
+}
+
+// Length of the timeline clips are cut from (the clean video, or the original without silence removal)
+function getSourceDuration(clipContext) {
+    if (clipContext.segmentMap) return clipContext.segmentMap.cleanDuration;
+    return videoProcessor.getDuration(clipContext.workingVideoPath);
+}
+
+// Re-render a single clip, e.g. after it was edited in the review screen.
+// payload: { videoPath, key, renderOptions, pipelineOptions }
+async function rerenderClip(payload, context = {}) {
+    const clipContext = loadClipContext(payload.videoPath, payload.pipelineOptions);
+    if (!clipContext) {
+        throw new Error(`The cache files of ${path.basename(payload.videoPath)} are missing, process the video again.`);
+    }
+    const analysis = analysisService.loadAnalysisCache(clipContext.analysisCachePath);
+    const moment = analysis.moments[payload.key];
+    if (!moment) {
+        throw new Error(`Clip ${payload.key} is not in the analysis anymore.`);
+    }
+
+    const renderOptions = payload.renderOptions || {};
+    const srt = typeof clipContext.transcription === 'string' ? clipContext.transcription : null;
+    // The profile is the one the video was analyzed with
+    const profile = promptTemplates.resolveProfile(analysis.profile);
+
+    // New times need new subtitles in the other languages, before rendering in case the captions use one
+    let translations = {};
+    const targets = translation.targetLanguages(clipContext.translation, renderOptions, clipContext.language);
+    if (targets.length > 0) {
+        if (context.progress) context.progress({ step: 'translation', stepIndex: 1, totalSteps: 1, message: `Translating subtitles of ${payload.key}` });
+        const result = await translation.ensureTranslations({ [payload.key]: moment }, {
+            srt,
+            sourceLanguage: clipContext.language,
+            languages: targets,
+            cachePath: clipContext.translationsCachePath,
+            profile,
+            signal: context.signal
+        });
+        translations = result.clips[payload.key];
+    }
+
+    const message = `Rendering clip ${payload.key}`;
+    const report = (percent) => {
+        if (context.progress) context.progress({ step: 'render', stepIndex: 1, totalSteps: 1, message, percent });
+    };
+    report(0);
+    let clip = await renderClip(clipContext, payload.key, moment, renderOptions, {
+        signal: context.signal,
+        overwrite: true,
+        onProgress: report,
+        translations
+    });
+    clip = addTranslatedSubtitles(clip, translations, renderOptions);
+    if (clipContext.metadata.enabled) {
+        // New times or a new title need new copy
+        if (context.progress) context.progress({ step: 'metadata', stepIndex: 1, totalSteps: 1, message: `Writing metadata for ${payload.key}` });
+        const { clips: entries } = await clipMetadata.ensureMetadata({ [payload.key]: moment }, {
+            srt,
+            cachePath: clipContext.metadataCachePath,
+            profile,
+            settings: clipContext.metadata,
+            signal: context.signal
+        });
+        clip = await publishClip(clip, entries[payload.key], clipContext.metadata, context.signal);
+    }
+
+    // Record the clip so the next pipeline run does not render it again
+    const manifest = stageEngine.loadManifest(clipContext.manifestPath);
+    const translated = captionTranslation(clipContext, payload.key, renderOptions, translations);
+    manifest.clips[path.basename(clip.path)] = clipCacheKey(manifest, moment, renderOptions,
+        clipContext.trimSilence ? clipContext.silence : null, translated ? translated.key : null);
+    stageEngine.saveManifest(clipContext.manifestPath, manifest);
+    return {
+        message: 'Clip rendered successfully',
+        clips: [clip],
+        failedChunks: [],
+        outputIssues: outputVerification.collectIssues([clip])
+    };
+}
+
+// Add a clip picked by transcript text to the video's clip set (see textClips.buildTextClip for textOptions).
+// Returns { key, moment }; rendering it is up to the caller.
+function addTextClip(clipContext, textOptions = {}) {
+    const moment = textClips.buildTextClip(clipContext.transcription, {
+        ...textOptions,
+        totalDuration: getSourceDuration(clipContext)
+    });
+    const analysis = analysisService.loadAnalysisCache(clipContext.analysisCachePath);
+    const key = textClips.addManualClip(analysis, moment);
+    analysisService.saveAnalysisCache(clipContext.analysisCachePath, analysis);
+    console.log(`Manual clip ${key} added: ${moment.start}s - ${moment.end}s "${moment.titulo}"`);
+    return { key, moment };
+}
+
+// Helper: Segment map of the clean video (missing for videos cleaned before maps existed)
+function loadSegmentMap(ctx) {
+    ctx.segmentMap = timeMap.loadSegmentMap(ctx.paths.cleanVideoPath);
+    if (!ctx.segmentMap) {
+        console.warn(`No segment map for ${ctx.paths.cleanVideoPath}, original-timeline times are unavailable. Force the silence-removal stage to rebuild it.`);
+    }
+    if (ctx.renderOptions.source === 'original' && !ctx.segmentMap) {
+        throw new Error('Cutting from the original needs a segment map. Force the silence-removal stage so it runs again.');
+    }
+}
+
+// Helper: Say why the video is not cut before transcription
+function logSkippedSilenceRemoval(ctx) {
+    if (ctx.trimSilence) {
+        console.log('[1/5] Silence removal deferred, silences are trimmed inside each clip.');
+    } else {
+        console.log('[1/5] Silence removal skipped, working on the original video.');
+    }
+}
+
+// Helper: Transcript as SRT text (old caches may hold something else)
+function transcriptText(ctx) {
+    return typeof ctx.transcription === 'string' ? ctx.transcription : null;
+}
+
+// Helper: Clips of the analysis that are published (the ones rejected in the review screen are not)
+function activeMoments(ctx) {
+    const moments = {};
+    Object.entries(ctx.analysis.moments)
+        .filter(([, moment]) => moment.review !== 'rejected')
+        .forEach(([key, moment]) => { moments[key] = moment; });
+    return moments;
+}
+
+// Helper: Transcription artifacts that exist on disk
+function transcriptionArtifacts(paths) {
+    return [paths.transcriptionCachePath, paths.wordsCachePath, paths.languageCachePath].filter(file => fs.existsSync(file));
+}
+
+// The pipeline stages, in order. ctx: { videoPath, paths, options, renderOptions, analysisOptions,
+// promptProfile, signal, report, withPercent } plus what the stages produce (segmentMap, audioPath,
+// transcription, words, language, analysis, clipMetadata, clipTranslations, clips). See stageEngine for the fields of a stage.
+const PIPELINE_STAGES = [
+    {
+        name: 'silence-removal',
+        // Without a cut the transcript does not depend on the silence settings, so they stay out of the key
+        params: (ctx) => (ctx.originalTimeline ? { skipped: true } : ctx.silence),
+        adopt: (ctx) => {
+            if (ctx.originalTimeline) return [];
+            const { cleanVideoPath, segmentMapPath } = ctx.paths;
+            if (!fs.existsSync(cleanVideoPath)) return null;
+            return fs.existsSync(segmentMapPath) ? [cleanVideoPath, segmentMapPath] : [cleanVideoPath];
+        },
+        run: async (ctx) => {
+            if (ctx.originalTimeline) {
+                logSkippedSilenceRemoval(ctx);
+                return [];
+            }
+            console.log(`[1/5] Removing silence from video (Preprocessing, mode ${ctx.silence.mode})...`);
+            ctx.report(1, 'silence-removal', 'Removing silence');
+            await videoProcessor.removeSilence(ctx.videoPath, ctx.paths.cleanVideoPath, {
+                signal: ctx.signal,
+                settings: ctx.silence,
+                onProgress: ctx.withPercent(1, 'silence-removal', 'Removing silence')
+            });
+            loadSegmentMap(ctx);
+            return [ctx.paths.cleanVideoPath, ctx.paths.segmentMapPath];
+        },
+        load: (ctx) => {
+            if (ctx.originalTimeline) {
+                logSkippedSilenceRemoval(ctx);
+                return;
+            }
+            console.log('[1/5] Found pre-processed video, skipping silence removal.');
+            loadSegmentMap(ctx);
+        }
+    },
+    {
+        name: 'audio-extraction',
+        // The transcription stage deletes the audio once it is transcribed
+        temporary: true,
+        params: () => ({ codec: 'libmp3lame' }),
+        run: async (ctx) => {
+            console.log('[2/5] Extracting audio from working video...');
+            ctx.report(2, 'audio-extraction', 'Extracting audio');
+            ctx.audioPath = ctx.paths.workingVideoPath.replace(path.extname(ctx.paths.workingVideoPath), '.mp3');
+            await videoProcessor.extractAudio(ctx.paths.workingVideoPath, ctx.audioPath, {
+                signal: ctx.signal,
+                onProgress: ctx.withPercent(2, 'audio-extraction', 'Extracting audio')
+            });
+            return [ctx.audioPath];
+        },
+        load: (ctx) => {
+            ctx.audioPath = ctx.paths.workingVideoPath.replace(path.extname(ctx.paths.workingVideoPath), '.mp3');
+        }
+    },
+    {
+        name: 'transcription',
+        params: (ctx) => transcriptionService.getCacheParams(undefined, ctx.options.language),
+        adopt: (ctx) => {
+            if (!fs.existsSync(ctx.paths.transcriptionCachePath)) return null;
+            return transcriptionArtifacts(ctx.paths);
+        },
+        run: async (ctx) => {
+            const { transcriptionCachePath, wordsCachePath, languageCachePath } = ctx.paths;
+            console.log('[3/5] Starting transcription...');
+            ctx.report(3, 'transcription', 'Transcribing audio');
+            const rawTranscription = await transcriptionService.transcribeAudioDetailed(ctx.audioPath, {
+                signal: ctx.signal,
+                language: ctx.options.language,
+                onProgress: ({ chunk, totalChunks }) => ctx.report(3, 'transcription', `Transcribing chunk ${chunk} of ${totalChunks}`, {
+                    percent: Math.round(((chunk - 1) / totalChunks) * 100)
+                })
+            });
+            console.log(`Transcription complete (language: ${rawTranscription.language || 'unknown'}).`);
+
+            ctx.transcription = rawTranscription.srt;
+            ctx.words = rawTranscription.words;
+            ctx.language = rawTranscription.language;
+            // requested: what the provider was told ("auto" means the language was detected)
+            fs.writeFileSync(languageCachePath, JSON.stringify({
+                language: ctx.language,
+                requested: transcriptionService.resolveTranscriptionLanguage(ctx.options.language)
+            }, null, 2));
+            fs.writeFileSync(transcriptionCachePath, JSON.stringify(ctx.transcription, null, 2));
+            if (ctx.words) {
+                fs.writeFileSync(wordsCachePath, JSON.stringify(ctx.words, null, 2));
+            } else if (fs.existsSync(wordsCachePath)) {
+                fs.unlinkSync(wordsCachePath);
+            }
+
+            // Clean up audio file
+            try {
+                fs.unlinkSync(ctx.audioPath);
+            } catch (e) {
+                console.warn('Could not delete temp audio file:', e);
+            }
+            return transcriptionArtifacts(ctx.paths);
+        },
+        load: (ctx) => {
+            console.log('[2/5] & [3/5] Found existing transcription, loading from cache...');
+            ctx.transcription = JSON.parse(fs.readFileSync(ctx.paths.transcriptionCachePath, 'utf8'));
+            ctx.words = fs.existsSync(ctx.paths.wordsCachePath)
+                ? JSON.parse(fs.readFileSync(ctx.paths.wordsCachePath, 'utf8'))
+                : null;
+            ctx.language = loadLanguage(ctx.paths);
+        }
+    },
+    {
+        name: 'analysis',
+        params: (ctx) => analysisService.getCacheParams(ctx.promptProfile),
+        adopt: (ctx) => {
+            const { analysisCachePath } = ctx.paths;
+            if (!fs.existsSync(analysisCachePath)) return null;
+            const cached = analysisService.loadAnalysisCache(analysisCachePath);
+            return analysisService.getCacheStaleReason(cached, ctx.promptProfile) ? null : [analysisCachePath];
+        },
+        run: async (ctx) => {
+            const { analysisCachePath } = ctx.paths;
+            // Clips made by hand from the transcript are kept when the analysis is redone
+            let manualClips = {};
+            if (fs.existsSync(analysisCachePath)) {
+                manualClips = textClips.getManualClips(analysisService.loadAnalysisCache(analysisCachePath));
+                removeStaleClips(ctx.paths).forEach(file => { delete ctx.manifest.clips[file]; });
+            }
+
+            console.log('[4/5] Analyzing for viral moments...');
+            ctx.report(4, 'analysis', 'Analyzing for viral moments');
+            const textToAnalyze = typeof ctx.transcription === 'string' ? ctx.transcription : JSON.stringify(ctx.transcription);
+            const analysis = await analysisService.analyzeTranscription(textToAnalyze, {
+                profile: ctx.promptProfile,
+                signal: ctx.signal,
+                onProgress: ({ chunk, totalChunks }) => ctx.report(4, 'analysis', `Analyzing chunk ${chunk} of ${totalChunks}`, {
+                    percent: Math.round(((chunk - 1) / totalChunks) * 100)
+                })
+            });
+            console.log('Analysis complete. Moments found:', analysis.moments);
+            analysis.moments = { ...analysis.moments, ...manualClips };
+            analysisService.saveAnalysisCache(analysisCachePath, analysis);
+            ctx.analysis = analysis;
+            return [analysisCachePath];
+        },
+        load: (ctx) => {
+            console.log(`[4/5] Found existing analysis (profile ${ctx.promptProfile.name}), loading from cache...`);
+            ctx.analysis = analysisService.loadAnalysisCache(ctx.paths.analysisCachePath);
+        }
+    },
+    {
+        // Boundary refinement and clip selection. Review edits are stored in the analysis file, so a
+        // cached selection is simply what that file holds.
+        name: 'selection',
+        params: (ctx) => ({
+            selection: clipSelection.resolveSelection(ctx.analysisOptions.selection),
+            minDuration: Number(ctx.promptProfile.params.minDuration),
+            maxDuration: Number(ctx.promptProfile.params.maxDuration)
+        }),
+        adopt: (ctx) => {
+            const settings = clipSelection.resolveSelection(ctx.analysisOptions.selection);
+            const cached = analysisService.loadAnalysisCache(ctx.paths.analysisCachePath);
+            return clipSelection.isSelectionCurrent(cached, settings) ? [ctx.paths.analysisCachePath] : null;
+        },
+        run: (ctx) => {
+            // Snap LLM cut points to sentence/pause boundaries and enforce the profile's duration rule.
+            // Every candidate is refined (rejected ones too, so they can be promoted later). Refined moments are
+            // written back so they are not snapped again (or after a manual edit).
+            const refinement = boundaryRefinement.refineMoments(clipSelection.getCandidates(ctx.analysis), {
+                srt: transcriptText(ctx),
+                words: ctx.words,
+                segmentMap: ctx.segmentMap,
+                totalDuration: ctx.segmentMap ? ctx.segmentMap.cleanDuration : undefined
+            }, {
+                minDuration: Number(ctx.promptProfile.params.minDuration),
+                maxDuration: Number(ctx.promptProfile.params.maxDuration)
+            });
+            if (refinement.adjustedCount > 0) {
+                console.log(`Boundary refinement: adjusted ${refinement.adjustedCount} clips.`);
+            }
+
+            // Pick the ranked clips to render within the job's constraints.
+            // Rejected candidates stay in the analysis file with the reason they were dropped.
+            const selection = clipSelection.selectClips(refinement.moments, ctx.analysisOptions.selection, {
+                srt: transcriptText(ctx)
+            });
+            ctx.analysis = { ...ctx.analysis, moments: selection.moments, rejected: selection.rejected, selection: selection.settings };
+            analysisService.saveAnalysisCache(ctx.paths.analysisCachePath, ctx.analysis);
+            return [ctx.paths.analysisCachePath];
+        }
+    },
+    {
+        // Publishing copy per clip. Always runs: each clip's answer is cached on its own (see clipMetadata),
+        // so only new or edited clips cost a provider request.
+        name: 'metadata',
+        cached: false,
+        params: (ctx) => ctx.metadataSettings,
+        run: async (ctx) => {
+            ctx.clipMetadata = {};
+            if (!ctx.metadataSettings.enabled) {
+                console.log('[4/5] Publishing metadata turned off, skipping.');
+                return [];
+            }
+            console.log('[4/5] Writing publishing metadata...');
+            ctx.report(4, 'metadata', 'Writing publishing metadata');
+            const moments = activeMoments(ctx);
+            const result = await clipMetadata.ensureMetadata(moments, {
+                srt: transcriptText(ctx),
+                cachePath: ctx.paths.metadataCachePath,
+                profile: ctx.promptProfile,
+                settings: ctx.metadataSettings,
+                signal: ctx.signal,
+                onProgress: ({ clip, totalClips }) => ctx.report(4, 'metadata', `Writing metadata for clip ${clip} of ${totalClips}`, {
+                    percent: Math.round(((clip - 1) / totalClips) * 100)
+                })
+            });
+            console.log(`Publishing metadata: ${result.generated} clip(s) written, ${Object.keys(moments).length - result.generated} from cache.`);
+            ctx.clipMetadata = result.clips;
+            return [ctx.paths.metadataCachePath];
+        }
+    },
+    {
+        // Timed subtitles per clip in other languages, for the sidecars and for captions burned in another
+        // language. Always runs: each clip and language is cached on its own (see translation.js).
+        name: 'translation',
+        cached: false,
+        params: (ctx) => ctx.translationSettings,
+        run: async (ctx) => {
+            ctx.clipTranslations = {};
+            const targets = translation.targetLanguages(ctx.translationSettings, ctx.renderOptions, ctx.language);
+            if (targets.length === 0) {
+                console.log('[4/5] No subtitle translation requested, skipping.');
+                return [];
+            }
+            console.log(`[4/5] Translating subtitles from ${ctx.language || 'the spoken language'} to ${targets.join(', ')}...`);
+            ctx.report(4, 'translation', 'Translating subtitles');
+            const result = await translation.ensureTranslations(activeMoments(ctx), {
+                srt: transcriptText(ctx),
+                sourceLanguage: ctx.language,
+                languages: targets,
+                cachePath: ctx.paths.translationsCachePath,
+                profile: ctx.promptProfile,
+                signal: ctx.signal,
+                onProgress: ({ translation: done, totalTranslations }) => ctx.report(4, 'translation', `Translating subtitles ${done} of ${totalTranslations}`, {
+                    percent: Math.round(((done - 1) / totalTranslations) * 100)
+                })
+            });
+            console.log(`Subtitle translation: ${result.generated} translation(s) written, the rest from cache.`);
+            ctx.clipTranslations = result.clips;
+            return [ctx.paths.translationsCachePath];
+        }
+    },
+    {
+        // Always runs: every clip is cached on its own (see clipCacheKey)
+        name: 'render',
+        cached: false,
+        params: (ctx) => ctx.renderOptions,
+        run: async (ctx) => {
+            console.log('[5/5] Processing video clips...');
+            const clipContext = {
+                videoPath: ctx.videoPath,
+                workingVideoPath: ctx.paths.workingVideoPath,
+                baseName: ctx.paths.cacheBase,
+                outputDir: ctx.paths.outputDir,
+                originalTimeline: ctx.originalTimeline,
+                segmentMap: ctx.segmentMap,
+                transcription: ctx.transcription,
+                language: ctx.language,
+                trimSilence: ctx.trimSilence,
+                silence: ctx.silence,
+                trimMapPath: ctx.paths.trimMapPath,
+                translationsCachePath: ctx.paths.translationsCachePath,
+                sourceHash: ctx.manifest.input.hash
+            };
+            const moments = ctx.analysis.moments;
+            // Clips rejected in the review screen are not rendered again
+            const keys = Object.keys(moments).filter(key => moments[key].review !== 'rejected');
+            ctx.clips = [];
+            for (let i = 0; i < keys.length; i++) {
+                jobQueue.throwIfAborted(ctx.signal);
+                const key = keys[i];
+                const clipMessage = `Rendering clip ${i + 1} of ${keys.length}`;
+                const clipInfo = { clip: i + 1, totalClips: keys.length };
+                const file = path.basename(clipOutputPath(clipContext, key, ctx.renderOptions));
+                const translations = ctx.clipTranslations[key] || {};
+                const translated = captionTranslation(clipContext, key, ctx.renderOptions, translations);
+                const clipKey = clipCacheKey(ctx.manifest, moments[key], ctx.renderOptions, ctx.trimSilence ? ctx.silence : null,
+                    translated ? translated.key : null);
+                // Clips rendered before the manifest existed have no record and are kept
+                const recorded = ctx.manifest.clips[file];
+
+                const clip = await renderClip(clipContext, key, moments[key], ctx.renderOptions, {
+                    signal: ctx.signal,
+                    // A forced stage re-runs everything after it, the clips included
+                    overwrite: ctx.forced.length > 0 || (recorded !== undefined && recorded !== clipKey),
+                    onStart: () => {
+                        console.log(`Processing clip ${i + 1}/${keys.length}: ${key}`);
+                        ctx.report(5, 'render', clipMessage, clipInfo);
+                    },
+                    onProgress: ctx.withPercent(5, 'render', clipMessage, clipInfo),
+                    translations
+                });
+                const subtitled = addTranslatedSubtitles(clip, translations, ctx.renderOptions);
+                ctx.clips.push(await publishClip(subtitled, ctx.clipMetadata[key], ctx.metadataSettings, ctx.signal));
+                ctx.manifest.clips[file] = clipKey;
+                ctx.saveManifest();
+            }
+            return ctx.clips.map(clip => clip.path);
+        }
+    }
+];
+const STAGES = PIPELINE_STAGES.map(stage => stage.name);
+
+// Run the pipeline for one video.
+// options: {
+//   renderOptions: { profile, framing, layout, captions, source, encoding, audio, branding } forwarded to videoProcessor.processVideo
+//   analysisOptions: { profile, overrides, selection } selecting the prompt profile and the clip selection constraints
+//   silence: silence removal settings (see silence.js), outputDir, skipSilenceRemoval
+//   metadata: { enabled, titleCount, thumbnails, thumbnailTitle } publishing metadata per clip (see clipMetadata.js)
+//   language: spoken language passed to the transcription (ISO 639-1 code, default "auto" = detected)
+//   translation: { languages } subtitles per clip in other languages (see translation.js)
+//   force: stage name(s) to run again even when cached (later stages run again too)
+//   until: last stage to run (default "render")
+// }
+// context: { signal, progress } provided by the job queue
+async function runPipeline(videoPath, options = {}, context = {}) {
+    const renderOptions = options.renderOptions || {};
+    const analysisOptions = options.analysisOptions || {};
+    const until = options.until || 'render';
+
+    const report = (stepIndex, step, message, extra = {}) => {
+        if (context.progress) context.progress({ step, stepIndex, totalSteps: TOTAL_STEPS, message, ...extra });
+    };
+    const paths = getVideoPaths(videoPath, options);
+    const silenceSettings = silence.resolveSilenceSettings(options.silence);
+    const ctx = {
+        videoPath,
+        paths,
+        options,
+        silence: silenceSettings,
+        originalTimeline: usesOriginalTimeline(options),
+        trimSilence: !options.skipSilenceRemoval && silenceSettings.apply === 'clips',
+        metadataSettings: clipMetadata.resolveMetadataSettings(options.metadata),
+        clipMetadata: {},
+        translationSettings: translation.resolveTranslationSettings(options.translation),
+        clipTranslations: {},
+        renderOptions,
+        analysisOptions,
+        forced: [].concat(options.force || []),
+        promptProfile: promptTemplates.resolveProfile(analysisOptions.profile, analysisOptions.overrides),
+        signal: context.signal,
+        report,
+        withPercent: (stepIndex, step, message, extra = {}) =>
+            (percent) => report(stepIndex, step, message, { ...extra, percent }),
+        segmentMap: null,
+        words: null,
+        language: null
+    };
+
+    console.log(`[1/5] Processing started for: ${videoPath}`);
+    await stageEngine.runStages(PIPELINE_STAGES, ctx, {
+        manifestPath: paths.manifestPath,
+        inputPath: videoPath,
+        force: options.force,
+        until,
+        signal: context.signal
+    });
+
+    if (until === 'silence-removal' || until === 'audio-extraction' || until === 'transcription') {
+        return {
+            message: 'Video transcribed successfully',
+            video: videoPath,
+            transcriptionPath: ctx.transcription !== undefined ? paths.transcriptionCachePath : null,
+            language: ctx.language,
+            cueCount: transcriptText(ctx) ? analysisService.parseSRT(ctx.transcription).length : 0
+        };
+    }
+
+    const rejectedClips = Object.entries(ctx.analysis.rejected || {}).map(([name, moment]) => ({ name, ...moment }));
+    if (until !== 'render') {
+        return {
+            message: 'Video analyzed successfully',
+            video: videoPath,
+            language: ctx.language,
+            analysisPath: paths.analysisCachePath,
+            clips: Object.entries(ctx.analysis.moments).map(([name, moment]) => ({ name, ...moment })),
+            failedChunks: ctx.analysis.failedChunks || [],
+            rejectedClips
+        };
+    }
+
+    return {
+        message: 'Video processed successfully',
+        video: videoPath,
+        language: ctx.language,
+        analysisPath: paths.analysisCachePath,
+        clips: ctx.clips,
+        // Chunks the LLM could not analyze (after retries): moments there may be missing
+        failedChunks: ctx.analysis.failedChunks || [],
+        // Candidates the selection dropped, with the reason
+        rejectedClips,
+        // Clips whose file does not match the requested duration, size or streams (ffprobe check)
+        outputIssues: outputVerification.collectIssues(ctx.clips)
+    };
+}
+
+// Dry run of the silence removal: the silences found, the segments kept and the time saved. Renders nothing.
+// silenceOptions: see silence.js. context: { signal, progress } provided by the job queue
+async function silenceReport(videoPath, silenceOptions = {}, context = {}) {
+    const settings = silence.resolveSilenceSettings(silenceOptions);
+    if (context.progress) context.progress({ step: 'silence-detection', stepIndex: 1, totalSteps: 1, message: 'Detecting silences' });
+    const detection = await videoProcessor.detectSilence(videoPath, settings, { signal: context.signal });
+    const report = silence.summarize(detection, settings);
+    console.log(`Silence report for ${path.basename(videoPath)}: ${report.silences.length} silences, ${report.savedSeconds}s of ${report.originalDuration}s saved (${report.savedPercent}%).`);
+    return { message: 'Silence report ready', video: videoPath, report };
+}
+
+// Cache files of a video that exist on disk: { name: path }
+function getCacheFiles(videoPath, options = {}) {
+    const paths = getVideoPaths(videoPath, options);
+    const files = {
+        transcription: paths.transcriptionCachePath,
+        words: paths.wordsCachePath,
+        language: paths.languageCachePath,
+        analysis: paths.analysisCachePath,
+        metadata: paths.metadataCachePath,
+        translations: paths.translationsCachePath,
+        manifest: paths.manifestPath
+    };
+    if (usesOriginalTimeline(options)) {
+        files.trimMap = paths.trimMapPath;
+    } else {
+        files.clean = paths.cleanVideoPath;
+        files.segmentMap = paths.segmentMapPath;
+    }
+    Object.keys(files).forEach(name => {
+        if (!fs.existsSync(files[name])) delete files[name];
+    });
+    return files;
+}
+
+// Rendered clips (and their caption files) of a video in the output folder
+function getRenderedFiles(videoPath, options = {}) {
+    const paths = getVideoPaths(videoPath, options);
+    if (!fs.existsSync(paths.outputDir)) return [];
+    const prefix = `${paths.cacheBase}_`;
+    // "<base>_full_..." clips belong to the uncut (original timeline) runs of the same video
+    const otherRun = usesOriginalTimeline(options) ? null : `${paths.baseName}_full_`;
+    return fs.readdirSync(paths.outputDir)
+        .filter(file => file.startsWith(prefix) && !(otherRun && file.startsWith(otherRun)))
+        .filter(file => /_(chunk\d+|manual)_/.test(file))
+        .map(file => path.join(paths.outputDir, file));
+}
+
+// Is this a source video (not one of our own _clean.mp4 intermediates)?
+function isSourceVideo(file) {
+    return VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase()) && !/_clean\.mp4$/i.test(file);
+}
+
+module.exports = {
+    STAGES,
+    DEFAULT_OUTPUT_DIR,
+    VIDEO_EXTENSIONS,
+    validateRenderOptions,
+    validateAnalysisOptions,
+    validateSilenceOptions,
+    validateMetadataOptions,
+    validateTranslationOptions,
+    validateLanguage,
+    getVideoPaths,
+    runPipeline,
+    silenceReport,
+    renderClip,
+    rerenderClip,
+    addTextClip,
+    loadClipContext,
+    getSourceDuration,
+    clipOutputPath,
+    getCacheFiles,
+    getRenderedFiles,
+    isSourceVideo
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const languages = require('./languages');
+
+// Prompt templates are plain text files with {{variable}} placeholders.
+// Profiles (prompts/profiles.json) pick a template and its parameters; every profile
+// inherits the parameters of "default" and only overrides what differs.
+const PROMPTS_DIR = path.resolve(__dirname, '../../', process.env.PROMPTS_DIR || 'prompts');
+const TEMPLATES_DIR = path.join(PROMPTS_DIR, 'templates');
+const PROFILES_PATH = path.join(PROMPTS_DIR, 'profiles.json');
+
+const DEFAULT_PROFILE = 'default';
+const REPAIR_TEMPLATE = 'repair';
+const SUMMARY_TEMPLATE = 'summary';
+// Publishing copy per clip (titles, hooks, description, hashtags, cover frame)
+const METADATA_TEMPLATE = 'metadata';
+// Timed subtitles of a clip in another language (see translation.js)
+const TRANSLATION_TEMPLATE = 'translation';
+// Text used for {{previousSummary}} when there is nothing to summarize yet
+const NO_SUMMARY = '(início do vídeo, nenhuma parte anterior)';
+
+// Parameters a job may override on top of its profile
+const OVERRIDABLE_PARAMS = ['niche', 'language', 'minClips', 'maxClips', 'minDuration', 'maxDuration', 'guidance'];
+
+function loadProfiles() {
+    return JSON.parse(fs.readFileSync(PROFILES_PATH, 'utf8'));
+}
+
+function loadTemplate(name) {
+    const templatePath = path.join(TEMPLATES_DIR, `${path.basename(name)}.txt`);
+    if (!fs.existsSync(templatePath)) {
+        throw new Error(`Prompt template not found: ${templatePath}`);
+    }
+    return fs.readFileSync(templatePath, 'utf8');
+}
+
+// Helper: Replace {{name}} placeholders. Unknown placeholders are an error, not an empty string.
+function fillTemplate(template, vars) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        if (vars[name] === undefined || vars[name] === null) {
+            throw new Error(`Prompt template variable "${name}" has no value`);
+        }
+        return String(vars[name]);
+    });
+}
+
+// Resolve a profile with optional per-job overrides. The "language" parameter is the language the model
+// writes in (titles, summaries, publishing copy), whatever the language of the audio; a code like "en" is
+// turned into its name.
+// Returns { name, templateName, template, repairTemplate, summaryTemplate, metadataTemplate, translationTemplate, params, hash }
+function resolveProfile(name, overrides = {}) {
+    const profiles = loadProfiles();
+    const profileName = name || process.env.ANALYSIS_PROFILE || DEFAULT_PROFILE;
+    const profile = profiles[profileName];
+    if (!profile) {
+        throw new Error(`Unknown analysis profile "${profileName}". Use one of: ${Object.keys(profiles).join(', ')}`);
+    }
+
+    const params = { ...profiles[DEFAULT_PROFILE].params, ...profile.params };
+    OVERRIDABLE_PARAMS.forEach(key => {
+        if (overrides[key] !== undefined && overrides[key] !== '') params[key] = overrides[key];
+    });
+    const languageCode = languages.normalizeLanguage(params.language);
+    if (languageCode) params.language = languages.promptName(languageCode);
+    if (Number(params.minDuration) >= Number(params.maxDuration)) {
+        throw new Error(`minDuration (${params.minDuration}) must be lower than maxDuration (${params.maxDuration})`);
+    }
+
+    const templateName = profile.template || profiles[DEFAULT_PROFILE].template;
+    const template = loadTemplate(templateName);
+    const repairTemplate = loadTemplate(REPAIR_TEMPLATE);
+    const summaryTemplate = loadTemplate(SUMMARY_TEMPLATE);
+    const metadataTemplate = loadTemplate(METADATA_TEMPLATE);
+    const translationTemplate = loadTemplate(TRANSLATION_TEMPLATE);
+
+    // Anything that changes the text sent to the model changes the hash, which invalidates cached analyses.
+    // The metadata and translation templates are left out: they only run after the analysis and have their
+    // own caches (clipMetadata, translation).
+    const hash = crypto.createHash('sha256')
+        .update(template)
+        .update(repairTemplate)
+        .update(summaryTemplate)
+        .update(JSON.stringify(params, Object.keys(params).sort()))
+        .digest('hex')
+        .substring(0, 16);
+
+    return { name: profileName, templateName, template, repairTemplate, summaryTemplate, metadataTemplate, translationTemplate, params, hash };
+}
+
+// Prompt for one chunk: profile parameters plus the per-chunk values.
+// previousSummary is the rolling summary of the chunks before this one.
+function renderChunkPrompt(profile, chunkIndex, transcript, previousSummary) {
+    return fillTemplate(profile.template, {
+        ...profile.params,
+        chunkIndex,
+        chunkNumber: chunkIndex + 1,
+        previousSummary: previousSummary || NO_SUMMARY,
+        transcript
+    }).trim();
+}
+
+// Prompt that folds one more chunk into the rolling summary
+function renderSummaryPrompt(profile, chunkIndex, transcript, previousSummary) {
+    return fillTemplate(profile.summaryTemplate, {
+        ...profile.params,
+        chunkIndex,
+        chunkNumber: chunkIndex + 1,
+        previousSummary: previousSummary || NO_SUMMARY,
+        transcript
+    }).trim();
+}
+
+// Prompt for the publishing copy of one clip. clip: { titulo, duration, transcript, titleCount }
+function renderMetadataPrompt(profile, clip) {
+    return fillTemplate(profile.metadataTemplate, {
+        ...profile.params,
+        ...clip
+    }).trim();
+}
+
+// Prompt for the subtitles of one clip in another language. clip: { sourceLanguage, targetLanguage, cueCount, cues }
+function renderTranslationPrompt(profile, clip) {
+    return fillTemplate(profile.translationTemplate, {
+        ...profile.params,
+        ...clip
+    }).trim();
+}
+
+function renderRepairPrompt(profile, errors) {
+    return fillTemplate(profile.repairTemplate, {
+        errors: errors.map(e => `- ${e}`).join('\n')
+    }).trim();
+}
+
+// Profile list for the UI/API
+function listProfiles() {
+    const profiles = loadProfiles();
+    return Object.entries(profiles).map(([name, profile]) => ({
+        name,
+        description: profile.description || '',
+        template: profile.template || profiles[DEFAULT_PROFILE].template
+    }));
+}
+
+module.exports = {
+    OVERRIDABLE_PARAMS,
+    resolveProfile,
+    renderChunkPrompt,
+    renderRepairPrompt,
+    renderSummaryPrompt,
+    renderMetadataPrompt,
+    renderTranslationPrompt,
+    listProfiles,
+    fillTemplate
+};
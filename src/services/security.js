@@ -0,0 +1,136 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const videoProcessor = require('./videoProcessor');
+const pipeline = require('./pipeline');
+
+// Guards for a server that is reachable from the network: file names from requests stay inside their folder,
+// uploads are limited and must be real videos, and every route can require a token or a user and password.
+//   AUTH_TOKEN              shared token: "Authorization: Bearer <token>", the auth_token cookie (the browser UI
+//                           asks for it and sets the cookie) or ?token=<token>
+//   AUTH_USER/AUTH_PASSWORD HTTP basic auth (the browser asks for them)
+//   UPLOAD_MAX_MB           largest upload accepted (default 4096)
+
+const DEFAULTS = {
+    token: process.env.AUTH_TOKEN || '',
+    user: process.env.AUTH_USER || '',
+    password: process.env.AUTH_PASSWORD || '',
+    uploadMaxBytes: Math.round((parseFloat(process.env.UPLOAD_MAX_MB) || 4096) * 1024 * 1024)
+};
+
+// Helper: Is target inside base (not base itself)?
+function isWithin(base, target) {
+    const relative = path.relative(base, target);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Absolute path of a file name from a request inside baseDir, or null when the name leaves it
+// ("../", absolute paths, NUL bytes, or a symlink pointing outside).
+function resolveInside(baseDir, name) {
+    if (typeof name !== 'string' || name.trim() === '' || name.includes('\0')) return null;
+    const base = path.resolve(baseDir);
+    const target = path.resolve(base, name);
+    if (!isWithin(base, target)) return null;
+    // A symlink inside the folder may still point elsewhere: compare the real locations once the file exists
+    if (fs.existsSync(target) && fs.existsSync(base) && !isWithin(fs.realpathSync(base), fs.realpathSync(target))) {
+        return null;
+    }
+    return target;
+}
+
+// Name an upload is stored under: a random name with the (lowercased) extension of the original, so nothing
+// the client sent ends up in a path. Null when the extension is not a video one.
+function uploadFilename(originalName) {
+    const extension = path.extname(String(originalName || '')).toLowerCase();
+    if (!pipeline.VIDEO_EXTENSIONS.includes(extension)) return null;
+    return `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`;
+}
+
+// Check with ffprobe that an uploaded file is a video (a container ffprobe knows, a video stream and a
+// duration). Rejects with the reason otherwise - also when ffprobe itself is missing (error.unavailable),
+// nothing unchecked gets in. Resolves with the probe. Runs ffprobe asynchronously, other requests (and job
+// updates) go on meanwhile.
+async function sniffVideo(filePath) {
+    let probe;
+    try {
+        probe = await videoProcessor.probeMediaAsync(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            const unavailable = new Error('ffprobe is not available, uploads cannot be checked.');
+            unavailable.unavailable = true;
+            throw unavailable;
+        }
+        throw new Error('The file could not be read as a video.');
+    }
+    const video = (probe.streams || []).find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+    if (!video) throw new Error('The file has no video stream.');
+    if (!(parseFloat(probe.format && probe.format.duration) > 0)) throw new Error('The file has no duration.');
+    return probe;
+}
+
+// Helper: Compare secrets in constant time (hashing first evens out the lengths)
+function safeEqual(a, b) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// Helper: Value of one cookie from the Cookie header
+function readCookie(header, name) {
+    const match = String(header || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+    if (!match) return null;
+    try {
+        return decodeURIComponent(match.substring(name.length + 1));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Which kind of auth the settings ask for: "token", "basic" or null (open)
+function authMode(settings = DEFAULTS) {
+    if (settings.token) return 'token';
+    if (settings.user && settings.password) return 'basic';
+    return null;
+}
+
+// Does the request carry the configured credentials? req: { headers, query }
+function isAuthorized(req, settings = DEFAULTS) {
+    const mode = authMode(settings);
+    if (!mode) return true;
+    const header = req.headers.authorization || '';
+    if (mode === 'token') {
+        const bearer = header.startsWith('Bearer ') ? header.substring(7) : null;
+        const query = req.query && typeof req.query.token === 'string' ? req.query.token : null;
+        const token = bearer || readCookie(req.headers.cookie, 'auth_token') || query;
+        return !!token && safeEqual(token, settings.token);
+    }
+    if (!header.startsWith('Basic ')) return false;
+    const decoded = Buffer.from(header.substring(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return false;
+    // Both compared every time, so a wrong user takes as long as a wrong password
+    const userOk = safeEqual(decoded.substring(0, separator), settings.user);
+    const passwordOk = safeEqual(decoded.substring(separator + 1), settings.password);
+    return userOk && passwordOk;
+}
+
+// Express middleware requiring the credentials on every route. With a token the page itself (no data in it)
+// stays open, so the browser can ask for the token. Open when no credentials are configured.
+function requireAuth(settings = DEFAULTS) {
+    const mode = authMode(settings);
+    return (req, res, next) => {
+        if (!mode || isAuthorized(req, settings)) return next();
+        if (mode === 'token' && req.method === 'GET' && (req.path === '/' || req.path === '/index.html')) return next();
+        if (mode === 'basic') res.set('WWW-Authenticate', 'Basic realm="cortes", charset="UTF-8"');
+        res.status(401).json({ error: 'Authentication required.' });
+    };
+}
+
+module.exports = {
+    DEFAULTS,
+    resolveInside,
+    uploadFilename,
+    sniffVideo,
+    authMode,
+    isAuthorized,
+    requireAuth
+};
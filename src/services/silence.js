@@ -0,0 +1,138 @@
+// Silence removal settings and the segment math behind them. Detection and rendering live in
+// videoProcessor (detectSilence, removeSilence), this module decides what is kept.
+//
+// Jobs override any setting, env provides the defaults:
+//   mode      "remove" cuts silences out, "shorten" keeps keepSilenceMs of each one (a softer jump cut)
+//   apply     "video" cuts the whole video once before transcription (_clean.mp4),
+//             "clips" leaves the video untouched and trims silences inside each rendered clip only
+//   threshold dB below which audio counts as silence, or "auto" (autoOffsetDb under the measured mean loudness)
+const MODES = ['remove', 'shorten'];
+const APPLY_TO = ['video', 'clips'];
+
+const DEFAULTS = {
+    mode: process.env.SILENCE_MODE || 'remove',
+    apply: process.env.SILENCE_APPLY || 'video',
+    threshold: process.env.SILENCE_THRESHOLD || -30,
+    autoOffsetDb: parseFloat(process.env.SILENCE_AUTO_OFFSET_DB) || 15,
+    minSilenceDuration: parseFloat(process.env.SILENCE_MIN_DURATION) || 0.5,
+    padding: process.env.SILENCE_PADDING !== undefined ? parseFloat(process.env.SILENCE_PADDING) : 0.1,
+    keepSilenceMs: parseInt(process.env.SILENCE_KEEP_MS, 10) || 300,
+    // Encoding of the _clean.mp4 intermediate: every clip is cut from it, so it must not lose much quality
+    preset: process.env.SILENCE_PRESET || 'veryfast',
+    crf: parseInt(process.env.SILENCE_CRF, 10) || 18
+};
+const NUMBER_KEYS = ['autoOffsetDb', 'minSilenceDuration', 'padding', 'keepSilenceMs', 'crf'];
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+// Adaptive thresholds stay inside this range whatever the recording sounds like
+const AUTO_THRESHOLD_RANGE = { min: -60, max: -20 };
+// Kept segments shorter than this are dropped (a click between two silences)
+const MIN_SEGMENT_SECONDS = 0.1;
+
+// Merge job options with the defaults and validate them
+function resolveSilenceSettings(options = {}) {
+    const settings = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+        if (options[key] !== undefined && options[key] !== null && options[key] !== '') settings[key] = options[key];
+    });
+
+    if (!MODES.includes(settings.mode)) {
+        throw new Error(`Unknown silence mode "${settings.mode}". Use one of: ${MODES.join(', ')}`);
+    }
+    if (!APPLY_TO.includes(settings.apply)) {
+        throw new Error(`Unknown silence "apply" value "${settings.apply}". Use one of: ${APPLY_TO.join(', ')}`);
+    }
+    if (settings.threshold !== 'auto') {
+        settings.threshold = Number(settings.threshold);
+        if (!Number.isFinite(settings.threshold) || settings.threshold >= 0) {
+            throw new Error('Silence threshold must be a negative number of dB or "auto"');
+        }
+    }
+    NUMBER_KEYS.forEach(key => {
+        settings[key] = Number(settings[key]);
+        if (!Number.isFinite(settings[key]) || settings[key] < 0) {
+            throw new Error(`Silence option "${key}" must be a number >= 0`);
+        }
+    });
+    if (settings.minSilenceDuration === 0) {
+        throw new Error('Silence option "minSilenceDuration" must be above 0');
+    }
+    if (!X264_PRESETS.includes(settings.preset)) {
+        throw new Error(`Unknown encoder preset "${settings.preset}". Use one of: ${X264_PRESETS.join(', ')}`);
+    }
+    if (settings.crf > 51) {
+        throw new Error('Silence option "crf" must be between 0 and 51');
+    }
+    return settings;
+}
+
+// Threshold in dB for a recording whose mean loudness is meanVolume (only used with threshold "auto")
+function resolveThreshold(settings, meanVolume) {
+    if (settings.threshold !== 'auto') return settings.threshold;
+    if (!Number.isFinite(meanVolume)) return -30;
+    const adaptive = meanVolume - settings.autoOffsetDb;
+    return Math.round(Math.min(AUTO_THRESHOLD_RANGE.max, Math.max(AUTO_THRESHOLD_RANGE.min, adaptive)) * 10) / 10;
+}
+
+// Segments to keep, from the detected silences ([{ start, end }], seconds).
+// "shorten" keeps half of keepSilenceMs on each side of every silence instead of the padding, so each silence
+// becomes keepSilenceMs long (shorter ones stay as they are).
+function buildKeptSegments(silences, totalDuration, settings) {
+    const margin = settings.mode === 'shorten' ? settings.keepSilenceMs / 2000 : settings.padding;
+
+    const sounds = [];
+    let lastEnd = 0;
+    silences.forEach(silence => {
+        const start = Math.max(0, lastEnd - margin);
+        const end = Math.min(totalDuration, silence.start + margin);
+        if (end - start > MIN_SEGMENT_SECONDS) sounds.push({ start, end });
+        lastEnd = silence.end;
+    });
+    if (lastEnd < totalDuration) {
+        sounds.push({ start: Math.max(0, lastEnd - margin), end: totalDuration });
+    }
+
+    // Wide margins can make neighbours overlap, join them
+    return sounds.reduce((merged, seg) => {
+        const last = merged[merged.length - 1];
+        if (last && seg.start <= last.end) {
+            last.end = Math.max(last.end, seg.end);
+        } else {
+            merged.push({ ...seg });
+        }
+        return merged;
+    }, []);
+}
+
+// The settings that change which segments are kept (not how or where they are applied)
+function detectionSettings(settings) {
+    const { apply, preset, crf, ...detection } = settings;
+    return detection;
+}
+
+// Dry-run report: what a silence pass would keep and how much time it saves
+function summarize(detection, settings) {
+    const keptDuration = detection.sounds.reduce((sum, seg) => sum + (seg.end - seg.start), 0);
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+        settings,
+        threshold: detection.threshold,
+        meanVolume: detection.meanVolume,
+        originalDuration: round(detection.totalDuration),
+        keptDuration: round(keptDuration),
+        savedSeconds: round(detection.totalDuration - keptDuration),
+        savedPercent: detection.totalDuration > 0 ? round((1 - keptDuration / detection.totalDuration) * 100) : 0,
+        silences: detection.silences.map(s => ({ start: round(s.start), end: round(s.end) })),
+        keptSegments: detection.sounds.map(s => ({ start: round(s.start), end: round(s.end) }))
+    };
+}
+
+module.exports = {
+    DEFAULTS,
+    MODES,
+    APPLY_TO,
+    resolveSilenceSettings,
+    resolveThreshold,
+    buildKeptSegments,
+    detectionSettings,
+    summarize
+};
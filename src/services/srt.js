@@ -0,0 +1,64 @@
+// Helper: Convert SRT timestamp "00:00:00,000" to seconds
+function parseTimestamp(timeStr) {
+    if (!timeStr) return 0;
+    const [h, m, s] = timeStr.split(':');
+    const [sec, ms] = s.split(',');
+    return (parseInt(h) * 3600) + (parseInt(m) * 60) + parseInt(sec) + (parseInt(ms) / 1000);
+}
+
+// Helper: Parse raw SRT string into structured array
+function parseSRT(srtContent) {
+    // Normalize line endings and split by double blank lines
+    const blocks = srtContent.replace(/\r\n/g, '\n').split('\n\n');
+    const entries = [];
+
+    blocks.forEach(block => {
+        const lines = block.split('\n').filter(l => l.trim() !== '');
+        if (lines.length >= 3) {
+            const id = lines[0];
+            const timeLine = lines[1];
+            const text = lines.slice(2).join(' '); // Join remaining lines as text
+
+            // Extract start time for sorting/chunking, end time for captions
+            const timeMatch = timeLine.match(/(\d{2}:\d{2}:\d{2},\d{3}) -->/);
+            const startSeconds = timeMatch ? parseTimestamp(timeMatch[1]) : 0;
+            const endMatch = timeLine.match(/--> (\d{2}:\d{2}:\d{2},\d{3})/);
+            const endSeconds = endMatch ? parseTimestamp(endMatch[1]) : startSeconds;
+
+            entries.push({
+                id,
+                timeLine,
+                startSeconds,
+                endSeconds,
+                text,
+                fullBlock: block
+            });
+        }
+    });
+
+    return entries;
+}
+
+// Helper: Seconds to SRT "HH:MM:SS,mmm" (or VTT "HH:MM:SS.mmm")
+function formatSrtTime(seconds, separator = ',') {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const h = Math.floor(totalMs / 3600000);
+    const m = Math.floor((totalMs % 3600000) / 60000);
+    const s = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+// Build an SRT string from cues: [{ start, end, text }] in seconds
+function buildSRT(cues) {
+    return cues.map((cue, i) =>
+        `${i + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}\n${cue.text}`
+    ).join('\n\n') + '\n';
+}
+
+// Parsed entries back to plain cues, the shape buildSRT expects
+function entriesToCues(entries) {
+    return entries.map(entry => ({ start: entry.startSeconds, end: entry.endSeconds, text: entry.text }));
+}
+
+module.exports = { parseTimestamp, parseSRT, formatSrtTime, buildSRT, entriesToCues };
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { throwIfAborted } = require('./jobQueue');
+
+// Runs declared pipeline stages in order, caching their results by content.
+//
+// Each stage's cache key hashes the key of the stage before it (for the first stage: a fingerprint
+// of the source video) with the stage's own parameters. A changed source or setting therefore
+// invalidates that stage and everything after it, whatever the files are called. A manifest next
+// to the video records every artifact and the key it was made with.
+//
+// A stage is { name, params, run, load, adopt, temporary, cached }:
+//   params(ctx)  settings that change the stage output (JSON), part of the key
+//   run(ctx)     produce the artifacts and fill ctx, returns the paths it wrote
+//   load(ctx)    fill ctx from the cached artifacts (optional)
+//   adopt(ctx)   for artifacts made before manifests existed: paths to reuse, or null (optional)
+//   temporary    the artifacts are deleted by a later stage, only made again when that stage runs
+//   cached       false for stages that always run (they cache per item themselves)
+
+const MANIFEST_VERSION = 1;
+// Bytes sampled at the start, middle and end of the source: hashing multi-GB recordings in full is too slow
+const FINGERPRINT_SAMPLE_BYTES = 4 * 1024 * 1024;
+
+// Helper: JSON with sorted object keys, so equal settings always hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Cache key of any list of values (16 hex chars)
+function computeKey(...parts) {
+    return crypto.createHash('sha256').update(stableStringify(parts)).digest('hex').substring(0, 16);
+}
+
+// Helper: Byte ranges a fingerprint hashes: { length, offsets } (small files are hashed whole)
+function fingerprintSamples(size) {
+    const whole = size <= FINGERPRINT_SAMPLE_BYTES * 3;
+    const length = whole ? size : FINGERPRINT_SAMPLE_BYTES;
+    return { length, offsets: whole ? [0] : [0, Math.floor((size - length) / 2), size - length] };
+}
+
+// Content fingerprint of a file: its size plus samples of its bytes (small files are hashed whole)
+function fingerprintFile(filePath) {
+    const { size } = fs.statSync(filePath);
+    const hash = crypto.createHash('sha256').update(String(size));
+    const { length, offsets } = fingerprintSamples(size);
+
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        offsets.forEach(offset => {
+            const buffer = Buffer.alloc(length);
+            const read = fs.readSync(fd, buffer, 0, length, offset);
+            hash.update(buffer.subarray(0, read));
+        });
+    } finally {
+        fs.closeSync(fd);
+    }
+    return hash.digest('hex').substring(0, 16);
+}
+
+// Same as fingerprintFile without blocking the event loop, for request handlers
+async function fingerprintFileAsync(filePath) {
+    const { size } = await fs.promises.stat(filePath);
+    const hash = crypto.createHash('sha256').update(String(size));
+    const { length, offsets } = fingerprintSamples(size);
+
+    const file = await fs.promises.open(filePath, 'r');
+    try {
+        for (const offset of offsets) {
+            const buffer = Buffer.alloc(length);
+            const { bytesRead } = await file.read(buffer, 0, length, offset);
+            hash.update(buffer.subarray(0, bytesRead));
+        }
+    } finally {
+        await file.close();
+    }
+    return hash.digest('hex').substring(0, 16);
+}
+
+function loadManifest(manifestPath) {
+    if (fs.existsSync(manifestPath)) {
+        try {
+            const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            if (manifest.version === MANIFEST_VERSION) return { clips: {}, ...manifest };
+            console.warn(`Manifest ${manifestPath} has an unknown version, starting a new one.`);
+        } catch (error) {
+            console.warn(`Manifest ${manifestPath} is unreadable (${error.message}), starting a new one.`);
+        }
+    }
+    return { version: MANIFEST_VERSION, input: null, stages: {}, clips: {} };
+}
+
+function saveManifest(manifestPath, manifest) {
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+// Helper: Fingerprint of the source, reusing the recorded one while its size and mtime are unchanged
+function resolveInput(manifest, inputPath) {
+    const stat = fs.statSync(inputPath);
+    const previous = manifest.input;
+    if (previous && previous.size === stat.size && previous.mtimeMs === stat.mtimeMs) return previous;
+
+    const input = { file: path.basename(inputPath), size: stat.size, mtimeMs: stat.mtimeMs, hash: fingerprintFile(inputPath) };
+    if (previous && previous.hash !== input.hash) {
+        console.log(`Source ${input.file} changed since the last run (${previous.hash} -> ${input.hash}), its cached stages are invalid.`);
+    }
+    return input;
+}
+
+// Helper: Do all recorded artifacts of a manifest entry exist?
+function artifactsExist(entry) {
+    return !!entry && entry.artifacts.every(file => fs.existsSync(file));
+}
+
+// Helper: Can the stage be loaded from cache? Adopts pre-manifest artifacts on the way.
+function isCurrent(stage, manifest, key, ctx, forced) {
+    if (stage.cached === false || forced.has(stage.name)) return false;
+
+    const entry = manifest.stages[stage.name];
+    // Only needed when the stage after it runs, which decides that (see runStages)
+    if (stage.temporary && !entry) return true;
+    if (!entry) {
+        const adopted = stage.adopt ? stage.adopt(ctx) : null;
+        if (!adopted) return false;
+        console.log(`[${stage.name}] Reusing files made before the manifest existed.`);
+        manifest.stages[stage.name] = { key, artifacts: adopted, adopted: true, completedAt: new Date().toISOString() };
+        return true;
+    }
+    if (entry.key !== key) {
+        console.log(`[${stage.name}] Input or settings changed (${entry.key} -> ${key}), running again.`);
+        return false;
+    }
+    if (stage.temporary) return true;
+    if (!artifactsExist(entry)) {
+        console.log(`[${stage.name}] Cached files are missing, running again.`);
+        return false;
+    }
+    return true;
+}
+
+// Stage names to run again: each forced one (and, by the key chain, everything after it)
+function resolveForced(stages, force = []) {
+    const list = Array.isArray(force) ? force : [force];
+    list.forEach(name => {
+        if (!stages.some(stage => stage.name === name)) {
+            throw new Error(`Unknown stage "${name}". Use one of: ${stages.map(stage => stage.name).join(', ')}`);
+        }
+    });
+    return new Set(list);
+}
+
+// Run stages in order, from the first one whose cache cannot be used. Earlier stages are loaded.
+// options: { manifestPath, inputPath, force (stage name or names), until (last stage to run), signal }
+// ctx gets `keys`, `manifest` and `saveManifest()` for the stages to use.
+// Returns { manifest, keys, ran } - ran lists the stages that ran (not loaded from cache).
+async function runStages(stages, ctx, options) {
+    const forced = resolveForced(stages, options.force);
+    const untilIndex = options.until ? stages.findIndex(stage => stage.name === options.until) : stages.length - 1;
+    if (untilIndex === -1) {
+        throw new Error(`Unknown stage "${options.until}". Use one of: ${stages.map(stage => stage.name).join(', ')}`);
+    }
+    const active = stages.slice(0, untilIndex + 1);
+
+    const manifest = loadManifest(options.manifestPath);
+    manifest.input = resolveInput(manifest, options.inputPath);
+    ctx.manifest = manifest;
+    ctx.saveManifest = () => saveManifest(options.manifestPath, manifest);
+
+    // The key chain: source fingerprint -> stage 1 -> stage 2 -> ...
+    const keys = {};
+    const params = {};
+    let previousKey = manifest.input.hash;
+    active.forEach(stage => {
+        params[stage.name] = stage.params(ctx);
+        keys[stage.name] = computeKey(stage.name, previousKey, params[stage.name]);
+        previousKey = keys[stage.name];
+    });
+    ctx.keys = keys;
+
+    let first = active.findIndex(stage => !isCurrent(stage, manifest, keys[stage.name], ctx, forced));
+    if (first === -1) first = active.length;
+    // Temporary artifacts that were cleaned up are made again for the stage that needs them
+    while (first > 0 && first < active.length && active[first - 1].temporary && !artifactsExist(manifest.stages[active[first - 1].name])) {
+        first--;
+    }
+    ctx.saveManifest();
+
+    const ran = [];
+    for (let i = 0; i < active.length; i++) {
+        const stage = active[i];
+        if (i < first) {
+            if (stage.load) stage.load(ctx);
+            continue;
+        }
+
+        throwIfAborted(options.signal);
+        if (i === first) {
+            // Results of the later stages were made from what is about to be replaced
+            stages.slice(i).forEach(later => { delete manifest.stages[later.name]; });
+        }
+        const artifacts = (await stage.run(ctx)) || [];
+        manifest.stages[stage.name] = {
+            key: keys[stage.name],
+            params: params[stage.name],
+            artifacts,
+            completedAt: new Date().toISOString()
+        };
+        ctx.saveManifest();
+        ran.push(stage.name);
+    }
+
+    return { manifest, keys, ran };
+}
+
+module.exports = {
+    computeKey,
+    fingerprintFile,
+    fingerprintFileAsync,
+    loadManifest,
+    saveManifest,
+    runStages
+};
@@ -0,0 +1,169 @@
+const { parseSRT } = require('./srt');
+
+// Manual clips picked by transcript text: "from this line to that line".
+// Matching ignores case, accents and punctuation, and works across SRT cue borders.
+
+// Helper: Text reduced to lowercase words without accents or punctuation
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// Helper: One searchable string for the whole transcript, with the span each cue occupies in it
+function buildIndex(entries) {
+    let text = '';
+    const spans = [];
+    entries.forEach((entry, index) => {
+        const normalized = normalizeText(entry.text);
+        if (normalized === '') return;
+        if (text !== '') text += ' ';
+        spans.push({ index, start: text.length, end: text.length + normalized.length });
+        text += normalized;
+    });
+    return { text, spans };
+}
+
+// Helper: Cue that holds character `offset` of the index (a joining space belongs to the cue before it)
+function entryAt(index, offset) {
+    const span = index.spans.find(s => offset <= s.end) || index.spans[index.spans.length - 1];
+    return span.index;
+}
+
+// Helper: Every position of query in the index text
+function findAll(index, query, from = 0) {
+    const positions = [];
+    let pos = index.text.indexOf(query, from);
+    while (pos !== -1) {
+        positions.push(pos);
+        pos = index.text.indexOf(query, pos + 1);
+    }
+    return positions;
+}
+
+// Cues matching a search. Returns [{ index, start, end, text }] (a match across cues returns each of them once).
+function searchTranscript(srtContent, query, limit = 50) {
+    const entries = parseSRT(srtContent);
+    const needle = normalizeText(query);
+    if (needle === '') return [];
+
+    const index = buildIndex(entries);
+    const found = new Set();
+    findAll(index, needle).forEach(pos => {
+        for (let i = entryAt(index, pos); i <= entryAt(index, pos + needle.length - 1); i++) found.add(i);
+    });
+
+    return Array.from(found)
+        .sort((a, b) => a - b)
+        .slice(0, limit)
+        .map(i => ({ index: i, start: entries[i].startSeconds, end: entries[i].endSeconds, text: entries[i].text }));
+}
+
+// Find the cues from the one containing fromText to the one containing toText (the first match after it).
+// Without toText the clip covers the cues of fromText only. occurrence picks a later match of fromText (1-based).
+// Returns { start, end, text, matches } - start/end are the cue times, matches the number of fromText hits.
+function findTextSpan(srtContent, fromText, toText, options = {}) {
+    const entries = parseSRT(srtContent);
+    const index = buildIndex(entries);
+    const fromNeedle = normalizeText(fromText);
+    if (fromNeedle === '') {
+        throw new Error('The start text is empty.');
+    }
+
+    const fromMatches = findAll(index, fromNeedle);
+    if (fromMatches.length === 0) {
+        throw new Error(`Start text not found in the transcription: "${fromText}"`);
+    }
+    const occurrence = parseInt(options.occurrence, 10) || 1;
+    if (occurrence < 1 || occurrence > fromMatches.length) {
+        throw new Error(`Start text occurs ${fromMatches.length} time(s), occurrence ${occurrence} does not exist.`);
+    }
+    const fromPos = fromMatches[occurrence - 1];
+    const firstEntry = entryAt(index, fromPos);
+    let lastEntry = entryAt(index, fromPos + fromNeedle.length - 1);
+
+    const toNeedle = normalizeText(toText);
+    if (toNeedle !== '') {
+        const toPos = index.text.indexOf(toNeedle, fromPos);
+        if (toPos === -1) {
+            throw new Error(`End text not found after the start text: "${toText}"`);
+        }
+        lastEntry = Math.max(lastEntry, entryAt(index, toPos + toNeedle.length - 1));
+    }
+
+    return {
+        start: entries[firstEntry].startSeconds,
+        end: entries[lastEntry].endSeconds,
+        text: entries.slice(firstEntry, lastEntry + 1).map(e => e.text.trim()).join(' '),
+        matches: fromMatches.length
+    };
+}
+
+// Build a clip moment from transcript text.
+// options: { fromText, toText, padding (seconds added on both sides), occurrence, titulo, totalDuration }
+function buildTextClip(srtContent, options = {}) {
+    const padding = options.padding !== undefined && options.padding !== '' ? Number(options.padding) : 0;
+    if (!Number.isFinite(padding) || padding < 0) {
+        throw new Error('Padding must be a number of seconds >= 0.');
+    }
+
+    const span = findTextSpan(srtContent, options.fromText, options.toText, options);
+    const start = Math.max(0, span.start - padding);
+    let end = span.end + padding;
+    if (options.totalDuration) end = Math.min(options.totalDuration, end);
+
+    const titulo = typeof options.titulo === 'string' && options.titulo.trim() !== ''
+        ? options.titulo.trim()
+        : span.text.substring(0, 60).trim();
+
+    return {
+        start: Math.round(start * 1000) / 1000,
+        end: Math.round(end * 1000) / 1000,
+        titulo,
+        score: 100,
+        // Chosen by hand: always selected, never snapped by boundary refinement, kept when the analysis is redone
+        manual: true,
+        pinned: true,
+        edited: true,
+        textSelection: {
+            fromText: options.fromText,
+            toText: options.toText || null,
+            padding,
+            occurrence: parseInt(options.occurrence, 10) || 1,
+            matches: span.matches
+        }
+    };
+}
+
+// Add a manual moment to an analysis (in place). Returns its key: manual_1, manual_2, ...
+function addManualClip(analysis, moment) {
+    const used = Object.keys(analysis.moments || {})
+        .concat(Object.keys(analysis.rejected || {}))
+        .map(key => (key.match(/^manual_(\d+)$/) || [])[1])
+        .filter(Boolean)
+        .map(Number);
+    const key = `manual_${used.length > 0 ? Math.max(...used) + 1 : 1}`;
+    analysis.moments = { ...(analysis.moments || {}), [key]: moment };
+    return key;
+}
+
+// Manual moments of an analysis, so they survive a new analysis run
+function getManualClips(analysis) {
+    const manual = {};
+    Object.entries(analysis.moments || {}).forEach(([key, moment]) => {
+        if (moment.manual) manual[key] = moment;
+    });
+    return manual;
+}
+
+module.exports = {
+    normalizeText,
+    searchTranscript,
+    findTextSpan,
+    buildTextClip,
+    addManualClip,
+    getManualClips
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+// The segment map links the silence-free "_clean.mp4" timeline to the original recording.
+// Each kept segment has its position in both: { start, end } (original) and { cleanStart, cleanEnd }.
+
+function getMapPath(cleanVideoPath) {
+    return cleanVideoPath.replace(path.extname(cleanVideoPath), '_map.json');
+}
+
+// Build a map from the kept (sound) segments, in original-timeline seconds
+function buildSegmentMap(sourcePath, sounds, totalDuration) {
+    let cursor = 0;
+    const segments = sounds.map(seg => {
+        const duration = seg.end - seg.start;
+        const mapped = {
+            start: seg.start,
+            end: seg.end,
+            cleanStart: cursor,
+            cleanEnd: cursor + duration
+        };
+        cursor += duration;
+        return mapped;
+    });
+
+    return {
+        source: path.basename(sourcePath),
+        originalDuration: totalDuration,
+        cleanDuration: cursor,
+        segments
+    };
+}
+
+// Map for a video that was kept as-is (nothing removed)
+function buildIdentityMap(sourcePath, totalDuration) {
+    return buildSegmentMap(sourcePath, [{ start: 0, end: totalDuration }], totalDuration);
+}
+
+function saveSegmentMap(cleanVideoPath, map) {
+    const mapPath = getMapPath(cleanVideoPath);
+    fs.writeFileSync(mapPath, JSON.stringify(map, null, 2));
+    console.log(`Segment map saved: ${mapPath} (${map.segments.length} segments)`);
+    return mapPath;
+}
+
+// Returns null when the clean video was made before segment maps existed
+function loadSegmentMap(cleanVideoPath) {
+    const mapPath = getMapPath(cleanVideoPath);
+    if (!fs.existsSync(mapPath)) return null;
+    return JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+}
+
+// Clean timeline -> original timeline
+function cleanToOriginal(map, cleanTime) {
+    const { segments } = map;
+    if (segments.length === 0) return cleanTime;
+
+    for (const seg of segments) {
+        if (cleanTime <= seg.cleanEnd) {
+            return seg.start + Math.max(0, cleanTime - seg.cleanStart);
+        }
+    }
+    const last = segments[segments.length - 1];
+    return last.end;
+}
+
+// Original timeline -> clean timeline.
+// A time inside a removed silence snaps to where the next kept segment starts.
+function originalToClean(map, originalTime) {
+    const { segments } = map;
+    if (segments.length === 0) return originalTime;
+
+    for (const seg of segments) {
+        if (originalTime < seg.start) return seg.cleanStart;
+        if (originalTime <= seg.end) return seg.cleanStart + (originalTime - seg.start);
+    }
+    return map.cleanDuration;
+}
+
+// Original-timeline pieces that make up the clean range [cleanStart, cleanEnd].
+// Cutting these from the source and joining them gives the same content as the clean clip.
+function cleanRangeToOriginalSegments(map, cleanStart, cleanEnd) {
+    return map.segments
+        .filter(seg => seg.cleanEnd > cleanStart && seg.cleanStart < cleanEnd)
+        .map(seg => ({
+            start: seg.start + Math.max(0, cleanStart - seg.cleanStart),
+            end: seg.start + (Math.min(cleanEnd, seg.cleanEnd) - seg.cleanStart)
+        }))
+        .filter(seg => seg.end - seg.start > 0.01);
+}
+
+// Kept (sound) segments inside the original range [start, end], clamped to it.
+// Used to trim silences inside a clip cut from the untouched recording.
+function originalRangeSegments(map, start, end) {
+    return map.segments
+        .filter(seg => seg.end > start && seg.start < end)
+        .map(seg => ({ start: Math.max(start, seg.start), end: Math.min(end, seg.end) }))
+        .filter(seg => seg.end - seg.start > 0.01);
+}
+
+// Both timelines for a clip given in clean-timeline seconds
+function mapClip(map, start, end) {
+    const pieces = cleanRangeToOriginalSegments(map, start, end);
+    if (pieces.length === 0) {
+        return { originalStart: cleanToOriginal(map, start), originalEnd: cleanToOriginal(map, end) };
+    }
+    return { originalStart: pieces[0].start, originalEnd: pieces[pieces.length - 1].end };
+}
+
+module.exports = {
+    getMapPath,
+    buildSegmentMap,
+    buildIdentityMap,
+    saveSegmentMap,
+    loadSegmentMap,
+    cleanToOriginal,
+    originalToClean,
+    cleanRangeToOriginalSegments,
+    originalRangeSegments,
+    mapClip
+};
@@ -0,0 +1,266 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const analysisService = require('./analysis');
+const videoProcessor = require('./videoProcessor');
+const timeMap = require('./timeMap');
+
+// Editor timelines of a video's selected clips, for polishing the picks in an NLE instead of using the
+// rendered MP4s. Every clip is a sub-clip of the ORIGINAL recording (never the _clean.mp4) laid end to end
+// on the timeline, with its title and score as a marker. Frame counts use the source's exact frame rate
+// (29.97 = 30000/1001), timecodes its nominal rate, non-drop frame.
+//   edl     CMX3600 EDL
+//   fcpxml  Final Cut Pro X (FCPXML 1.9)
+//   xmeml   Premiere Pro / Final Cut 7 XML (XMEML 4)
+
+// Record timecode of the first event, the usual start of an edited programme
+const RECORD_START_SECONDS = 3600;
+
+// Helper: "30000/1001" -> { num: 30000, den: 1001 }
+function parseRate(rate) {
+    const [num, den] = String(rate || '').split('/').map(Number);
+    if (!num || !den) return null;
+    return { num, den };
+}
+
+// Source facts the exporters need, from ffprobe: frame rate, frame size, duration and audio layout
+function describeSource(videoPath) {
+    const probe = videoProcessor.probeMedia(videoPath);
+    const video = probe.streams.find(stream => stream.codec_type === 'video');
+    const audio = probe.streams.find(stream => stream.codec_type === 'audio');
+    if (!video) throw new Error(`${path.basename(videoPath)} has no video stream`);
+    // r_frame_rate is the stream's base rate, avg_frame_rate is a fallback for odd containers
+    const rate = parseRate(video.r_frame_rate) || parseRate(video.avg_frame_rate);
+    if (!rate) throw new Error(`Could not read the frame rate of ${path.basename(videoPath)}`);
+    return {
+        path: path.resolve(videoPath),
+        name: path.basename(videoPath),
+        rate,
+        // Frames per second counted in timecode (30 for 29.97)
+        timebase: Math.round(rate.num / rate.den),
+        ntsc: rate.den === 1001,
+        width: video.width,
+        height: video.height,
+        duration: parseFloat(probe.format.duration),
+        audioChannels: audio ? audio.channels : 0,
+        audioRate: audio ? Number(audio.sample_rate) : 0
+    };
+}
+
+// Helper: Seconds -> whole frames at the source's real rate
+function toFrames(seconds, source) {
+    return Math.round(seconds * source.rate.num / source.rate.den);
+}
+
+// Helper: Frame count -> HH:MM:SS:FF (non-drop frame)
+function framesToTimecode(frames, source) {
+    const fps = source.timebase;
+    const ff = frames % fps;
+    const totalSeconds = Math.floor(frames / fps);
+    const hh = Math.floor(totalSeconds / 3600);
+    const mm = Math.floor((totalSeconds % 3600) / 60);
+    const ss = totalSeconds % 60;
+    return [hh, mm, ss, ff].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+// Helper: Frame count -> FCPXML rational time ("1001/30000s" per frame)
+function framesToRational(frames, source) {
+    return frames === 0 ? '0s' : `${frames * source.rate.den}/${source.rate.num}s`;
+}
+
+// Helper: Escape text for XML attributes and elements
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Helper: Marker note of a clip
+function clipNote(clip) {
+    const rank = clip.rank ? `#${clip.rank}, ` : '';
+    return `${rank}score ${clip.score !== undefined ? clip.score : '-'}`;
+}
+
+// The selected clips of a processed video on the original timeline, as frame ranges laid end to end.
+// clipContext: from pipeline.loadClipContext. Clips rejected in the review screen are left out.
+function buildTimeline(clipContext) {
+    const source = describeSource(clipContext.videoPath);
+    const analysis = analysisService.loadAnalysisCache(clipContext.analysisCachePath);
+
+    let record = 0;
+    const clips = Object.entries(analysis.moments)
+        .filter(([, moment]) => moment.review !== 'rejected')
+        .map(([key, moment]) => {
+            // Same mapping as the renders: clean-timeline times go back to the source recording
+            const times = clipContext.originalTimeline || !clipContext.segmentMap
+                ? { originalStart: moment.start, originalEnd: moment.end }
+                : timeMap.mapClip(clipContext.segmentMap, moment.start, moment.end);
+            return { key, ...moment, ...times };
+        })
+        .sort((a, b) => a.originalStart - b.originalStart)
+        .map(clip => {
+            const sourceIn = toFrames(clip.originalStart, source);
+            const sourceOut = Math.max(sourceIn + 1, toFrames(clip.originalEnd, source));
+            const item = {
+                key: clip.key,
+                title: String(clip.titulo || clip.key).replace(/\s+/g, ' ').trim(),
+                score: clip.score,
+                rank: clip.rank,
+                sourceIn,
+                sourceOut,
+                recordIn: record,
+                recordOut: record + sourceOut - sourceIn
+            };
+            record = item.recordOut;
+            return item;
+        });
+
+    return { name: clipContext.baseName, source, clips, duration: record };
+}
+
+// CMX3600 EDL: one event per clip, the title and score as comments
+function toEdl(timeline) {
+    const { source } = timeline;
+    const recordStart = RECORD_START_SECONDS * source.timebase;
+    // Reel names are limited to 8 characters, the source file goes in a FROM CLIP NAME comment
+    const reel = 'AX';
+    const lines = [`TITLE: ${timeline.name}`, 'FCM: NON-DROP FRAME', ''];
+    timeline.clips.forEach((clip, i) => {
+        const times = [
+            framesToTimecode(clip.sourceIn, source),
+            framesToTimecode(clip.sourceOut, source),
+            framesToTimecode(recordStart + clip.recordIn, source),
+            framesToTimecode(recordStart + clip.recordOut, source)
+        ].join(' ');
+        lines.push(`${String(i + 1).padStart(3, '0')}  ${reel.padEnd(8)} AA/V  C        ${times}`);
+        lines.push(`* FROM CLIP NAME: ${source.name}`);
+        lines.push(`* COMMENT: ${clip.title} (${clipNote(clip)})`);
+        lines.push(`* LOC: ${framesToTimecode(recordStart + clip.recordIn, source)} YELLOW  ${clip.title}`);
+        lines.push('');
+    });
+    return lines.join('\r\n');
+}
+
+// FCPXML 1.9: one asset-clip per clip on the primary storyline, each with a marker at its first frame
+function toFcpxml(timeline) {
+    const { source } = timeline;
+    const frame = framesToRational(1, source);
+    const clips = timeline.clips.map(clip => [
+        `                        <asset-clip ref="r2" name="${escapeXml(clip.title)}" offset="${framesToRational(clip.recordIn, source)}"`
+        + ` start="${framesToRational(clip.sourceIn, source)}" duration="${framesToRational(clip.sourceOut - clip.sourceIn, source)}" tcFormat="NDF">`,
+        `                            <marker start="${framesToRational(clip.sourceIn, source)}" duration="${frame}" value="${escapeXml(clip.title)}" note="${escapeXml(clipNote(clip))}"/>`,
+        '                        </asset-clip>'
+    ].join('\n'));
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE fcpxml>
+<fcpxml version="1.9">
+    <resources>
+        <format id="r1" frameDuration="${frame}" width="${source.width}" height="${source.height}"/>
+        <asset id="r2" name="${escapeXml(source.name)}" start="0s" duration="${framesToRational(toFrames(source.duration, source), source)}" hasVideo="1" format="r1"${source.audioChannels ? ` hasAudio="1" audioSources="1" audioChannels="${source.audioChannels}" audioRate="${source.audioRate}"` : ''}>
+            <media-rep kind="original-media" src="${escapeXml(pathToFileURL(source.path).href)}"/>
+        </asset>
+    </resources>
+    <library>
+        <event name="${escapeXml(timeline.name)}">
+            <project name="${escapeXml(`${timeline.name} clips`)}">
+                <sequence format="r1" duration="${framesToRational(timeline.duration, source)}" tcStart="0s" tcFormat="NDF">
+                    <spine>
+${clips.join('\n')}
+                    </spine>
+                </sequence>
+            </project>
+        </event>
+    </library>
+</fcpxml>
+`;
+}
+
+// XMEML 4 (Premiere Pro import): a video track and the source's audio track with the same clip items,
+// the title and score as a marker on each video clip item
+function toXmeml(timeline) {
+    const { source } = timeline;
+    const rate = `<rate><timebase>${source.timebase}</timebase><ntsc>${source.ntsc ? 'TRUE' : 'FALSE'}</ntsc></rate>`;
+    const sourceFrames = toFrames(source.duration, source);
+    const pathUrl = pathToFileURL(source.path).href.replace(/^file:\/\/\//, 'file://localhost/');
+    const fileElement = (i) => (i > 0 ? '<file id="file-1"/>' : `<file id="file-1">
+                                <name>${escapeXml(source.name)}</name>
+                                <pathurl>${escapeXml(pathUrl)}</pathurl>
+                                ${rate}
+                                <duration>${sourceFrames}</duration>
+                                <media>
+                                    <video><samplecharacteristics>${rate}<width>${source.width}</width><height>${source.height}</height></samplecharacteristics></video>
+                                    ${source.audioChannels ? `<audio><samplecharacteristics><samplerate>${source.audioRate}</samplerate></samplecharacteristics><channelcount>${source.audioChannels}</channelcount></audio>` : ''}
+                                </media>
+                            </file>`);
+    const clipItem = (clip, i, kind) => {
+        const extra = kind === 'video'
+            ? [fileElement(i), `<marker><name>${escapeXml(clip.title)}</name><comment>${escapeXml(clipNote(clip))}</comment><in>${clip.sourceIn}</in><out>-1</out></marker>`]
+            : ['<file id="file-1"/>', '<sourcetrack><mediatype>audio</mediatype><trackindex>1</trackindex></sourcetrack>'];
+        return `
+                        <clipitem id="${kind}-${i + 1}">
+                            <name>${escapeXml(clip.title)}</name>
+                            <duration>${sourceFrames}</duration>
+                            ${rate}
+                            <start>${clip.recordIn}</start>
+                            <end>${clip.recordOut}</end>
+                            <in>${clip.sourceIn}</in>
+                            <out>${clip.sourceOut}</out>
+                            ${extra.join('\n                            ')}
+                        </clipitem>`;
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE xmeml>
+<xmeml version="4">
+    <sequence id="sequence-1">
+        <name>${escapeXml(`${timeline.name} clips`)}</name>
+        <duration>${timeline.duration}</duration>
+        ${rate}
+        <timecode>${rate}<string>00:00:00:00</string><frame>0</frame><displayformat>NDF</displayformat></timecode>
+        <media>
+            <video>
+                <format><samplecharacteristics>${rate}<width>${source.width}</width><height>${source.height}</height></samplecharacteristics></format>
+                <track>${timeline.clips.map((clip, i) => clipItem(clip, i, 'video')).join('')}
+                </track>
+            </video>
+            <audio>
+                <track>${source.audioChannels ? timeline.clips.map((clip, i) => clipItem(clip, i, 'audio')).join('') : ''}
+                </track>
+            </audio>
+        </media>
+    </sequence>
+</xmeml>
+`;
+}
+
+const EXPORT_FORMATS = {
+    edl: { label: 'CMX3600 EDL', extension: '.edl', mimeType: 'text/plain', build: toEdl },
+    fcpxml: { label: 'Final Cut Pro X (FCPXML)', extension: '.fcpxml', mimeType: 'application/xml', build: toFcpxml },
+    xmeml: { label: 'Premiere Pro XML (XMEML)', extension: '.xml', mimeType: 'application/xml', build: toXmeml }
+};
+
+// Export the selected clips of a processed video. Returns { filename, mimeType, content, clipCount }.
+function exportTimeline(clipContext, format) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unknown timeline format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    const timeline = buildTimeline(clipContext);
+    return {
+        filename: `${timeline.name}_clips${exporter.extension}`,
+        mimeType: exporter.mimeType,
+        content: exporter.build(timeline),
+        clipCount: timeline.clips.length
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    describeSource,
+    buildTimeline,
+    framesToTimecode,
+    exportTimeline
+};
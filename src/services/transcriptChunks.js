@@ -0,0 +1,141 @@
+// Splitting a transcript into overlapping analysis windows, and merging the moments
+// the windows propose back into one list.
+//
+// Windows overlap so a moment that crosses a window border is still seen whole by at
+// least one of them. Borders are moved to the end of a sentence or a pause so the model
+// never gets a transcript that stops mid-sentence.
+
+// Target window length and overlap (the overlap should be at least as long as the longest clip), read when
+// chunking runs so a .env loaded after this module still applies: { minutes, overlapSeconds }
+function getChunkDefaults() {
+    return {
+        minutes: parseFloat(process.env.ANALYSIS_CHUNK_MINUTES) || 12,
+        overlapSeconds: process.env.ANALYSIS_CHUNK_OVERLAP_SECONDS !== undefined
+            ? parseFloat(process.env.ANALYSIS_CHUNK_OVERLAP_SECONDS)
+            : 120
+    };
+}
+// How far back from the target end a window may be cut to land on a sentence/pause
+const BOUNDARY_SEARCH_SECONDS = 90;
+// Gap between cues long enough to count as a pause
+const PAUSE_SECONDS = 1.0;
+// Two moments from different windows are the same when they share this much of their combined span
+const DUPLICATE_OVERLAP_RATIO = 0.6;
+
+const SENTENCE_END = /[.!?…]["')\]]*$/;
+
+// Helper: Can a window end after entry i? (sentence end, pause, or end of transcript)
+function isBoundaryAfter(entries, i) {
+    const entry = entries[i];
+    const next = entries[i + 1];
+    if (!next) return true;
+    return SENTENCE_END.test(entry.text.trim()) || next.startSeconds - entry.endSeconds >= PAUSE_SECONDS;
+}
+
+// Split parsed SRT entries into overlapping windows.
+// options: { minutes, overlapSeconds }. Returns an array of entry arrays.
+function chunkWithOverlap(entries, options = {}) {
+    const defaults = getChunkDefaults();
+    const targetSeconds = (options.minutes || defaults.minutes) * 60;
+    const overlapSeconds = options.overlapSeconds !== undefined ? options.overlapSeconds : defaults.overlapSeconds;
+    if (!(overlapSeconds >= 0) || overlapSeconds >= targetSeconds / 2) {
+        throw new Error(`Chunk overlap (${overlapSeconds}s) must be between 0 and half the chunk length (${targetSeconds / 2}s)`);
+    }
+
+    const chunks = [];
+    let startIdx = 0;
+
+    while (startIdx < entries.length) {
+        const chunkStart = entries[startIdx].startSeconds;
+
+        // Last entry that starts within the target length
+        let endIdx = startIdx;
+        while (endIdx + 1 < entries.length && entries[endIdx + 1].startSeconds - chunkStart <= targetSeconds) {
+            endIdx++;
+        }
+        if (endIdx === entries.length - 1) {
+            chunks.push(entries.slice(startIdx));
+            break;
+        }
+
+        // Pull the end back to the closest sentence end or pause
+        let cutIdx = endIdx;
+        for (let j = endIdx; j > startIdx && entries[endIdx].endSeconds - entries[j].endSeconds <= BOUNDARY_SEARCH_SECONDS; j--) {
+            if (isBoundaryAfter(entries, j)) {
+                cutIdx = j;
+                break;
+            }
+        }
+        chunks.push(entries.slice(startIdx, cutIdx + 1));
+
+        // The next window starts ~overlapSeconds before this one ends, at the start of a sentence
+        let nextIdx = cutIdx + 1;
+        const overlapStart = entries[cutIdx].endSeconds - overlapSeconds;
+        while (nextIdx - 1 > startIdx && entries[nextIdx - 1].startSeconds >= overlapStart) nextIdx--;
+        let sentenceIdx = nextIdx;
+        while (sentenceIdx <= cutIdx && !isBoundaryAfter(entries, sentenceIdx - 1)) sentenceIdx++;
+        if (sentenceIdx <= cutIdx) nextIdx = sentenceIdx;
+
+        // Always move forward, even with a huge overlap
+        startIdx = Math.max(nextIdx, startIdx + 1);
+    }
+
+    return chunks;
+}
+
+// Helper: Shared time divided by the combined span of two moments (0..1)
+function overlapRatio(a, b) {
+    const shared = Math.min(a.end, b.end) - Math.max(a.start, b.start);
+    if (shared <= 0) return 0;
+    return shared / (Math.max(a.end, b.end) - Math.min(a.start, b.start));
+}
+
+// Merge the per-window results into one moments map.
+// windows: [{ index, moments }]. Keys become "chunk<index>_<key>".
+// A moment proposed by two overlapping windows is kept once (the higher score wins) and
+// lists every window that found it in `foundInChunks`. Overlaps inside one window are
+// left for the overlap removal step.
+function mergeWindowMoments(windows) {
+    const candidates = [];
+    windows.forEach(({ index, moments }) => {
+        Object.entries(moments).forEach(([key, moment]) => {
+            candidates.push({ key: `chunk${index}_${key}`, chunk: index, moment });
+        });
+    });
+
+    // Highest score first so the kept copy is the best one
+    candidates.sort((a, b) => (b.moment.score || 0) - (a.moment.score || 0));
+
+    const kept = [];
+    let duplicates = 0;
+    candidates.forEach(candidate => {
+        const same = kept.find(k =>
+            !k.chunks.includes(candidate.chunk) && overlapRatio(k.moment, candidate.moment) >= DUPLICATE_OVERLAP_RATIO
+        );
+        if (same) {
+            same.chunks.push(candidate.chunk);
+            duplicates++;
+            return;
+        }
+        kept.push({ key: candidate.key, chunks: [candidate.chunk], moment: candidate.moment });
+    });
+
+    if (duplicates > 0) {
+        console.log(`Analysis: Merged ${duplicates} duplicate moments found in overlapping chunks.`);
+    }
+
+    const merged = {};
+    kept
+        .sort((a, b) => a.moment.start - b.moment.start)
+        .forEach(({ key, chunks, moment }) => {
+            merged[key] = { ...moment, foundInChunks: chunks.sort((x, y) => x - y) };
+        });
+    return merged;
+}
+
+module.exports = {
+    getChunkDefaults,
+    chunkWithOverlap,
+    mergeWindowMoments,
+    overlapRatio
+};
@@ -1,34 +1,162 @@
 const fs = require('fs');
-const OpenAI = require('openai');
-require('dotenv').config();
+const path = require('path');
+const videoProcessor = require('./videoProcessor');
+const { parseSRT, buildSRT } = require('./srt');
+const languages = require('./languages');
+const { throwIfAborted } = require('./jobQueue');
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-    // Add a timeout to prevent the connection from hanging
-    timeout: 60000,
-});
+// Transcription backends. Each one exposes:
+//   name, maxFileSizeBytes, maxChunkSeconds (optional),
+//   transcribe(filePath, { signal, language }) -> { srt, words, language }
+//   (words: [{ word, start, end }] or null, language: the spoken language as the provider names it, or null)
+const PROVIDERS = {
+    openai: require('./transcriptionProviders/openai'),
+    local: require('./transcriptionProviders/local'),
+    fake: require('./transcriptionProviders/fake')
+};
 
-async function transcribeAudio(filePath) {
+// Long audio is split into chunks of this length, overlapping so no word is cut at a border
+const CHUNK_SECONDS = parseInt(process.env.TRANSCRIPTION_CHUNK_SECONDS, 10) || 600;
+const CHUNK_OVERLAP_SECONDS = parseInt(process.env.TRANSCRIPTION_CHUNK_OVERLAP, 10) || 5;
+// Spoken language passed to the provider: an ISO 639-1 code, or "auto" to let it detect the language
+const DEFAULT_LANGUAGE = process.env.TRANSCRIPTION_LANGUAGE || 'auto';
+
+function getProvider(name) {
+    const providerName = name || process.env.TRANSCRIPTION_PROVIDER || 'openai';
+    const provider = PROVIDERS[providerName];
+    if (!provider) {
+        throw new Error(`Unknown transcription provider "${providerName}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return provider;
+}
+
+// Helper: Does this file have to be split before the provider can take it?
+function needsChunking(provider, filePath) {
+    const size = fs.statSync(filePath).size;
+    if (size > provider.maxFileSizeBytes) return true;
+    if (provider.maxChunkSeconds && provider.maxChunkSeconds !== Infinity) {
+        return videoProcessor.getDuration(filePath) > provider.maxChunkSeconds;
+    }
+    return false;
+}
+
+// Merge per-chunk results into one transcript on the full-file timeline.
+// chunks: [{ srt, words, language, offset, duration }]. Inside each overlap, cues and words starting before
+// its midpoint come from the earlier chunk and the rest from the later one, so nothing is duplicated.
+// The language is the one detected in most of the chunks.
+function stitchChunks(chunks) {
+    const cues = [];
+    const words = [];
+    const hasWords = chunks.every(chunk => Array.isArray(chunk.words));
+
+    chunks.forEach((chunk, i) => {
+        const prev = chunks[i - 1];
+        const next = chunks[i + 1];
+        const lowerCut = prev ? (chunk.offset + prev.offset + prev.duration) / 2 : -Infinity;
+        const upperCut = next ? (next.offset + chunk.offset + chunk.duration) / 2 : Infinity;
+        const keep = (start) => start >= lowerCut && start < upperCut;
+
+        parseSRT(chunk.srt).forEach(entry => {
+            const start = entry.startSeconds + chunk.offset;
+            if (!keep(start)) return;
+            cues.push({ start, end: entry.endSeconds + chunk.offset, text: entry.text });
+        });
+
+        if (hasWords) {
+            chunk.words.forEach(w => {
+                const start = w.start + chunk.offset;
+                if (!keep(start)) return;
+                words.push({ word: w.word, start, end: w.end + chunk.offset });
+            });
+        }
+    });
+
+    const votes = {};
+    chunks.filter(chunk => chunk.language).forEach(chunk => { votes[chunk.language] = (votes[chunk.language] || 0) + 1; });
+    const language = Object.keys(votes).sort((a, b) => votes[b] - votes[a])[0] || null;
+
+    return { srt: buildSRT(cues), words: hasWords ? words : null, language };
+}
+
+// Spoken language to ask the provider for: value, else TRANSCRIPTION_LANGUAGE. Throws on a language the
+// providers would not understand. Returns the ISO 639-1 code, or "auto".
+function resolveTranscriptionLanguage(value) {
+    const language = value || DEFAULT_LANGUAGE;
+    return language === 'auto' ? 'auto' : languages.resolveLanguage(language, 'transcription language');
+}
+
+// Helper: Older providers return a bare SRT string; the language becomes an ISO 639-1 code
+function normalizeResult(result) {
+    const normalized = typeof result === 'string' ? { srt: result, words: null } : result;
+    return { ...normalized, language: languages.normalizeLanguage(normalized.language) };
+}
+
+// options: { provider, signal, language, onProgress } - onProgress receives { chunk, totalChunks },
+// language is an ISO 639-1 code or "auto" (default TRANSCRIPTION_LANGUAGE)
+// Returns { srt, words, language } - words are word-level timestamps when the provider supports them, else null,
+// language is the detected (or given) ISO 639-1 code, null when the provider does not say
+async function transcribeAudioDetailed(filePath, options = {}) {
     if (!fs.existsSync(filePath)) {
         throw new Error(`File not found: ${filePath}`);
     }
 
+    const provider = getProvider(options.provider);
+    const language = resolveTranscriptionLanguage(options.language);
+    const providerOptions = { ...options, language: language === 'auto' ? undefined : language };
+    console.log(`Transcribing with provider: ${provider.name} (language: ${language})`);
+
+    if (!needsChunking(provider, filePath)) {
+        return normalizeResult(await provider.transcribe(filePath, providerOptions));
+    }
+
+    const chunkSeconds = Math.min(CHUNK_SECONDS, provider.maxChunkSeconds || Infinity);
+    const parts = await videoProcessor.splitAudio(filePath, path.dirname(filePath), chunkSeconds, CHUNK_OVERLAP_SECONDS, {
+        signal: options.signal
+    });
+
     try {
-        const transcription = await openai.audio.transcriptions.create({
-            // Passing the stream directly
-            file: fs.createReadStream(filePath),
-            model: "whisper-1",
-            response_format: "srt",
+        const results = [];
+        for (let i = 0; i < parts.length; i++) {
+            throwIfAborted(options.signal);
+            console.log(`Transcribing chunk ${i + 1}/${parts.length} (offset ${parts[i].offset}s)...`);
+            if (options.onProgress) options.onProgress({ chunk: i + 1, totalChunks: parts.length });
+            const result = normalizeResult(await provider.transcribe(parts[i].path, providerOptions));
+            results.push({ ...result, offset: parts[i].offset, duration: parts[i].duration });
+        }
+        return stitchChunks(results);
+    } finally {
+        parts.forEach(part => {
+            try { fs.unlinkSync(part.path); } catch (e) { }
         });
-
-        // For SRT, the transcription variable is already the string we need
-        return transcription;
-    } catch (error) {
-        // Log the specific error message to help debug
-        console.error("Transcription error detail:", error.message);
-        throw error;
     }
 }
 
+// Everything that changes the transcript of a given audio file, for the transcription cache key.
+// An automatic language leaves the key as it was before languages could be set.
+function getCacheParams(providerName, language) {
+    const provider = getProvider(providerName);
+    const spoken = resolveTranscriptionLanguage(language);
+    return {
+        provider: provider.name,
+        ...(provider.settings ? provider.settings() : {}),
+        chunkSeconds: CHUNK_SECONDS,
+        chunkOverlapSeconds: CHUNK_OVERLAP_SECONDS,
+        ...(spoken !== 'auto' ? { language: spoken } : {})
+    };
+}
+
+// SRT only, for callers that do not need word timings
+async function transcribeAudio(filePath, options = {}) {
+    const { srt } = await transcribeAudioDetailed(filePath, options);
+    return srt;
+}
 
-module.exports = { transcribeAudio };
\ No newline at end of file
+module.exports = {
+    transcribeAudio,
+    transcribeAudioDetailed,
+    resolveTranscriptionLanguage,
+    getProvider,
+    getCacheParams,
+    stitchChunks,
+    PROVIDERS
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+// Returns a fixture SRT instead of transcribing, so the pipeline can run without an API or a model.
+// The fixture comes from options.fixturePath or FAKE_TRANSCRIPTION_SRT.
+async function transcribe(filePath, options = {}) {
+    const fixturePath = options.fixturePath || process.env.FAKE_TRANSCRIPTION_SRT;
+    if (!fixturePath) {
+        throw new Error('Fake transcription provider needs FAKE_TRANSCRIPTION_SRT (path to a fixture .srt file)');
+    }
+
+    const resolved = path.resolve(fixturePath);
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Fake transcription fixture not found: ${resolved}`);
+    }
+
+    console.log(`Fake transcription: using fixture ${resolved} for ${path.basename(filePath)}`);
+    const srt = fs.readFileSync(resolved, 'utf8');
+
+    // Optional word timings fixture: [{ word, start, end }]
+    const wordsPath = options.wordsFixturePath || process.env.FAKE_TRANSCRIPTION_WORDS;
+    const words = wordsPath ? JSON.parse(fs.readFileSync(path.resolve(wordsPath), 'utf8')) : null;
+
+    // The fixture's language, when the test sets one
+    const language = options.language || process.env.FAKE_TRANSCRIPTION_LANGUAGE || null;
+
+    return { srt, words, language };
+}
+
+// The fixtures are the transcript (part of the transcription cache key)
+function settings() {
+    return {
+        fixture: process.env.FAKE_TRANSCRIPTION_SRT || null,
+        wordsFixture: process.env.FAKE_TRANSCRIPTION_WORDS || null,
+        ...(process.env.FAKE_TRANSCRIPTION_LANGUAGE ? { language: process.env.FAKE_TRANSCRIPTION_LANGUAGE } : {})
+    };
+}
+
+module.exports = {
+    name: 'fake',
+    // The fixture already covers the whole recording, never split by size. FAKE_TRANSCRIPTION_MAX_SECONDS splits
+    // longer audio anyway (the fixture then stands for every chunk), to exercise chunked transcription.
+    maxFileSizeBytes: Infinity,
+    maxChunkSeconds: parseInt(process.env.FAKE_TRANSCRIPTION_MAX_SECONDS, 10) || Infinity,
+    settings,
+    transcribe
+};
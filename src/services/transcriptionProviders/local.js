@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createAbortError } = require('../jobQueue');
+const videoProcessor = require('../videoProcessor');
+
+// Offline transcription through a locally installed Whisper engine.
+//   LOCAL_WHISPER_ENGINE   whisper.cpp (default) or faster-whisper
+//   LOCAL_WHISPER_BIN      executable, defaults to whisper-cli / whisper-ctranslate2
+//   LOCAL_WHISPER_MODEL    whisper.cpp: path to a ggml model file, faster-whisper: model name (default "small")
+//   LOCAL_WHISPER_LANGUAGE language code or "auto" (default)
+//   LOCAL_WHISPER_THREADS  CPU threads (optional)
+const ENGINES = {
+    'whisper.cpp': {
+        defaultBin: 'whisper-cli',
+        // whisper.cpp only reads 16kHz WAV
+        needsWav: true,
+        buildArgs: ({ inputPath, outputBase, model, language, threads }) => {
+            if (!model) {
+                throw new Error('LOCAL_WHISPER_MODEL must point to a ggml model file for whisper.cpp');
+            }
+            const args = ['-m', model, '-f', inputPath, '-osrt', '-of', outputBase, '-l', language];
+            if (threads) args.push('-t', String(threads));
+            return args;
+        },
+        outputFile: ({ outputBase }) => `${outputBase}.srt`
+    },
+    'faster-whisper': {
+        defaultBin: 'whisper-ctranslate2',
+        needsWav: false,
+        buildArgs: ({ inputPath, outputDir, model, language, threads }) => {
+            const args = [inputPath, '--model', model || 'small', '--output_format', 'srt', '--output_dir', outputDir];
+            if (language !== 'auto') args.push('--language', language);
+            if (threads) args.push('--threads', String(threads));
+            return args;
+        },
+        outputFile: ({ inputPath, outputDir }) => path.join(outputDir, `${path.basename(inputPath, path.extname(inputPath))}.srt`)
+    }
+};
+
+// Helper: Language the engine detected, from its console output. whisper.cpp prints
+// "auto-detected language: en (p = 0.97)", faster-whisper "Detected language 'English' with probability 0.98".
+function parseDetectedLanguage(output) {
+    const match = output.match(/auto-detected language:\s*([a-z]{2,3})/i) || output.match(/Detected language '([^']+)'/i);
+    return match ? match[1] : null;
+}
+
+// Helper: Run the engine, killing it if the job is cancelled. Resolves with its console output.
+function runEngine(bin, args, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(createAbortError());
+
+        console.log(`Running local transcription: ${bin} ${args.join(' ')}`);
+        const proc = spawn(bin, args);
+        const onAbort = () => proc.kill('SIGKILL');
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        let stderr = '';
+        let stdout = '';
+        proc.stderr.on('data', (d) => {
+            stderr += d.toString();
+            process.stdout.write('.');
+        });
+        proc.stdout.on('data', (d) => {
+            stdout += d.toString();
+        });
+        proc.on('error', (err) => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            reject(new Error(`Could not start ${bin}: ${err.message}`));
+        });
+        proc.on('close', (code) => {
+            console.log('\n');
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (signal && signal.aborted) return reject(createAbortError());
+            if (code !== 0) {
+                return reject(new Error(`${bin} exited with code ${code}: ${stderr.slice(-500)}`));
+            }
+            resolve(`${stdout}\n${stderr}`);
+        });
+    });
+}
+
+async function transcribe(filePath, options = {}) {
+    const engineName = process.env.LOCAL_WHISPER_ENGINE || 'whisper.cpp';
+    const engine = ENGINES[engineName];
+    if (!engine) {
+        throw new Error(`Unknown LOCAL_WHISPER_ENGINE "${engineName}". Use one of: ${Object.keys(ENGINES).join(', ')}`);
+    }
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortes-whisper-'));
+    try {
+        let inputPath = filePath;
+        if (engine.needsWav) {
+            inputPath = path.join(workDir, 'input.wav');
+            await videoProcessor.convertToWav(filePath, inputPath, { signal: options.signal });
+        }
+
+        const params = {
+            inputPath,
+            outputDir: workDir,
+            outputBase: path.join(workDir, 'transcript'),
+            model: process.env.LOCAL_WHISPER_MODEL,
+            language: options.language || process.env.LOCAL_WHISPER_LANGUAGE || 'auto',
+            threads: process.env.LOCAL_WHISPER_THREADS
+        };
+        const output = await runEngine(process.env.LOCAL_WHISPER_BIN || engine.defaultBin, engine.buildArgs(params), options.signal);
+
+        const srtPath = engine.outputFile(params);
+        if (!fs.existsSync(srtPath)) {
+            throw new Error(`Local transcription produced no SRT at ${srtPath}`);
+        }
+        // The SRT outputs carry no word timings, boundary refinement falls back to cue and pause edges
+        return {
+            srt: fs.readFileSync(srtPath, 'utf8'),
+            words: null,
+            language: params.language === 'auto' ? parseDetectedLanguage(output) : params.language
+        };
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+// Settings that change the transcript (part of the transcription cache key)
+function settings() {
+    return {
+        engine: process.env.LOCAL_WHISPER_ENGINE || 'whisper.cpp',
+        model: process.env.LOCAL_WHISPER_MODEL || null,
+        language: process.env.LOCAL_WHISPER_LANGUAGE || 'auto'
+    };
+}
+
+module.exports = {
+    name: 'local',
+    // No upload limit. LOCAL_WHISPER_MAX_SECONDS optionally splits long files to bound memory use.
+    maxFileSizeBytes: Infinity,
+    maxChunkSeconds: parseInt(process.env.LOCAL_WHISPER_MAX_SECONDS, 10) || Infinity,
+    settings,
+    transcribe
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const OpenAI = require('openai');
+const { buildSRT } = require('../srt');
+
+let openai = null;
+
+// Created on first use so the other providers work without an API key
+function getClient() {
+    if (!openai) {
+        openai = new OpenAI({
+            apiKey: process.env.OPENAI_API_KEY,
+            // Add a timeout to prevent the connection from hanging
+            timeout: 60000,
+        });
+    }
+    return openai;
+}
+
+async function transcribe(filePath, options = {}) {
+    try {
+        // verbose_json gives segments (for the SRT) and word-level timestamps in one request
+        const transcription = await getClient().audio.transcriptions.create({
+            // Passing the stream directly
+            file: fs.createReadStream(filePath),
+            model: process.env.OPENAI_TRANSCRIPTION_MODEL || "whisper-1",
+            response_format: "verbose_json",
+            timestamp_granularities: ["word", "segment"],
+            // ISO 639-1 hint, the model detects the language when none is given
+            ...(options.language ? { language: options.language } : {}),
+        }, { signal: options.signal });
+
+        const srt = buildSRT((transcription.segments || []).map(seg => ({
+            start: seg.start,
+            end: seg.end,
+            text: seg.text.trim()
+        })));
+        const words = (transcription.words || []).map(w => ({ word: w.word, start: w.start, end: w.end }));
+
+        // verbose_json names the spoken language ("portuguese"), transcription.js turns it into a code
+        return { srt, words, language: transcription.language || options.language || null };
+    } catch (error) {
+        // Log the specific error message to help debug
+        console.error("Transcription error detail:", error.message);
+        throw error;
+    }
+}
+
+// Settings that change the transcript (part of the transcription cache key)
+function settings() {
+    return { model: process.env.OPENAI_TRANSCRIPTION_MODEL || "whisper-1" };
+}
+
+module.exports = {
+    name: 'openai',
+    // The API rejects uploads over 25 MB, keep some headroom
+    maxFileSizeBytes: 24 * 1024 * 1024,
+    settings,
+    transcribe
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const analysisService = require('./analysis');
+const promptTemplates = require('./promptTemplates');
+const stageEngine = require('./stageEngine');
+const languages = require('./languages');
+const captions = require('./captions');
+const { isAbortError, throwIfAborted } = require('./jobQueue');
+
+// Subtitles of each clip in other languages. The clip's transcript cues go to the analysis provider and come
+// back as one translated text per cue, so every cue keeps its start and end and the translated SRT lines up
+// with the speech like the original. Answers are cached per clip and language in <video>_translations.json.
+
+const DEFAULTS = {
+    // Target languages as ISO 639-1 codes, e.g. TRANSLATION_LANGUAGES=en,es
+    languages: (process.env.TRANSLATION_LANGUAGES || '').split(',').map(code => code.trim()).filter(Boolean)
+};
+const MAX_LANGUAGES = 10;
+// Attempts per clip and language (provider errors and invalid output both count)
+const MAX_ATTEMPTS = parseInt(process.env.TRANSLATION_MAX_ATTEMPTS, 10) || 2;
+// What the prompt says when the transcription did not report the spoken language
+const UNKNOWN_SOURCE = 'um idioma não identificado';
+
+// Merge translation options with the defaults and validate them. languages: a list or a comma-separated string.
+function resolveTranslationSettings(options = {}) {
+    let list = options.languages !== undefined && options.languages !== null && options.languages !== ''
+        ? options.languages
+        : DEFAULTS.languages;
+    if (typeof list === 'string') list = list.split(',');
+    if (!Array.isArray(list)) {
+        throw new Error('Translation option "languages" must be a list of language codes');
+    }
+    const codes = Array.from(new Set(list
+        .map(value => String(value).trim())
+        .filter(Boolean)
+        .map(value => languages.resolveLanguage(value, 'translation language'))));
+    if (codes.length > MAX_LANGUAGES) {
+        throw new Error(`At most ${MAX_LANGUAGES} translation languages per job`);
+    }
+    return { languages: codes };
+}
+
+// Languages a video's clips are translated into: the requested ones plus the language of burned-in captions,
+// without the language that is spoken
+function targetLanguages(settings, renderOptions = {}, sourceLanguage = null) {
+    const captionLanguage = captions.resolveCaptionLanguage(renderOptions.captions);
+    return Array.from(new Set([...settings.languages, captionLanguage].filter(Boolean)))
+        .filter(code => code !== sourceLanguage);
+}
+
+// Strict check of the provider's answer: one non-empty text per cue id. Returns { texts, errors }.
+function validateTranslation(parsed, cueCount) {
+    if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.legendas)) {
+        return { texts: null, errors: ['A resposta deve ser um objeto JSON com a lista "legendas".'] };
+    }
+    const errors = [];
+    const texts = new Array(cueCount).fill(null);
+    parsed.legendas.forEach((item, i) => {
+        const id = item ? Number(item.id) : NaN;
+        if (!Number.isInteger(id) || id < 1 || id > cueCount) {
+            errors.push(`Legenda ${i + 1}: "id" deve ser um número de 1 a ${cueCount}.`);
+        } else if (typeof item.texto !== 'string' || item.texto.trim() === '') {
+            errors.push(`Legenda ${id}: "texto" deve ser um texto não vazio.`);
+        } else if (texts[id - 1] !== null) {
+            errors.push(`A legenda ${id} aparece mais de uma vez.`);
+        } else {
+            texts[id - 1] = item.texto.replace(/\s+/g, ' ').trim();
+        }
+    });
+    const missing = texts.map((text, i) => (text === null ? i + 1 : null)).filter(Boolean);
+    if (missing.length > 0) errors.push(`Faltam as legendas ${missing.join(', ')}.`);
+    return errors.length > 0 ? { texts: null, errors } : { texts, errors: [] };
+}
+
+// Cache key of one clip in one language: its cues, both languages, the provider settings and the prompt
+function translationKey(cues, sourceLanguage, language, profile, providerName) {
+    const provider = analysisService.getProvider(providerName);
+    return stageEngine.computeKey(
+        'translation',
+        cues,
+        sourceLanguage,
+        language,
+        { provider: provider.name, ...(provider.settings ? provider.settings() : {}) },
+        profile.translationTemplate,
+        profile.params.niche
+    );
+}
+
+// Translate the cues of one clip (zero-based times, see captions.sliceCues), with a repair round on invalid
+// output. Returns { cues } with the original timing, or { cues: null, error } when every attempt failed.
+async function translateClip(moment, cues, language, options = {}) {
+    const { profile, sourceLanguage, signal } = options;
+    if (cues.length === 0) return { cues: [], error: null };
+    const provider = analysisService.getProvider(options.provider);
+    const prompt = promptTemplates.renderTranslationPrompt(profile, {
+        sourceLanguage: sourceLanguage ? languages.promptName(sourceLanguage) : UNKNOWN_SOURCE,
+        targetLanguage: languages.promptName(language),
+        cueCount: cues.length,
+        cues: cues.map((cue, i) => `${i + 1} [${cue.start.toFixed(1)}s - ${cue.end.toFixed(1)}s] ${cue.text}`).join('\n')
+    });
+    const baseMessages = [{ role: "system", content: "You output raw JSON." }, { role: "user", content: prompt }];
+    const chunkInfo = {
+        index: 0,
+        start: moment.start,
+        end: moment.end,
+        language,
+        entries: cues.map(cue => ({ startSeconds: moment.start + cue.start, endSeconds: moment.start + cue.end, text: cue.text }))
+    };
+
+    let messages = baseMessages;
+    let lastError = null;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        let content;
+        try {
+            content = await provider.complete({ messages, chunk: chunkInfo, kind: 'translation' }, { signal });
+        } catch (err) {
+            if (isAbortError(err) || (signal && signal.aborted)) throw err;
+            lastError = err.message;
+            continue;
+        }
+
+        let errors;
+        let texts = null;
+        try {
+            ({ texts, errors } = validateTranslation(JSON.parse(content), cues.length));
+        } catch (err) {
+            errors = [`A resposta não é um JSON válido (${err.message}).`];
+        }
+        if (texts) {
+            return { cues: cues.map((cue, i) => ({ start: cue.start, end: cue.end, text: texts[i] })), error: null };
+        }
+
+        lastError = errors.join(' ');
+        messages = [...baseMessages, { role: "assistant", content: String(content) }, { role: "user", content: promptTemplates.renderRepairPrompt(profile, errors) }];
+    }
+    return { cues: null, error: lastError };
+}
+
+function loadTranslationCache(cachePath) {
+    if (!fs.existsSync(cachePath)) return { clips: {} };
+    return { clips: {}, ...JSON.parse(fs.readFileSync(cachePath, 'utf8')) };
+}
+
+function saveTranslationCache(cachePath, cache) {
+    fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+}
+
+// Make sure every clip of `moments` ({ key: moment }) has current subtitles in each target language, asking the
+// provider only for clips and languages that are new or changed.
+// options: { srt, sourceLanguage, languages, cachePath, profile, signal, onProgress }.
+// Returns { clips: { key: { language: entry } }, generated } - an entry is { key, cues } or { key, error }.
+async function ensureTranslations(moments, options) {
+    const { srt, sourceLanguage, cachePath, profile, signal, onProgress } = options;
+    const targets = options.languages || [];
+    const cache = loadTranslationCache(cachePath);
+    const clips = {};
+    const keys = Object.keys(moments);
+    const total = keys.length * targets.length;
+    let done = 0;
+    let generated = 0;
+    for (const clipKey of keys) {
+        const moment = moments[clipKey];
+        const cues = typeof srt === 'string' ? captions.sliceCues(srt, moment.start, moment.end) : [];
+        cache.clips[clipKey] = cache.clips[clipKey] || {};
+        clips[clipKey] = {};
+        for (const language of targets) {
+            throwIfAborted(signal);
+            done++;
+            const key = translationKey(cues, sourceLanguage, language, profile);
+            const cached = cache.clips[clipKey][language];
+            // Failed translations are tried again: captions in that language cannot be rendered without one
+            if (!cached || cached.key !== key || cached.error) {
+                if (onProgress) onProgress({ translation: done, totalTranslations: total });
+                const result = await translateClip(moment, cues, language, { profile, sourceLanguage, signal });
+                if (result.error) {
+                    console.warn(`Translation of ${clipKey} to ${language} failed: ${result.error}`);
+                }
+                cache.clips[clipKey][language] = {
+                    key,
+                    ...(result.cues ? { cues: result.cues } : { error: result.error }),
+                    generatedAt: new Date().toISOString()
+                };
+                generated++;
+                // Saved after every answer so a cancelled job keeps what it already paid for
+                saveTranslationCache(cachePath, cache);
+            }
+            clips[clipKey][language] = cache.clips[clipKey][language];
+        }
+    }
+    return { clips, generated };
+}
+
+module.exports = {
+    DEFAULTS,
+    resolveTranslationSettings,
+    targetLanguages,
+    validateTranslation,
+    translateClip,
+    loadTranslationCache,
+    ensureTranslations
+};
@@ -1,7 +1,15 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
-const { spawn, execSync } = require('child_process');
+const os = require('os');
+const { spawn, execFile, execFileSync } = require('child_process');
+const { createAbortError } = require('./jobQueue');
+const outputProfiles = require('./outputProfiles');
+const encodingPresets = require('./encodingPresets');
+const timeMap = require('./timeMap');
+const silence = require('./silence');
+const audioChain = require('./audioChain');
+const branding = require('./branding');
 
 // Set FFmpeg paths relative to project root or use system environment
 const ffmpegPath = path.resolve(__dirname, '../../ffmpeg.exe');
@@ -19,173 +27,466 @@ if (fs.existsSync(ffprobePath)) {
     console.warn('ffprobe.exe not found in project root, relying on system PATH');
 }
 
-function processVideo(inputPath, outputPath, start, end) {
+// Helper: ffprobe binary. Run without a shell (execFile), so quotes or $(...) in a filename stay part of the name.
+function ffprobeCommand() {
+    return fs.existsSync(ffprobePath) ? ffprobePath : 'ffprobe';
+}
+
+// Helper: Media duration in seconds via ffprobe
+function getDuration(file) {
+    try {
+        const out = execFileSync(ffprobeCommand(), ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', file]);
+        return parseFloat(out.toString());
+    } catch (e) {
+        throw new Error(`Failed to get duration: ${e.message}`);
+    }
+}
+
+// Helper: ffprobe arguments for the container and every stream as JSON
+function probeArgs(file) {
+    return ['-v', 'error', '-show_format', '-show_streams', '-of', 'json', file];
+}
+
+// Streams and container of a media file via ffprobe: { format, streams } as ffprobe reports them
+function probeMedia(file) {
+    try {
+        const out = execFileSync(ffprobeCommand(), probeArgs(file));
+        return JSON.parse(out.toString());
+    } catch (e) {
+        throw new Error(`Failed to probe ${path.basename(file)}: ${e.message}`);
+    }
+}
+
+// Same as probeMedia without blocking the event loop, for request handlers. Resolves with { format, streams }.
+function probeMediaAsync(file) {
+    return new Promise((resolve, reject) => {
+        execFile(ffprobeCommand(), probeArgs(file), (error, stdout) => {
+            try {
+                if (error) throw error;
+                resolve(JSON.parse(stdout));
+            } catch (e) {
+                const failure = new Error(`Failed to probe ${path.basename(file)}: ${e.message}`);
+                // ENOENT: ffprobe itself could not be started
+                failure.code = e.code;
+                reject(failure);
+            }
+        });
+    });
+}
+
+// Helper: Convert an ffmpeg timemark "HH:MM:SS.xx" to seconds
+function timemarkToSeconds(timemark) {
+    if (!timemark) return 0;
+    const [h, m, s] = timemark.split(':');
+    return (parseInt(h) * 3600) + (parseInt(m) * 60) + parseFloat(s);
+}
+
+// Helper: Report ffmpeg progress as a percentage of the expected output duration
+function reportProgress(onProgress, timemark, expectedDuration) {
+    if (!onProgress || !expectedDuration) return;
+    const percent = Math.min(100, (timemarkToSeconds(timemark) / expectedDuration) * 100);
+    onProgress(Math.round(percent * 10) / 10);
+}
+
+// Helper: Read "time=HH:MM:SS.xx" from raw ffmpeg stderr output
+function reportStderrProgress(onProgress, chunk, expectedDuration) {
+    const match = chunk.match(/time=(\d+:\d+:\d+\.\d+)/);
+    if (match) reportProgress(onProgress, match[1], expectedDuration);
+}
+
+// Helper: Kill the ffmpeg child when the job is cancelled. Returns a function that detaches the listener.
+function bindAbort(signal, kill) {
+    if (!signal) return () => { };
+    const onAbort = () => {
+        console.log('Cancellation requested, stopping ffmpeg...');
+        kill();
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+}
+
+// Helper: Escape a file path for use as a filter option value inside a filtergraph.
+// Two levels: the option value (\ ' :) and the graph itself (\ ' [ ] , ;)
+function escapeFilterPath(filePath) {
+    const optionLevel = filePath.replace(/\\/g, '/').replace(/[\\':]/g, '\\$&');
+    return optionLevel.replace(/[\\'\[\],;]/g, '\\$&');
+}
+
+// Helper: Filter that burns a subtitle file in (ass for .ass files, subtitles for .srt/.vtt)
+function buildSubtitlesFilter(subtitlesPath, fontsDir) {
+    const filterName = path.extname(subtitlesPath).toLowerCase() === '.ass' ? 'ass' : 'subtitles';
+    let filter = `${filterName}=filename=${escapeFilterPath(path.resolve(subtitlesPath))}`;
+    if (fontsDir) {
+        filter += `:fontsdir=${escapeFilterPath(path.resolve(fontsDir))}`;
+    }
+    return filter;
+}
+
+// Helper: Escape free text (a title) for a filter option value inside a filtergraph, like escapeFilterPath
+function escapeFilterText(text) {
+    const optionLevel = text.replace(/[\\':]/g, '\\$&');
+    return optionLevel.replace(/[\\'\[\],;]/g, '\\$&');
+}
+
+// Helper: "#RRGGBB" plus opacity in the form ffmpeg filters take
+function filterColor(hex, opacity = 1) {
+    return `0x${hex.substring(1)}@${opacity}`;
+}
+
+// Helper: Branding overlays (see branding.js) that continue the frame filter chain.
+// Hook lines are separate drawtext filters so each one is centered; the watermark and the progress bar
+// are side branches overlaid on the chain. frame: the output profile size, duration: the clip length.
+function buildBrandingFilter(template, title, duration, frame) {
+    const scale = frame.height / 1920;
+    let filter = '';
+
+    const { hook, watermark, progressBar } = template;
+    const lines = hook ? branding.wrapTitle(hook.uppercase ? String(title || '').toUpperCase() : title, hook.maxCharsPerLine) : [];
+    if (lines.length > 0) {
+        const fontSize = Math.round(hook.size * scale);
+        const lineHeight = Math.round(fontSize * 1.3);
+        const blockHeight = lineHeight * lines.length;
+        const marginY = Math.round(hook.marginY * scale);
+        const top = {
+            top: marginY,
+            center: Math.round((frame.height - blockHeight) / 2),
+            bottom: frame.height - marginY - blockHeight
+        }[hook.position];
+        const font = hook.fontFile ? `fontfile=${escapeFilterPath(hook.fontFile)}` : `font=${escapeFilterText(hook.font)}`;
+        lines.forEach((line, i) => {
+            filter += `,drawtext=${font}:text=${escapeFilterText(line)}:expansion=none:fontsize=${fontSize}`
+                + `:fontcolor=${filterColor(hook.color)}:box=1:boxcolor=${filterColor(hook.boxColor, hook.boxOpacity)}`
+                + `:boxborderw=${Math.round(hook.boxPadding * scale)}:x=(w-text_w)/2:y=${top + i * lineHeight}`
+                + `:enable=lt(t\\,${hook.duration})`;
+        });
+    }
+
+    if (watermark) {
+        const width = Math.max(2, Math.round((frame.width * watermark.width) / 2) * 2);
+        const margin = Math.round(watermark.margin * scale);
+        const x = watermark.position.endsWith('left') ? margin : `W-w-${margin}`;
+        const y = watermark.position.startsWith('top') ? margin : `H-h-${margin}`;
+        filter += `[brandbase];movie=filename=${escapeFilterPath(watermark.file)},scale=${width}:-1,format=rgba,`
+            + `colorchannelmixer=aa=${watermark.opacity}[brandlogo];[brandbase][brandlogo]overlay=${x}:${y}`;
+    }
+
+    if (progressBar && duration > 0) {
+        const height = Math.max(2, Math.round((progressBar.height * scale) / 2) * 2);
+        const length = duration.toFixed(3);
+        // A full-width bar that slides in from the left as the clip plays
+        filter += `[brandbar];color=c=${filterColor(progressBar.color)}:s=${frame.width}x${height}:d=${length}[barfill];`
+            + `[brandbar][barfill]overlay=x=-w+w*t/${length}:y=${progressBar.position === 'top' ? 0 : 'H-h'}:eof_action=pass`;
+    }
+    return filter;
+}
+
+// Helper: trim/concat graph that joins input segments into [joinedv][outa].
+// Segment times are absolute, offset is where the input was seeked to.
+function buildSegmentJoinFilter(segments, offset) {
+    let videoFilter = '';
+    let audioFilter = '';
+    let concatParts = '';
+
+    segments.forEach((seg, i) => {
+        const segStart = (seg.start - offset).toFixed(4);
+        const segEnd = (seg.end - offset).toFixed(4);
+        videoFilter += `[0:v]trim=start=${segStart}:end=${segEnd},setpts=PTS-STARTPTS[sv${i}];`;
+        audioFilter += `[0:a]atrim=start=${segStart}:end=${segEnd},asetpts=PTS-STARTPTS[sa${i}];`;
+        concatParts += `[sv${i}][sa${i}]`;
+    });
+
+    return `${videoFilter}${audioFilter}${concatParts}concat=n=${segments.length}:v=1:a=1[joinedv][outa];`;
+}
+
+// options: { signal, onProgress, profile, framing, layout, subtitlesPath, fontsDir, segments, encoding }
+// signal cancels the render, onProgress receives a percentage, profile/framing/layout go to outputProfiles,
+// subtitlesPath is an .ass/.srt file burned into the clip, segments ([{ start, end }] within [start, end])
+// keeps only those pieces of the input, encoding names the encodingPresets preset (default: upload),
+// brandingTemplate is a branding.loadTemplate() result whose hook shows `title`
+function processVideo(inputPath, outputPath, start, end, options = {}) {
     return new Promise(async (resolve, reject) => {
+        const { signal, onProgress } = options;
+        if (signal && signal.aborted) return reject(createAbortError());
         console.log(`Processing video: ${inputPath} from ${start} to ${end}`);
 
-        // Enforce 16:9 output (1920x1080)
-        // scale=1920:1080:force_original_aspect_ratio=decrease ensures it fits within 1920x1080 maintaining aspect ratio
-        // pad=1920:1080:-1:-1 adds black bars if necessary to fill the 16:9 frame
-        const finalFilterString = 'scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:-1:-1:color=black';
+        // Reframe to the requested output profile (9:16, 1:1, 4:5, 16:9) using the chosen framing mode.
+        // Defaults to 16:9 with black padding, the original behaviour.
+        let finalFilterString;
+        let profile;
+        try {
+            finalFilterString = outputProfiles.buildFrameFilter(options);
+            profile = outputProfiles.resolveFraming(options).profile;
+            encodingPresets.resolveEncoding(options.encoding);
+        } catch (err) {
+            return reject(err);
+        }
+
+        // Cutting from the original recording: only keep the spoken pieces inside [start, end]
+        // and join them, the same way removeSilence does for the whole video.
+        const segments = options.segments && options.segments.length > 0 ? options.segments : null;
+        const outputDuration = segments ? segments.reduce((sum, seg) => sum + (seg.end - seg.start), 0) : end - start;
+
+        // Burn in captions after reframing so the ASS positions match the output frame
+        if (options.subtitlesPath) {
+            finalFilterString += `,${buildSubtitlesFilter(options.subtitlesPath, options.fontsDir)}`;
+        }
+        // Branding goes over the captions
+        if (options.brandingTemplate) {
+            finalFilterString += buildBrandingFilter(options.brandingTemplate, options.title, outputDuration, profile);
+        }
+        // Proxy scaling and the preset's frame rate come last
+        finalFilterString += `,${encodingPresets.buildEncodingFilter(profile, options.encoding)}`;
+
+        let outputOptions = ['-filter_script:v'];
+        if (segments) {
+            finalFilterString = `${buildSegmentJoinFilter(segments, start)}[joinedv]${finalFilterString}[outv]`;
+            outputOptions = ['-filter_complex_script'];
+        }
 
         // To avoid ENAMETOOLONG, write the filter string to a temp file
         const tempFilterPath = path.resolve(path.dirname(outputPath), `vfilter_${Date.now()}.txt`);
         fs.writeFileSync(tempFilterPath, finalFilterString);
+        outputOptions.push(tempFilterPath);
+        if (segments) {
+            outputOptions.push('-map', '[outv]', '-map', '[outa]');
+        }
+        outputOptions.push(...encodingPresets.buildOutputOptions(options.encoding));
 
-        ffmpeg(inputPath)
+        const command = ffmpeg(inputPath)
             .setStartTime(start)
             .setDuration(end - start)
-            // Use -filter_script:v to read from file
-            .outputOptions(['-filter_script:v', tempFilterPath])
+            // Use -filter_script:v (or -filter_complex_script for joined segments) to read from file
+            .outputOptions(outputOptions)
             .output(outputPath)
+            .on('progress', (p) => reportProgress(onProgress, p.timemark, outputDuration))
             .on('end', () => {
+                detachAbort();
                 console.log(`Video processed successfully: ${outputPath}`);
                 // Cleanup temp filter
                 try { if (fs.existsSync(tempFilterPath)) fs.unlinkSync(tempFilterPath); } catch (e) { }
                 resolve(outputPath);
             })
             .on('error', (err) => {
-                console.error(`Error processing video: ${err.message}`);
+                detachAbort();
                 // Cleanup temp filter
                 try { if (fs.existsSync(tempFilterPath)) fs.unlinkSync(tempFilterPath); } catch (e) { }
+                // Remove the half-written clip so the checkpoint does not pick it up later
+                if (signal && signal.aborted) {
+                    try { if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath); } catch (e) { }
+                    return reject(createAbortError());
+                }
+                console.error(`Error processing video: ${err.message}`);
                 reject(err);
-            })
-            .run();
+            });
+
+        const detachAbort = bindAbort(signal, () => command.kill('SIGKILL'));
+        command.run();
     });
 }
 
-function extractAudio(inputPath, outputPath) {
+function extractAudio(inputPath, outputPath, options = {}) {
     return new Promise((resolve, reject) => {
+        const { signal, onProgress } = options;
+        if (signal && signal.aborted) return reject(createAbortError());
         console.log(`Extracting audio from: ${inputPath} to ${outputPath}`);
-        ffmpeg(inputPath)
+        let totalDuration = 0;
+
+        const command = ffmpeg(inputPath)
             .output(outputPath)
             .noVideo()
             .audioCodec('libmp3lame')
+            .on('codecData', (data) => totalDuration = timemarkToSeconds(data.duration))
+            .on('progress', (p) => reportProgress(onProgress, p.timemark, totalDuration))
             .on('end', () => {
+                detachAbort();
                 console.log(`Audio extraction complete: ${outputPath}`);
                 resolve(outputPath);
             })
             .on('error', (err) => {
+                detachAbort();
+                if (signal && signal.aborted) {
+                    try { if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath); } catch (e) { }
+                    return reject(createAbortError());
+                }
                 console.error(`Error extracting audio: ${err.message}`);
                 reject(err);
-            })
-            .run();
+            });
+
+        const detachAbort = bindAbort(signal, () => command.kill('SIGKILL'));
+        command.run();
     });
 }
 
-function removeSilence(inputPath, outputPath) {
-    return new Promise(async (resolve, reject) => {
-        console.log(`Removing silence from: ${inputPath}...`);
+// Convert any audio/video file to the 16kHz mono WAV most local speech engines expect
+function convertToWav(inputPath, outputPath, options = {}) {
+    return new Promise((resolve, reject) => {
+        const { signal } = options;
+        if (signal && signal.aborted) return reject(createAbortError());
 
-        const tempAudioPath = path.resolve(path.dirname(outputPath), `temp_silence_analysis_${Date.now()}.wav`);
+        const command = ffmpeg(inputPath)
+            .noVideo()
+            .audioChannels(1)
+            .audioFrequency(16000)
+            .format('wav')
+            .output(outputPath)
+            .on('end', () => { detachAbort(); resolve(outputPath); })
+            .on('error', (err) => { detachAbort(); reject(signal && signal.aborted ? createAbortError() : err); });
+        const detachAbort = bindAbort(signal, () => command.kill('SIGKILL'));
+        command.run();
+    });
+}
 
-        try {
-            // 1. Extract lightweight audio for analysis (16kHz mono WAV is much faster to process)
-            console.log('Extracting temporary audio for analysis...');
-            await new Promise((res, rej) => {
-                ffmpeg(inputPath)
-                    .noVideo()
-                    .audioChannels(1)
-                    .audioFrequency(16000)
-                    .format('wav')
-                    .output(tempAudioPath)
-                    .on('end', res)
-                    .on('error', rej)
-                    .run();
-            });
+// Split an audio file into overlapping chunks: [{ path, offset, duration }].
+// Chunks are re-encoded as compact mono MP3 so each one stays well under upload limits.
+async function splitAudio(inputPath, outputDir, chunkSeconds, overlapSeconds, options = {}) {
+    const { signal } = options;
+    const totalDuration = getDuration(inputPath);
+    const step = chunkSeconds - overlapSeconds;
+    if (step <= 0) {
+        throw new Error('Chunk length must be longer than the overlap');
+    }
+
+    const baseName = path.basename(inputPath, path.extname(inputPath));
+    const chunks = [];
+    for (let offset = 0, i = 0; offset < totalDuration; offset += step, i++) {
+        const duration = Math.min(chunkSeconds, totalDuration - offset);
+        const chunkPath = path.join(outputDir, `${baseName}_part${i}.mp3`);
+
+        await new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(createAbortError());
+            const command = ffmpeg(inputPath)
+                .setStartTime(offset)
+                .setDuration(duration)
+                .noVideo()
+                .audioChannels(1)
+                .audioBitrate('96k')
+                .audioCodec('libmp3lame')
+                .output(chunkPath)
+                .on('end', () => { detachAbort(); resolve(); })
+                .on('error', (err) => { detachAbort(); reject(signal && signal.aborted ? createAbortError() : err); });
+            const detachAbort = bindAbort(signal, () => command.kill('SIGKILL'));
+            command.run();
+        });
 
-            // Configuration for silence detection
-            const SILENCE_THRESHOLD = -30; // dB
-            const MIN_SILENCE_DURATION = 0.5; // seconds
-            const PADDING = 0.1; // seconds
+        chunks.push({ path: chunkPath, offset, duration });
+        // The last chunk already reaches the end, do not emit a tail that only holds overlap
+        if (offset + duration >= totalDuration) break;
+    }
 
-            // Helper to get duration
-            const getDuration = (file) => {
-                try {
-                    const ffprobeCmd = fs.existsSync(ffprobePath) ? `"${ffprobePath}"` : 'ffprobe';
-                    const out = execSync(`${ffprobeCmd} -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${file}"`);
-                    return parseFloat(out.toString());
-                } catch (e) {
-                    throw new Error(`Failed to get duration: ${e.message}`);
-                }
-            };
-
-            // Helper to detect silence segments
-            const getSilenceSegments = (file) => {
-                return new Promise((resSec, rejSec) => {
-                    const ffmpegCmd = fs.existsSync(ffmpegPath) ? ffmpegPath : 'ffmpeg';
-                    // Analyze the WAV file instead of the original video
-                    const proc = spawn(ffmpegCmd, [
-                        '-i', file,
-                        '-af', `silencedetect=n=${SILENCE_THRESHOLD}dB:d=${MIN_SILENCE_DURATION}`,
-                        '-f', 'null', '-'
-                    ]);
-
-                    let output = '';
-                    proc.stderr.on('data', (data) => output += data.toString());
-                    proc.on('close', (code) => {
-                        if (code !== 0) {
-                            rejSec(new Error(`FFmpeg silence detection failed with code ${code}`));
-                            return;
-                        }
-
-                        const silentSegments = [];
-                        const startRegex = /silence_start: ([\d.]+)/g;
-                        const endRegex = /silence_end: ([\d.]+)/g;
-
-                        const starts = [];
-                        let startMatch;
-                        while ((startMatch = startRegex.exec(output)) !== null) starts.push(parseFloat(startMatch[1]));
-
-                        let endMatch;
-                        let i = 0;
-                        while ((endMatch = endRegex.exec(output)) !== null) {
-                            if (starts[i] !== undefined) {
-                                silentSegments.push({ start: starts[i], end: parseFloat(endMatch[1]) });
-                            }
-                            i++;
-                        }
-                        resSec(silentSegments);
-                    });
-                });
-            };
-
-            const totalDuration = getDuration(inputPath);
-            // Use tempAudioPath for silence detection
-            console.log('Analyzing audio for silence...');
-            const silences = await getSilenceSegments(tempAudioPath);
-
-            // Cleanup temp audio immediately after analysis
-            try { if (fs.existsSync(tempAudioPath)) fs.unlinkSync(tempAudioPath); } catch (e) { }
+    console.log(`Split audio into ${chunks.length} chunks of ~${chunkSeconds}s (${overlapSeconds}s overlap).`);
+    return chunks;
+}
 
-            if (silences.length === 0) {
-                console.log('No silence detected. Copying original file.');
-                fs.copyFileSync(inputPath, outputPath);
-                return resolve(outputPath);
-            }
+// Helper: Run ffmpeg with raw arguments, for its stderr report (filters writing to -f null) or a plain
+// conversion. Resolves with the stderr text.
+function runFfmpegReport(args, signal) {
+    return new Promise((resolve, reject) => {
+        const ffmpegCmd = fs.existsSync(ffmpegPath) ? ffmpegPath : 'ffmpeg';
+        const proc = spawn(ffmpegCmd, args);
+        const detachAbort = bindAbort(signal, () => proc.kill('SIGKILL'));
 
-            // Invert silences to find sound segments
-            const sounds = [];
-            let lastEnd = 0;
+        let output = '';
+        proc.stderr.on('data', (data) => output += data.toString());
+        proc.on('error', (err) => {
+            detachAbort();
+            reject(err);
+        });
+        proc.on('close', (code) => {
+            detachAbort();
+            if (signal && signal.aborted) return reject(createAbortError());
+            if (code !== 0) return reject(new Error(`FFmpeg failed with code ${code}`));
+            resolve(output);
+        });
+    });
+}
 
-            silences.forEach(s => {
-                if (s.start - lastEnd > 0.1) {
-                    sounds.push({
-                        start: Math.max(0, lastEnd - PADDING),
-                        end: Math.min(totalDuration, s.start + PADDING)
-                    });
-                }
-                lastEnd = s.end;
-            });
+// Find the silences of a video without changing it.
+// settings: a silence.resolveSilenceSettings() result. options: { signal }
+// Returns { silences, sounds, totalDuration, threshold, meanVolume } - sounds are the segments to keep,
+// meanVolume is only measured for threshold "auto".
+async function detectSilence(inputPath, settings, options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) throw createAbortError();
+    const tempAudioPath = path.join(os.tmpdir(), `temp_silence_analysis_${Date.now()}_${process.pid}.wav`);
+
+    try {
+        // 1. Extract lightweight audio for analysis (16kHz mono WAV is much faster to process)
+        console.log('Extracting temporary audio for analysis...');
+        await convertToWav(inputPath, tempAudioPath, { signal });
+
+        // 2. Adaptive threshold: measure the mean loudness first
+        let meanVolume = null;
+        if (settings.threshold === 'auto') {
+            const report = await runFfmpegReport(['-i', tempAudioPath, '-af', 'volumedetect', '-f', 'null', '-'], signal);
+            const match = report.match(/mean_volume: (-?[\d.]+) dB/);
+            meanVolume = match ? parseFloat(match[1]) : null;
+        }
+        const threshold = silence.resolveThreshold(settings, meanVolume);
+        console.log(`Analyzing audio for silence (threshold ${threshold}dB${meanVolume !== null ? `, mean volume ${meanVolume}dB` : ''})...`);
+
+        // 3. Silence detection on the WAV instead of the original video
+        const output = await runFfmpegReport([
+            '-i', tempAudioPath,
+            '-af', `silencedetect=n=${threshold}dB:d=${settings.minSilenceDuration}`,
+            '-f', 'null', '-'
+        ], signal);
+
+        const silences = [];
+        const starts = [];
+        const startRegex = /silence_start: (-?[\d.]+)/g;
+        const endRegex = /silence_end: ([\d.]+)/g;
+        let match;
+        while ((match = startRegex.exec(output)) !== null) starts.push(Math.max(0, parseFloat(match[1])));
+        let i = 0;
+        while ((match = endRegex.exec(output)) !== null) {
+            if (starts[i] !== undefined) silences.push({ start: starts[i], end: parseFloat(match[1]) });
+            i++;
+        }
 
-            if (lastEnd < totalDuration) {
-                sounds.push({ start: lastEnd - PADDING, end: totalDuration });
+        const totalDuration = getDuration(inputPath);
+        // A silence still open at the end of the file runs to the end
+        if (starts.length > silences.length) {
+            silences.push({ start: starts[starts.length - 1], end: totalDuration });
+        }
+
+        return {
+            silences,
+            sounds: silences.length > 0 ? silence.buildKeptSegments(silences, totalDuration, settings) : [{ start: 0, end: totalDuration }],
+            totalDuration,
+            threshold,
+            meanVolume
+        };
+    } finally {
+        try { if (fs.existsSync(tempAudioPath)) fs.unlinkSync(tempAudioPath); } catch (e) { }
+    }
+}
+
+// Cut the silences out of a video (or shorten them, see silence.js) and save the segment map next to it.
+// options: { signal, onProgress, settings } - settings default to silence.resolveSilenceSettings().
+// Resolves with the detection (see detectSilence).
+function removeSilence(inputPath, outputPath, options = {}) {
+    return new Promise(async (resolve, reject) => {
+        const { signal, onProgress } = options;
+        const settings = options.settings || silence.resolveSilenceSettings();
+        if (signal && signal.aborted) return reject(createAbortError());
+        console.log(`Removing silence from: ${inputPath}...`);
+
+        try {
+            const detection = await detectSilence(inputPath, settings, { signal });
+            const { silences, sounds, totalDuration } = detection;
+
+            if (silences.length === 0) {
+                console.log('No silence detected. Copying original file.');
+                fs.copyFileSync(inputPath, outputPath);
+                timeMap.saveSegmentMap(outputPath, timeMap.buildIdentityMap(inputPath, totalDuration));
+                return resolve(detection);
             }
 
             if (sounds.length === 0) {
                 console.warn('Video seems to be entirely silent?');
                 fs.copyFileSync(inputPath, outputPath);
-                return resolve(outputPath);
+                timeMap.saveSegmentMap(outputPath, timeMap.buildIdentityMap(inputPath, totalDuration));
+                return resolve(detection);
             }
 
             // FILTER GENERATION
@@ -203,11 +504,9 @@ function removeSilence(inputPath, outputPath) {
 
             // FIX ENAMETOOLONG: Write filter to file
             const filterPath = path.resolve(path.dirname(outputPath), `filter_${Date.now()}.txt`);
-            // Escape backslashes in path just in case, though usually fine in simple strings.
-            // Actually, for filter_complex_script, we just put the filter content in the file.
             fs.writeFileSync(filterPath, finalFilter);
 
-            console.log(`Generating cut: ${sounds.length} segments using filter file...`);
+            console.log(`Generating cut: ${sounds.length} segments using filter file (${settings.preset}, crf ${settings.crf})...`);
 
             const ffmpegCmd = fs.existsSync(ffmpegPath) ? ffmpegPath : 'ffmpeg';
             const args = [
@@ -215,76 +514,186 @@ function removeSilence(inputPath, outputPath) {
                 '-filter_complex_script', filterPath,
                 '-map', '[outv]', '-map', '[outa]',
                 '-c:v', 'libx264',
-                '-preset', 'ultrafast',
-                '-crf', '28',
+                '-preset', settings.preset,
+                '-crf', String(settings.crf),
                 '-y', outputPath
             ];
 
+            const outputDuration = sounds.reduce((sum, seg) => sum + (seg.end - seg.start), 0);
             const proc = spawn(ffmpegCmd, args);
+            const detachAbort = bindAbort(signal, () => proc.kill('SIGKILL'));
 
-            proc.stderr.on('data', (d) => process.stdout.write('.'));
+            proc.stderr.on('data', (d) => {
+                process.stdout.write('.');
+                reportStderrProgress(onProgress, d.toString(), outputDuration);
+            });
 
             proc.on('close', (code) => {
                 console.log('\n');
+                detachAbort();
 
                 // Cleanup filter file
                 try {
                     if (fs.existsSync(filterPath)) fs.unlinkSync(filterPath);
-                    if (fs.existsSync(tempAudioPath)) fs.unlinkSync(tempAudioPath); // Ensure double cleanup just in case
                 } catch (e) { console.warn('Cleanup failed', e); }
 
+                if (signal && signal.aborted) {
+                    // A partial _clean.mp4 would be mistaken for a finished checkpoint
+                    try { if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath); } catch (e) { }
+                    return reject(createAbortError());
+                }
+
                 if (code === 0) {
                     console.log(`Silence removal complete: ${outputPath}`);
-                    resolve(outputPath);
+                    // Keep the kept segments so clip times can be mapped back to the original recording
+                    timeMap.saveSegmentMap(outputPath, timeMap.buildSegmentMap(inputPath, sounds, totalDuration));
+                    resolve(detection);
                 } else {
                     reject(new Error(`FFmpeg trim failed with code ${code}`));
                 }
             });
 
         } catch (err) {
-            // Cleanup on error
-            try { if (fs.existsSync(tempAudioPath)) fs.unlinkSync(tempAudioPath); } catch (e) { }
             reject(err);
         }
     });
 }
 
 
-function concatenateVideos(videoPaths, outputPath) {
+// Run the audio chain (see audioChain.js) over a rendered clip, in place. The video stream is copied.
+// settings: an audioChain.resolveAudioSettings() result plus musicPath. options: { signal, encoding }
+// Loudness normalization is two-pass: the first pass measures the processed audio, the second applies
+// the gain that brings it to the target.
+async function processClipAudio(clipPath, settings, options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) throw createAbortError();
+    const duration = getDuration(clipPath);
+    const { audioSampleRate } = encodingPresets.resolveEncoding(options.encoding);
+    const inputs = ['-i', clipPath];
+    if (settings.musicPath) {
+        // Loop short tracks, the mix ends with the clip
+        inputs.push('-stream_loop', '-1', '-i', settings.musicPath);
+    }
+
+    let loudnorm = null;
+    if (settings.loudness !== 'off') {
+        console.log(`Measuring loudness of ${path.basename(clipPath)}...`);
+        const measureGraph = audioChain.buildAudioGraph(settings, { loudnorm: audioChain.loudnormMeasureFilter(settings) });
+        const report = await runFfmpegReport(['-hide_banner', ...inputs, '-filter_complex', measureGraph, '-map', '[aout]', '-f', 'null', '-'], signal);
+        const measured = audioChain.parseLoudnormReport(report);
+        loudnorm = audioChain.loudnormApplyFilter(settings, measured);
+        if (!loudnorm) console.warn(`${path.basename(clipPath)} is silent, skipping loudness normalization.`);
+    }
+
+    const graph = audioChain.buildAudioGraph(settings, { loudnorm, fades: true, duration, sampleRate: audioSampleRate });
+    const tempPath = path.join(path.dirname(clipPath), `${path.basename(clipPath, path.extname(clipPath))}_audio_tmp${path.extname(clipPath)}`);
+    try {
+        await runFfmpegReport([
+            '-hide_banner',
+            ...inputs,
+            '-filter_complex', graph,
+            '-map', '0:v', '-map', '[aout]',
+            '-c:v', 'copy',
+            ...encodingPresets.buildAudioOutputOptions(options.encoding),
+            '-movflags', '+faststart',
+            '-y', tempPath
+        ], signal);
+        fs.renameSync(tempPath, clipPath);
+    } finally {
+        try { if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath); } catch (e) { }
+    }
+    console.log(`Audio processed: ${clipPath}${loudnorm ? ` (${settings.loudness} loudness)` : ''}`);
+    return clipPath;
+}
+
+// Helper: What has to match for clips to be joined without re-encoding
+function streamSignature(probe) {
+    const video = probe.streams.find(stream => stream.codec_type === 'video') || {};
+    const audio = probe.streams.find(stream => stream.codec_type === 'audio') || {};
+    return JSON.stringify([
+        video.codec_name, video.width, video.height, video.pix_fmt, video.avg_frame_rate,
+        audio.codec_name, audio.sample_rate, audio.channels
+    ]);
+}
+
+// Join videos one after the other. Stream copy when all inputs have the same streams (clips rendered
+// with one preset), otherwise they are re-encoded to the first one's size with the encoding preset.
+// options: { signal, encoding }
+function concatenateVideos(videoPaths, outputPath, options = {}) {
     return new Promise((resolve, reject) => {
+        const { signal } = options;
+        if (signal && signal.aborted) return reject(createAbortError());
         console.log(`Concatenating ${videoPaths.length} videos to ${outputPath}...`);
 
         if (videoPaths.length === 0) {
             return reject(new Error("No videos to concatenate"));
         }
 
+        let probes;
+        try {
+            probes = videoPaths.map(probeMedia);
+        } catch (err) {
+            return reject(err);
+        }
+        const canCopy = new Set(probes.map(streamSignature)).size === 1;
+
         // Create a temporary file list for ffmpeg
         const listPath = path.resolve(path.dirname(outputPath), `concat_list_${Date.now()}.txt`);
-        const fileContent = videoPaths.map(p => `file '${p.replace(/\\/g, '/')}'`).join('\n');
-        fs.writeFileSync(listPath, fileContent);
-
         const ffmpegCmd = fs.existsSync(ffmpegPath) ? ffmpegPath : 'ffmpeg';
-
-        // Use concat demuxer for fast merging (requires same codec/resolution)
-        // Since we process all clips with the same settings in processVideo, this should work.
-        const args = [
-            '-f', 'concat',
-            '-safe', '0',
-            '-i', listPath,
-            '-c', 'copy',
-            '-y', outputPath
-        ];
+        let args;
+        let filterPath = null;
+
+        if (canCopy) {
+            // Concat demuxer for fast merging, the streams were checked to be identical
+            const fileContent = videoPaths.map(p => `file '${p.replace(/\\/g, '/')}'`).join('\n');
+            fs.writeFileSync(listPath, fileContent);
+            args = ['-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', '-y', outputPath];
+        } else {
+            console.log('Input streams differ, re-encoding while joining...');
+            const firstVideo = probes[0].streams.find(stream => stream.codec_type === 'video');
+            if (!firstVideo || probes.some(probe => !probe.streams.some(stream => stream.codec_type === 'audio'))) {
+                return reject(new Error('Every video to concatenate needs a video and an audio stream'));
+            }
+            const { fps, audioSampleRate } = encodingPresets.resolveEncoding(options.encoding);
+            const size = `${firstVideo.width}:${firstVideo.height}`;
+            let filter = '';
+            let concatParts = '';
+            videoPaths.forEach((p, i) => {
+                filter += `[${i}:v]scale=${size}:force_original_aspect_ratio=decrease,pad=${size}:-1:-1:color=black,setsar=1,fps=${fps}[v${i}];`;
+                filter += `[${i}:a]aresample=${audioSampleRate}[a${i}];`;
+                concatParts += `[v${i}][a${i}]`;
+            });
+            filter += `${concatParts}concat=n=${videoPaths.length}:v=1:a=1[outv][outa]`;
+            filterPath = path.resolve(path.dirname(outputPath), `concat_filter_${Date.now()}.txt`);
+            fs.writeFileSync(filterPath, filter);
+            args = [
+                ...videoPaths.flatMap(p => ['-i', p]),
+                '-filter_complex_script', filterPath,
+                '-map', '[outv]', '-map', '[outa]',
+                ...encodingPresets.buildOutputOptions(options.encoding),
+                '-y', outputPath
+            ];
+        }
 
         const proc = spawn(ffmpegCmd, args);
+        const detachAbort = bindAbort(signal, () => proc.kill('SIGKILL'));
 
         proc.stderr.on('data', (d) => process.stdout.write('.'));
 
         proc.on('close', (code) => {
             console.log('\n');
-            // Cleanup list file
-            try {
-                if (fs.existsSync(listPath)) fs.unlinkSync(listPath);
-            } catch (e) { }
+            detachAbort();
+            // Cleanup list and filter files
+            [listPath, filterPath].forEach(file => {
+                try {
+                    if (file && fs.existsSync(file)) fs.unlinkSync(file);
+                } catch (e) { }
+            });
+
+            if (signal && signal.aborted) {
+                try { if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath); } catch (e) { }
+                return reject(createAbortError());
+            }
 
             if (code === 0) {
                 console.log(`Concatenation complete: ${outputPath}`);
@@ -296,4 +705,155 @@ function concatenateVideos(videoPaths, outputPath) {
     });
 }
 
-module.exports = { processVideo, extractAudio, removeSilence, concatenateVideos };
+// Join videos with crossfades (xfade + acrossfade). Inputs are brought to one frame rate, time base and
+// sample rate first; they must already share the frame size (clips rendered with the same settings).
+// options: { signal, encoding, fadeDuration } - each fade overlaps the end of one input with the next.
+function crossfadeVideos(videoPaths, outputPath, options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) return Promise.reject(createAbortError());
+    if (videoPaths.length < 2) return concatenateVideos(videoPaths, outputPath, options);
+    console.log(`Joining ${videoPaths.length} videos with crossfades to ${outputPath}...`);
+
+    const fade = options.fadeDuration;
+    const durations = videoPaths.map(getDuration);
+    if (durations.some(duration => duration <= fade)) {
+        return Promise.reject(new Error(`Every video must be longer than the ${fade}s crossfade`));
+    }
+    const { fps, audioSampleRate } = encodingPresets.resolveEncoding(options.encoding);
+
+    let filter = '';
+    videoPaths.forEach((p, i) => {
+        filter += `[${i}:v]fps=${fps},settb=AVTB,format=yuv420p[v${i}];[${i}:a]aresample=${audioSampleRate}[a${i}];`;
+    });
+    let video = '[v0]';
+    let audio = '[a0]';
+    let offset = 0;
+    for (let i = 1; i < videoPaths.length; i++) {
+        // xfade offsets are on the joined timeline, which loses one fade per join
+        offset += durations[i - 1] - fade;
+        const last = i === videoPaths.length - 1;
+        const videoOut = last ? '[outv]' : `[xv${i}]`;
+        const audioOut = last ? '[outa]' : `[xa${i}]`;
+        filter += `${video}[v${i}]xfade=transition=fade:duration=${fade}:offset=${offset.toFixed(3)}${videoOut};`;
+        filter += `${audio}[a${i}]acrossfade=d=${fade}${audioOut};`;
+        video = videoOut;
+        audio = audioOut;
+    }
+
+    const filterPath = path.resolve(path.dirname(outputPath), `xfade_filter_${Date.now()}.txt`);
+    fs.writeFileSync(filterPath, filter.replace(/;$/, ''));
+    const args = [
+        ...videoPaths.flatMap(p => ['-i', p]),
+        '-filter_complex_script', filterPath,
+        '-map', '[outv]', '-map', '[outa]',
+        ...encodingPresets.buildOutputOptions(options.encoding),
+        '-y', outputPath
+    ];
+    return runFfmpegReport(args, signal)
+        .then(() => {
+            console.log(`Crossfade join complete: ${outputPath}`);
+            return outputPath;
+        })
+        .catch(err => {
+            try { if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath); } catch (e) { }
+            throw err;
+        })
+        .finally(() => {
+            try { if (fs.existsSync(filterPath)) fs.unlinkSync(filterPath); } catch (e) { }
+        });
+}
+
+// Render a title card: centered text on a solid background with silent audio, encoded like the clips.
+// options: { signal, profile (outputProfiles name), encoding, duration, font, background }
+function renderTitleCard(text, outputPath, options = {}) {
+    const profile = outputProfiles.resolveFraming({ profile: options.profile }).profile;
+    const { width, height } = encodingPresets.outputSize(profile, options.encoding);
+    const { fps, audioSampleRate } = encodingPresets.resolveEncoding(options.encoding);
+    const duration = options.duration || 2;
+
+    // Sizes relative to a 1920px tall frame, like the hook titles
+    const scale = height / 1920;
+    const fontSize = Math.round(96 * scale);
+    const lineHeight = Math.round(fontSize * 1.3);
+    const lines = branding.wrapTitle(text, width > height ? 36 : 20);
+    const top = Math.round((height - lineHeight * lines.length) / 2);
+    const drawtext = lines.map((line, i) =>
+        `drawtext=font=${escapeFilterText(options.font || 'Arial')}:text=${escapeFilterText(line)}:expansion=none`
+        + `:fontsize=${fontSize}:fontcolor=white:x=(w-text_w)/2:y=${top + i * lineHeight}`
+    ).join(',');
+
+    const args = [
+        '-f', 'lavfi', '-i', `color=c=${options.background || 'black'}:s=${width}x${height}:d=${duration}:r=${fps}`,
+        '-f', 'lavfi', '-i', `anullsrc=r=${audioSampleRate}:cl=stereo`,
+        ...(drawtext ? ['-vf', drawtext] : []),
+        '-t', String(duration),
+        ...encodingPresets.buildOutputOptions(options.encoding),
+        '-y', outputPath
+    ];
+    return runFfmpegReport(args, options.signal).then(() => outputPath);
+}
+
+// Grab one frame of a video as a JPEG, optionally with a title drawn over its lower third (cover candidates).
+// options: { signal, title, font }
+async function extractThumbnail(videoPath, time, outputPath, options = {}) {
+    const filters = [];
+    if (options.title) {
+        const video = probeMedia(videoPath).streams.find(stream => stream.codec_type === 'video');
+        const scale = video.height / 1920;
+        const fontSize = Math.round(110 * scale);
+        const lineHeight = Math.round(fontSize * 1.3);
+        const lines = branding.wrapTitle(options.title, video.width > video.height ? 32 : 18);
+        const top = Math.round(video.height * 0.66 - (lineHeight * lines.length) / 2);
+        lines.forEach((line, i) => {
+            filters.push(`drawtext=font=${escapeFilterText(options.font || 'Arial')}:text=${escapeFilterText(line)}:expansion=none`
+                + `:fontsize=${fontSize}:fontcolor=white:box=1:boxcolor=black@0.6:boxborderw=${Math.round(24 * scale)}`
+                + `:x=(w-text_w)/2:y=${top + i * lineHeight}`);
+        });
+    }
+    await runFfmpegReport([
+        '-ss', time.toFixed(3),
+        '-i', videoPath,
+        '-frames:v', '1',
+        ...(filters.length > 0 ? ['-vf', filters.join(',')] : []),
+        '-q:v', '2',
+        '-y', outputPath
+    ], options.signal);
+    return outputPath;
+}
+
+// Write chapters (an ffmetadata file) into an mp4, in place. The streams are copied.
+async function embedChapters(videoPath, metadataPath, options = {}) {
+    const tempPath = path.join(path.dirname(videoPath), `${path.basename(videoPath, path.extname(videoPath))}_chapters_tmp${path.extname(videoPath)}`);
+    try {
+        await runFfmpegReport([
+            '-i', videoPath,
+            '-i', metadataPath,
+            '-map', '0', '-map_metadata', '1', '-map_chapters', '1',
+            '-c', 'copy',
+            '-movflags', '+faststart',
+            '-y', tempPath
+        ], options.signal);
+        fs.renameSync(tempPath, videoPath);
+    } finally {
+        try { if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath); } catch (e) { }
+    }
+    return videoPath;
+}
+
+module.exports = {
+    processVideo,
+    processClipAudio,
+    extractAudio,
+    detectSilence,
+    removeSilence,
+    concatenateVideos,
+    crossfadeVideos,
+    renderTitleCard,
+    embedChapters,
+    extractThumbnail,
+    getDuration,
+    probeMedia,
+    probeMediaAsync,
+    convertToWav,
+    splitAudio
+};
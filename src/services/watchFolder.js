@@ -0,0 +1,329 @@
+const path = require('path');
+const fs = require('fs');
+const jobQueue = require('./jobQueue');
+const pipeline = require('./pipeline');
+const stageEngine = require('./stageEngine');
+
+// Watch-folder ingestion: polls the library folder (and any extra folders) for new or changed videos, waits
+// until a file stops growing, then queues it like a "Process" click. Content that was processed before (same
+// file hash) is skipped. When the job is done the source is tagged with a <video>.processed.json marker or
+// moved, with its cache files, into a "processed" folder.
+//   WATCH_ENABLED          true starts the watcher with the server
+//   WATCH_FOLDERS          extra folders, comma-separated (the videos/ library is always watched)
+//   WATCH_IGNORE           filename patterns to leave alone, comma-separated (* and ? wildcards)
+//   WATCH_STABLE_SECONDS   how long a file's size and mtime must stay unchanged before it is queued
+//   WATCH_POLL_SECONDS     time between two scans
+//   WATCH_AFTER            none, tag (default) or move
+//   WATCH_PROCESSED_DIR    where "move" puts finished videos, relative to their folder (default processed)
+//   WATCH_STATE_FILE       processed hashes and file status (default data/watch.json)
+const ROOT_DIR = path.resolve(__dirname, '../../');
+const AFTER_ACTIONS = ['none', 'tag', 'move'];
+
+const DEFAULTS = {
+    enabled: process.env.WATCH_ENABLED === 'true',
+    folders: [path.join(ROOT_DIR, 'videos'), ...(process.env.WATCH_FOLDERS || '').split(',')],
+    // Partial downloads and copies, hidden and editor temp files
+    ignore: (process.env.WATCH_IGNORE || '*.part,*.crdownload,*.tmp,*.download,.*,~*').split(','),
+    stableSeconds: parseFloat(process.env.WATCH_STABLE_SECONDS) || 10,
+    pollSeconds: parseFloat(process.env.WATCH_POLL_SECONDS) || 5,
+    after: process.env.WATCH_AFTER || 'tag',
+    processedDir: process.env.WATCH_PROCESSED_DIR || 'processed',
+    statePath: path.resolve(ROOT_DIR, process.env.WATCH_STATE_FILE || 'data/watch.json')
+};
+
+// File states shown in the status view
+//   waiting    new or changed, not stable yet
+//   queued     handed to the job queue, processing when the job runs
+//   done       processed (tagged or moved)
+//   skipped    same content as a video processed before
+//   failed     the job failed or was cancelled, retried when the file changes
+//   ignored    matches an ignore pattern
+const ACTIVE_STATES = ['queued', 'processing'];
+
+let settings = null;
+let enqueue = null;
+let pipelineOptions = {};
+let state = { processed: {}, files: {} };
+let timer = null;
+let scanning = false;
+let unsubscribe = null;
+
+// Merge watch options with the defaults and validate them
+function resolveWatchSettings(options = {}) {
+    const resolved = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+        if (options[key] !== undefined && options[key] !== null && options[key] !== '') resolved[key] = options[key];
+    });
+    resolved.folders = Array.from(new Set([].concat(resolved.folders)
+        .map(folder => String(folder).trim())
+        .filter(Boolean)
+        .map(folder => path.resolve(ROOT_DIR, folder))));
+    resolved.ignore = [].concat(resolved.ignore).map(pattern => String(pattern).trim()).filter(Boolean);
+    ['stableSeconds', 'pollSeconds'].forEach(key => {
+        resolved[key] = Number(resolved[key]);
+        if (!Number.isFinite(resolved[key]) || resolved[key] <= 0) {
+            throw new Error(`Watch option "${key}" must be a number of seconds above 0`);
+        }
+    });
+    if (!AFTER_ACTIONS.includes(resolved.after)) {
+        throw new Error(`Unknown watch action "${resolved.after}". Use one of: ${AFTER_ACTIONS.join(', ')}`);
+    }
+    return resolved;
+}
+
+// Helper: Filename pattern (* and ?) as a RegExp, case-insensitive like most desktop file systems
+function patternToRegExp(pattern) {
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+// Does the filename match one of the ignore patterns? Returns the pattern, or null.
+function matchIgnore(filename, patterns) {
+    return patterns.find(pattern => patternToRegExp(pattern).test(filename)) || null;
+}
+
+// Marker written next to a finished source with WATCH_AFTER=tag
+function tagPath(videoPath) {
+    return `${videoPath}.processed.json`;
+}
+
+function loadState(statePath) {
+    if (!fs.existsSync(statePath)) return { processed: {}, files: {} };
+    try {
+        return { processed: {}, files: {}, ...JSON.parse(fs.readFileSync(statePath, 'utf8')) };
+    } catch (error) {
+        console.warn(`Watch state ${statePath} is unreadable (${error.message}), starting over.`);
+        return { processed: {}, files: {} };
+    }
+}
+
+function saveState() {
+    try {
+        fs.mkdirSync(path.dirname(settings.statePath), { recursive: true });
+        fs.writeFileSync(settings.statePath, JSON.stringify(state, null, 2));
+    } catch (error) {
+        console.warn('Could not persist watch state:', error.message);
+    }
+}
+
+// Helper: Why a stable file does not need processing, null when it does.
+// Known hashes, a tag marker with the same hash and a completed pipeline run on the same content all count.
+function skipReason(videoPath, hash) {
+    const known = state.processed[hash];
+    if (known) {
+        return known.file === videoPath ? 'Already processed' : `Same content as ${path.basename(known.file)}`;
+    }
+    if (fs.existsSync(tagPath(videoPath))) {
+        try {
+            if (JSON.parse(fs.readFileSync(tagPath(videoPath), 'utf8')).hash === hash) return 'Already processed (tagged)';
+        } catch (e) { }
+    }
+    const manifest = stageEngine.loadManifest(pipeline.getVideoPaths(videoPath, pipelineOptions).manifestPath);
+    if (manifest.input && manifest.input.hash === hash && manifest.stages.render) {
+        return 'Already processed (pipeline cache)';
+    }
+    return null;
+}
+
+// Helper: Follow one tracked file: wait for it to settle, then queue it or skip it
+function track(videoPath, folder, stat, now) {
+    const entry = state.files[videoPath];
+    if (entry && ACTIVE_STATES.includes(entry.status)) return;
+
+    // New or changed since the last scan: (re)start the stability clock
+    if (!entry || entry.size !== stat.size || entry.mtimeMs !== stat.mtimeMs) {
+        state.files[videoPath] = {
+            path: videoPath,
+            folder,
+            size: stat.size,
+            mtimeMs: stat.mtimeMs,
+            changedAt: now,
+            status: 'waiting',
+            message: stat.size === 0 ? 'Empty file, waiting for data' : 'Waiting for the file to stop changing'
+        };
+        return;
+    }
+    if (entry.status !== 'waiting') return;
+    if (stat.size === 0 || now - entry.changedAt < settings.stableSeconds * 1000) return;
+
+    entry.hash = stageEngine.fingerprintFile(videoPath);
+    const reason = skipReason(videoPath, entry.hash);
+    if (reason) {
+        Object.assign(entry, { status: 'skipped', message: reason });
+        if (!state.processed[entry.hash]) {
+            state.processed[entry.hash] = { file: videoPath, jobId: null, processedAt: new Date().toISOString() };
+        }
+        console.log(`Watch: skipping ${videoPath} (${reason}).`);
+        return;
+    }
+
+    try {
+        const job = enqueue(videoPath);
+        Object.assign(entry, { status: 'queued', jobId: job.id, message: 'Queued for processing' });
+        console.log(`Watch: queued ${videoPath} as job ${job.id}.`);
+    } catch (error) {
+        Object.assign(entry, { status: 'failed', message: error.message });
+        console.warn(`Watch: could not queue ${videoPath}: ${error.message}`);
+    }
+}
+
+// Scan the watched folders once. Files that vanished are dropped, unless they were moved after processing.
+function scan() {
+    if (!settings || scanning) return;
+    scanning = true;
+    const now = Date.now();
+    const seen = new Set();
+    try {
+        settings.folders.forEach(folder => {
+            if (!fs.existsSync(folder)) return;
+            fs.readdirSync(folder).forEach(file => {
+                const videoPath = path.join(folder, file);
+                if (!pipeline.isSourceVideo(file)) return;
+                let stat;
+                try {
+                    stat = fs.statSync(videoPath);
+                } catch (e) {
+                    return;
+                }
+                if (!stat.isFile()) return;
+                seen.add(videoPath);
+
+                const pattern = matchIgnore(file, settings.ignore);
+                if (pattern) {
+                    state.files[videoPath] = { path: videoPath, folder, size: stat.size, status: 'ignored', message: `Matches "${pattern}"` };
+                    return;
+                }
+                track(videoPath, folder, stat, now);
+            });
+        });
+        Object.keys(state.files).forEach(videoPath => {
+            const entry = state.files[videoPath];
+            if (!seen.has(videoPath) && !entry.movedTo && !ACTIVE_STATES.includes(entry.status)) delete state.files[videoPath];
+        });
+        saveState();
+    } catch (error) {
+        console.warn('Watch scan failed:', error.message);
+    } finally {
+        scanning = false;
+    }
+}
+
+// Helper: Move a finished video and its cache files into the processed folder, and point the job at them.
+// Returns the new video path.
+function moveProcessed(entry, job) {
+    const dir = path.resolve(entry.folder, settings.processedDir);
+    fs.mkdirSync(dir, { recursive: true });
+    const options = { silence: job.payload.silence, metadata: job.payload.metadata, translation: job.payload.translation };
+    const files = [entry.path, ...Object.values(pipeline.getCacheFiles(entry.path, options))];
+    const taken = files.find(file => fs.existsSync(path.join(dir, path.basename(file))));
+    if (taken) {
+        throw new Error(`${path.join(dir, path.basename(taken))} already exists`);
+    }
+    files.forEach(file => fs.renameSync(file, path.join(dir, path.basename(file))));
+    const movedTo = path.join(dir, path.basename(entry.path));
+    // The review screen and re-runs look for the video (and its caches) where the job says it is
+    jobQueue.updatePayload(job.id, { videoPath: movedTo });
+    return movedTo;
+}
+
+// Helper: Record a finished job and tag or move its source
+function finish(entry, job) {
+    const processedAt = new Date().toISOString();
+    state.processed[entry.hash] = { file: entry.path, jobId: job.id, processedAt };
+    Object.assign(entry, { status: 'done', message: 'Processed', processedAt });
+    try {
+        if (settings.after === 'tag') {
+            fs.writeFileSync(tagPath(entry.path), JSON.stringify({
+                hash: entry.hash,
+                jobId: job.id,
+                processedAt,
+                clips: ((job.result && job.result.clips) || []).map(clip => clip.path)
+            }, null, 2));
+        } else if (settings.after === 'move') {
+            entry.movedTo = moveProcessed(entry, job);
+            state.processed[entry.hash].file = entry.movedTo;
+            entry.message = `Processed, moved to ${entry.movedTo}`;
+        }
+    } catch (error) {
+        entry.message = `Processed, but the ${settings.after} step failed: ${error.message}`;
+        console.warn(`Watch: ${settings.after} of ${entry.path} failed: ${error.message}`);
+    }
+}
+
+// Helper: Follow the jobs the watcher queued
+function onJobUpdate(job) {
+    const entry = Object.values(state.files).find(file => file.jobId === job.id && ACTIVE_STATES.includes(file.status));
+    if (!entry) return;
+    if (job.status === 'running') {
+        if (entry.status === 'processing') return;
+        Object.assign(entry, { status: 'processing', message: 'Processing' });
+    } else if (job.status === 'completed') {
+        finish(entry, job);
+    } else if (job.status === 'failed' || job.status === 'cancelled') {
+        Object.assign(entry, { status: 'failed', message: job.error || `Job ${job.status}` });
+    } else {
+        return;
+    }
+    saveState();
+}
+
+// Start watching. options: watch settings (see DEFAULTS). hooks: { enqueue(videoPath) -> job,
+// pipelineOptions } - enqueue queues the processing job, pipelineOptions are the options the queued jobs
+// use (they decide where a video's caches are).
+function start(options = {}, hooks = {}) {
+    settings = resolveWatchSettings(options);
+    enqueue = hooks.enqueue;
+    pipelineOptions = hooks.pipelineOptions || {};
+    state = loadState(settings.statePath);
+
+    // Jobs queued before a restart: the job queue restores them, finished ones are settled now
+    Object.values(state.files).filter(entry => ACTIVE_STATES.includes(entry.status)).forEach(entry => {
+        const job = jobQueue.getJob(entry.jobId);
+        if (!job) {
+            Object.assign(entry, { status: 'waiting', changedAt: 0, message: 'Job lost, queuing again' });
+        } else {
+            onJobUpdate(job);
+        }
+    });
+    unsubscribe = jobQueue.subscribe(onJobUpdate);
+
+    console.log(`Watching ${settings.folders.join(', ')} (every ${settings.pollSeconds}s, after processing: ${settings.after}).`);
+    scan();
+    timer = setInterval(scan, settings.pollSeconds * 1000);
+}
+
+function stop() {
+    if (timer) clearInterval(timer);
+    if (unsubscribe) unsubscribe();
+    timer = null;
+    unsubscribe = null;
+    settings = null;
+}
+
+// Status view: the settings and every tracked file, newest change first
+function getStatus() {
+    if (!settings) return { enabled: false, folders: [], files: [] };
+    return {
+        enabled: true,
+        folders: settings.folders.map(folder => ({ path: folder, exists: fs.existsSync(folder) })),
+        ignore: settings.ignore,
+        stableSeconds: settings.stableSeconds,
+        pollSeconds: settings.pollSeconds,
+        after: settings.after,
+        files: Object.values(state.files)
+            .map(entry => ({ ...entry, filename: path.basename(entry.path) }))
+            .sort((a, b) => (b.changedAt || 0) - (a.changedAt || 0)),
+        processedCount: Object.keys(state.processed).length
+    };
+}
+
+module.exports = {
+    DEFAULTS,
+    AFTER_ACTIONS,
+    resolveWatchSettings,
+    matchIgnore,
+    start,
+    stop,
+    scan,
+    getStatus
+};
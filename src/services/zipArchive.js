@@ -0,0 +1,141 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Minimal ZIP writer for downloads: files are streamed in as they are (stored, no compression - the bulk is
+// video that does not compress), so the archive starts downloading at once and memory use stays flat.
+// CRCs are only known once a file is read, so each entry ends with a data descriptor. Entries or offsets past
+// 4 GB switch to ZIP64 records.
+
+// Sizes and offsets from here on need ZIP64 records; the 32-bit header fields then hold the marker
+const ZIP64_LIMIT = 0xffffffff;
+const MARKER = 0xffffffff;
+const FLAGS = 0x0808; // bit 3: sizes and CRC follow the data, bit 11: UTF-8 names
+
+// Helper: CRC-32 (zlib.crc32 exists from Node 20.15, the table is the fallback)
+let crcTable = null;
+function crc32(buffer, crc = 0) {
+    if (zlib.crc32) return zlib.crc32(buffer, crc);
+    if (!crcTable) {
+        crcTable = new Int32Array(256).map((_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            return c;
+        });
+    }
+    let c = ~crc;
+    for (let i = 0; i < buffer.length; i++) c = crcTable[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    return ~c >>> 0;
+}
+
+// Helper: MS-DOS date and time of a Date, as stored in ZIP headers
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Helper: Little-endian header from [value, bytes] fields
+function header(fields) {
+    const buffer = Buffer.alloc(fields.reduce((sum, [, bytes]) => sum + bytes, 0));
+    let offset = 0;
+    fields.forEach(([value, bytes]) => {
+        if (bytes === 8) buffer.writeBigUInt64LE(BigInt(value), offset);
+        else if (bytes === 4) buffer.writeUInt32LE(value >>> 0, offset);
+        else buffer.writeUInt16LE(value, offset);
+        offset += bytes;
+    });
+    return buffer;
+}
+
+// Helper: Write to the stream, waiting when its buffer is full
+function write(output, buffer) {
+    if (output.destroyed) return Promise.reject(new Error('Download aborted'));
+    if (output.write(buffer)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const onDrain = () => { output.off('close', onClose); resolve(); };
+        const onClose = () => { output.off('drain', onDrain); reject(new Error('Download aborted')); };
+        output.once('drain', onDrain);
+        output.once('close', onClose);
+    });
+}
+
+// Stream a ZIP of files to a writable stream (an HTTP response). entries: [{ name, path }] - name is the path
+// inside the archive. Resolves with the archive size; the stream is ended but not closed.
+async function writeZip(entries, output) {
+    const central = [];
+    let offset = 0;
+    const emit = async (buffer) => {
+        await write(output, buffer);
+        offset += buffer.length;
+    };
+
+    for (const entry of entries) {
+        const stat = fs.statSync(entry.path);
+        const name = Buffer.from(entry.name.replace(/\\/g, '/'), 'utf8');
+        const { time, date } = dosDateTime(stat.mtime);
+        const localOffset = offset;
+        // Decided up front from the file size: the local header is written before the data
+        const zip64 = stat.size >= ZIP64_LIMIT;
+
+        await emit(header([
+            [0x04034b50, 4], [zip64 ? 45 : 20, 2], [FLAGS, 2], [0, 2], [time, 2], [date, 2],
+            [0, 4], [zip64 ? MARKER : 0, 4], [zip64 ? MARKER : 0, 4],
+            [name.length, 2], [zip64 ? 20 : 0, 2]
+        ]));
+        await emit(name);
+        if (zip64) await emit(header([[0x0001, 2], [16, 2], [0, 8], [0, 8]]));
+
+        let crc = 0;
+        let size = 0;
+        for await (const chunk of fs.createReadStream(entry.path)) {
+            crc = crc32(chunk, crc);
+            size += chunk.length;
+            await emit(chunk);
+        }
+        if (!zip64 && size >= ZIP64_LIMIT) {
+            throw new Error(`${entry.name} grew past 4 GB while it was being archived`);
+        }
+        await emit(header([[0x08074b50, 4], [crc, 4], ...(zip64 ? [[size, 8], [size, 8]] : [[size, 4], [size, 4]])]));
+        central.push({ name, time, date, crc, size, offset: localOffset, zip64 });
+    }
+
+    const centralStart = offset;
+    for (const entry of central) {
+        const extra = [];
+        if (entry.zip64) extra.push([entry.size, 8], [entry.size, 8]);
+        if (entry.offset >= ZIP64_LIMIT) extra.push([entry.offset, 8]);
+        const needs64 = extra.length > 0;
+        await emit(header([
+            [0x02014b50, 4], [45, 2], [needs64 ? 45 : 20, 2], [FLAGS, 2], [0, 2], [entry.time, 2], [entry.date, 2],
+            [entry.crc, 4], [entry.zip64 ? MARKER : entry.size, 4], [entry.zip64 ? MARKER : entry.size, 4],
+            [entry.name.length, 2], [needs64 ? 4 + extra.length * 8 : 0, 2], [0, 2], [0, 2], [0, 2], [0, 4],
+            [entry.offset >= ZIP64_LIMIT ? MARKER : entry.offset, 4]
+        ]));
+        await emit(entry.name);
+        if (needs64) await emit(header([[0x0001, 2], [extra.length * 8, 2], ...extra]));
+    }
+    const centralSize = offset - centralStart;
+
+    const count = central.length;
+    if (count >= 0xffff || centralStart >= ZIP64_LIMIT || centralSize >= ZIP64_LIMIT) {
+        const recordOffset = offset;
+        await emit(header([
+            [0x06064b50, 4], [44, 8], [45, 2], [45, 2], [0, 4], [0, 4],
+            [count, 8], [count, 8], [centralSize, 8], [centralStart, 8]
+        ]));
+        await emit(header([[0x07064b50, 4], [0, 4], [recordOffset, 8], [1, 4]]));
+        await emit(header([
+            [0x06054b50, 4], [0, 2], [0, 2], [0xffff, 2], [0xffff, 2], [MARKER, 4], [MARKER, 4], [0, 2]
+        ]));
+    } else {
+        await emit(header([
+            [0x06054b50, 4], [0, 2], [0, 2], [count, 2], [count, 2], [centralSize, 4], [centralStart, 4], [0, 2]
+        ]));
+    }
+    output.end();
+    return offset;
+}
+
+module.exports = { writeZip };
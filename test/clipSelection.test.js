@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const clipSelection = require('../src/services/clipSelection');
+
+// No limits and no diversity penalty unless a test sets them, whatever the env says
+const NO_LIMITS = { maxClips: 0, minScore: 0, minGapSeconds: 0, maxTotalSeconds: 0, similarityLimit: 0.5, diversityWeight: 0 };
+const select = (moments, options = {}, context = {}) => clipSelection.selectClips(moments, { ...NO_LIMITS, ...options }, context);
+const clip = (start, end, score, titulo, extra = {}) => ({ start, end, score, titulo, ...extra });
+
+test('maxClips keeps the best clips and rejects the rest', () => {
+    const result = select({
+        a: clip(0, 30, 9, 'Primeiro assunto'),
+        b: clip(100, 130, 8, 'Segundo tema'),
+        c: clip(200, 230, 7, 'Terceira historia')
+    }, { maxClips: 2 });
+
+    assert.deepStrictEqual(Object.keys(result.moments), ['a', 'b']);
+    assert.deepStrictEqual(result.rejected.c.rejection, { reason: 'max clips reached (2)', conflictsWith: null });
+});
+
+test('pinned clips bypass maxClips, minScore and overlaps, and still count toward the limit', () => {
+    const result = select({
+        a: clip(0, 30, 9, 'Primeiro assunto'),
+        b: clip(100, 130, 8, 'Segundo tema'),
+        pinned: clip(10, 40, 2, 'Escolha manual', { pinned: true })
+    }, { maxClips: 2, minScore: 5 });
+
+    assert.deepStrictEqual(Object.keys(result.moments), ['b', 'pinned']);
+    assert.deepStrictEqual(result.rejected.a.rejection, { reason: 'overlaps pinned', conflictsWith: 'pinned' });
+    // The rank follows the score, pinned or not
+    assert.strictEqual(result.moments.b.rank, 1);
+    assert.strictEqual(result.moments.pinned.rank, 2);
+});
+
+test('clips may touch by half a second before they overlap', () => {
+    const touching = select({ a: clip(0, 30, 9, 'Primeiro assunto'), b: clip(29.6, 60, 8, 'Segundo tema') });
+    assert.deepStrictEqual(Object.keys(touching.moments), ['a', 'b']);
+
+    const overlapping = select({ a: clip(0, 30, 9, 'Primeiro assunto'), b: clip(29.4, 60, 8, 'Segundo tema') });
+    assert.deepStrictEqual(Object.keys(overlapping.moments), ['a']);
+    assert.strictEqual(overlapping.rejected.b.rejection.reason, 'overlaps a');
+});
+
+test('minGapSeconds is a minimum, a gap of exactly that is fine', () => {
+    const result = select({
+        a: clip(0, 30, 9, 'Primeiro assunto'),
+        b: clip(40, 60, 8, 'Segundo tema'),
+        c: clip(69, 90, 7, 'Terceira historia')
+    }, { minGapSeconds: 10 });
+
+    assert.deepStrictEqual(Object.keys(result.moments), ['a', 'b']);
+    assert.strictEqual(result.rejected.c.rejection.reason, 'only 9.0s away from b (min gap 10s)');
+});
+
+test('maxTotalSeconds may be filled exactly', () => {
+    const result = select({
+        a: clip(0, 30, 9, 'Primeiro assunto'),
+        b: clip(100, 130, 8, 'Segundo tema'),
+        c: clip(200, 201, 7, 'Terceira historia')
+    }, { maxTotalSeconds: 60 });
+
+    assert.deepStrictEqual(Object.keys(result.moments), ['a', 'b']);
+    assert.match(result.rejected.c.rejection.reason, /^total runtime budget exceeded/);
+});
+
+test('a clip about the same thing as a better one is dropped', () => {
+    const srt = '1\n00:00:01,000 --> 00:00:20,000\nfalamos sobre investimentos\n\n2\n00:01:41,000 --> 00:02:00,000\nfalamos sobre investimentos\n';
+    const result = select({
+        a: clip(0, 30, 9, 'Primeiro assunto'),
+        b: clip(100, 130, 8, 'Segundo tema')
+    }, {}, { srt });
+
+    assert.deepStrictEqual(Object.keys(result.moments), ['a']);
+    assert.deepStrictEqual(result.rejected.b.rejection, { reason: 'too similar to a (100%)', conflictsWith: 'a' });
+});
+
+test('resolveSelection rejects negative numbers and a similarity limit above 1', () => {
+    assert.throws(() => clipSelection.resolveSelection({ maxClips: -1 }), /"maxClips" must be a number >= 0/);
+    assert.throws(() => clipSelection.resolveSelection({ similarityLimit: 1.5 }), /between 0 and 1/);
+    assert.strictEqual(clipSelection.resolveSelection({ maxClips: '3' }).maxClips, 3);
+});
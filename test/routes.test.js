@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+// Starts the real server on a free port with its own job file, so the routes are tested as a client sees them.
+// Jobs never get queued here: every request below is refused before that.
+const ROOT = path.resolve(__dirname, '..');
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'cortes-routes-'));
+const hasFfprobe = !spawnSync('ffprobe', ['-version']).error;
+
+function startServer(env = {}) {
+    const port = 30000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            OPENAI_API_KEY: 'test',
+            JOBS_FILE: path.join(tmp, `jobs-${port}.json`),
+            LIBRARY_CACHE_DIR: path.join(tmp, `library-${port}`),
+            WATCH_ENABLED: 'false',
+            AUTH_TOKEN: '',
+            AUTH_USER: '',
+            AUTH_PASSWORD: '',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Server did not start')), 20000);
+        child.stdout.on('data', chunk => {
+            if (chunk.toString().includes('Server running')) {
+                clearTimeout(timer);
+                resolve({ url: `http://127.0.0.1:${port}`, stop: () => child.kill() });
+            }
+        });
+        child.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+    });
+}
+
+const postJson = (url, body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+});
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test('file routes stay inside their folders', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const traversals = ['../server.js', '../../etc/passwd', '/etc/passwd', 'sub/../../server.js', 'a.mp4\0../../server.js'];
+
+    for (const filename of traversals) {
+        assert.strictEqual((await postJson(`${server.url}/process-server-file`, { filename })).status, 400, filename);
+        assert.strictEqual((await postJson(`${server.url}/silence-report`, { filename })).status, 400, filename);
+        assert.strictEqual((await postJson(`${server.url}/highlight-reel`, { filenames: [filename] })).status, 400, filename);
+    }
+    // A well-formed name that does not exist is still a plain 404
+    assert.strictEqual((await postJson(`${server.url}/process-server-file`, { filename: 'missing.mp4' })).status, 404);
+
+    for (const id of ['..%2Fserver.js', '%2Fetc%2Fpasswd', '..%2F..%2Fetc%2Fpasswd', '.%2E%2Fserver.js']) {
+        assert.strictEqual((await fetch(`${server.url}/library/${id}`)).status, 404, id);
+        assert.strictEqual((await fetch(`${server.url}/library/${id}/download`)).status, 404, id);
+        assert.strictEqual((await fetch(`${server.url}/library/${id}/cache`, { method: 'DELETE' })).status, 404, id);
+    }
+    for (const file of ['..%2F..%2Fserver.js', '%2e%2e/%2e%2e/server.js', '..%5C..%5Cserver.js']) {
+        const response = await fetch(`${server.url}/media/videos/${file}`);
+        assert.notStrictEqual(response.status, 200, file);
+    }
+});
+
+test('uploads must be videos, whatever they are called', async (t) => {
+    const server = await startServer({ UPLOAD_MAX_MB: '0.01' });
+    t.after(server.stop);
+    const upload = (name, content) => {
+        const form = new FormData();
+        form.append('video', new Blob([content]), name);
+        return fetch(`${server.url}/process-video`, { method: 'POST', body: form });
+    };
+    const before = fs.existsSync(path.join(ROOT, 'uploads')) ? fs.readdirSync(path.join(ROOT, 'uploads')) : [];
+
+    assert.strictEqual((await upload('evil.sh', '#!/bin/sh\n')).status, 400);
+    assert.strictEqual((await upload('../../server.js', 'x')).status, 400);
+    // Video extension, script content: refused by the ffprobe check and removed again. Without ffprobe nothing
+    // can be checked, which is the server's problem (503), not the upload's.
+    const script = await upload('../../<img src=x onerror=alert(1)>.mp4', '#!/bin/sh\necho pwned\n');
+    assert.deepStrictEqual([script.status, await script.text()], hasFfprobe
+        ? [400, 'Rejected upload: The file could not be read as a video.']
+        : [503, 'Rejected upload: ffprobe is not available, uploads cannot be checked.']);
+    assert.strictEqual((await upload('big.mp4', Buffer.alloc(20 * 1024))).status, 413);
+
+    assert.deepStrictEqual(fs.readdirSync(path.join(ROOT, 'uploads')), before);
+    assert.ok(!fs.existsSync(path.join(ROOT, '<img src=x onerror=alert(1)>.mp4')));
+});
+
+test('every route needs the token when AUTH_TOKEN is set', async (t) => {
+    const server = await startServer({ AUTH_TOKEN: 's3cret' });
+    t.after(server.stop);
+
+    assert.strictEqual((await fetch(`${server.url}/jobs`)).status, 401);
+    assert.strictEqual((await fetch(`${server.url}/library`)).status, 401);
+    assert.strictEqual((await fetch(`${server.url}/media/videos/a.mp4`)).status, 401);
+    assert.strictEqual((await postJson(`${server.url}/process-server-file`, { filename: 'a.mp4' })).status, 401);
+    assert.strictEqual((await fetch(`${server.url}/jobs`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+
+    assert.strictEqual((await fetch(`${server.url}/jobs`, { headers: { Authorization: 'Bearer s3cret' } })).status, 200);
+    assert.strictEqual((await fetch(`${server.url}/jobs`, { headers: { Cookie: 'auth_token=s3cret' } })).status, 200);
+    assert.strictEqual((await fetch(`${server.url}/jobs?token=s3cret`)).status, 200);
+    // The page itself stays reachable so the browser can ask for the token
+    assert.strictEqual((await fetch(`${server.url}/`)).status, 200);
+});
+
+test('basic auth covers the page too', async (t) => {
+    const server = await startServer({ AUTH_USER: 'editor', AUTH_PASSWORD: 'pass' });
+    t.after(server.stop);
+    const credentials = `Basic ${Buffer.from('editor:pass').toString('base64')}`;
+
+    const denied = await fetch(`${server.url}/`);
+    assert.strictEqual(denied.status, 401);
+    assert.match(denied.headers.get('www-authenticate'), /^Basic/);
+    assert.strictEqual((await fetch(`${server.url}/`, { headers: { Authorization: credentials } })).status, 200);
+    assert.strictEqual((await fetch(`${server.url}/jobs`, { headers: { Authorization: credentials } })).status, 200);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const videoProcessor = require('../src/services/videoProcessor');
+const security = require('../src/services/security');
+
+// The real ffprobe checks only run where ffmpeg is installed
+const hasFfprobe = !spawnSync('ffprobe', ['-version']).error;
+const hasFfmpeg = !spawnSync('ffmpeg', ['-version']).error;
+
+// Folder layout shared by the tests: <tmp>/videos/a.mp4 and <tmp>/secret.txt outside of it
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cortes-security-'));
+const videosDir = path.join(root, 'videos');
+fs.mkdirSync(path.join(videosDir, 'sub'), { recursive: true });
+fs.writeFileSync(path.join(videosDir, 'a.mp4'), 'x');
+fs.writeFileSync(path.join(root, 'secret.txt'), 'secret');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('resolveInside keeps plain names inside the folder', () => {
+    assert.strictEqual(security.resolveInside(videosDir, 'a.mp4'), path.join(videosDir, 'a.mp4'));
+    assert.strictEqual(security.resolveInside(videosDir, 'sub/b.mp4'), path.join(videosDir, 'sub', 'b.mp4'));
+    // Not existing yet is fine, the route answers 404 for that
+    assert.strictEqual(security.resolveInside(videosDir, 'missing.mp4'), path.join(videosDir, 'missing.mp4'));
+});
+
+test('resolveInside rejects traversal', () => {
+    [
+        '../secret.txt',
+        '../../etc/passwd',
+        'sub/../../secret.txt',
+        './../secret.txt',
+        '..',
+        '.',
+        'sub/..',
+        '/etc/passwd',
+        path.join(root, 'secret.txt')
+    ].forEach(name => assert.strictEqual(security.resolveInside(videosDir, name), null, name));
+});
+
+test('resolveInside rejects NUL bytes, empty and non-string names', () => {
+    ['a.mp4\0.txt', '', '   ', null, undefined, 42, ['a.mp4'], { name: 'a.mp4' }]
+        .forEach(name => assert.strictEqual(security.resolveInside(videosDir, name), null, String(name)));
+});
+
+test('resolveInside rejects symlinks that leave the folder', (t) => {
+    const link = path.join(videosDir, 'link.mp4');
+    try {
+        fs.symlinkSync(path.join(root, 'secret.txt'), link);
+    } catch (error) {
+        t.skip(`symlinks not available: ${error.message}`);
+        return;
+    }
+    assert.strictEqual(security.resolveInside(videosDir, 'link.mp4'), null);
+});
+
+test('uploadFilename never reuses the client name', () => {
+    [
+        '../../server.js.mp4',
+        '..\\..\\evil.mp4',
+        '<img src=x onerror=alert(1)>.mp4',
+        'a"; rm -rf ~; ".mov',
+        '$(touch pwned).MKV',
+        '/etc/cron.d/job.avi'
+    ].forEach(name => {
+        const stored = security.uploadFilename(name);
+        assert.match(stored, /^\d+-[0-9a-f]{12}\.(mp4|mov|mkv|avi)$/, name);
+    });
+});
+
+test('uploadFilename refuses anything that is not a video', () => {
+    ['evil.sh', 'page.html', 'video.mp4.exe', 'noextension', '', null, '.mp4\0.sh']
+        .forEach(name => assert.strictEqual(security.uploadFilename(name), null, String(name)));
+});
+
+test('sniffVideo refuses a file that only has a video extension', async (t) => {
+    if (!hasFfprobe) return t.skip('ffprobe is not installed');
+    const fake = path.join(root, 'fake.mp4');
+    fs.writeFileSync(fake, '#!/bin/sh\necho pwned\n');
+    await assert.rejects(security.sniffVideo(fake), { message: 'The file could not be read as a video.' });
+});
+
+test('sniffVideo accepts a real video', async (t) => {
+    if (!hasFfprobe || !hasFfmpeg) return t.skip('ffmpeg and ffprobe are not installed');
+    const video = path.join(root, 'tiny.mp4');
+    execFileSync('ffmpeg', ['-v', 'error', '-f', 'lavfi', '-i', 'testsrc=duration=1:size=64x64:rate=10', '-pix_fmt', 'yuv420p', '-y', video]);
+    const probe = await security.sniffVideo(video);
+    assert.ok(parseFloat(probe.format.duration) > 0);
+});
+
+test('sniffVideo tells a missing ffprobe apart from a file that is not a video', async (t) => {
+    const probe = t.mock.method(videoProcessor, 'probeMediaAsync', async () => {
+        const error = new Error('Failed to probe a.mp4: spawn ffprobe ENOENT');
+        error.code = 'ENOENT';
+        throw error;
+    });
+    await assert.rejects(security.sniffVideo('a.mp4'), { message: 'ffprobe is not available, uploads cannot be checked.', unavailable: true });
+
+    probe.mock.mockImplementation(async () => { throw new Error('Failed to probe a.mp4: Invalid data found when processing input'); });
+    await assert.rejects(security.sniffVideo('a.mp4'), error => error.message === 'The file could not be read as a video.' && !error.unavailable);
+
+    // A cover image is not a video stream
+    probe.mock.mockImplementation(async () => ({ format: { duration: '3.0' }, streams: [{ codec_type: 'video', disposition: { attached_pic: 1 } }] }));
+    await assert.rejects(security.sniffVideo('a.mp3'), { message: 'The file has no video stream.' });
+
+    probe.mock.mockImplementation(async () => ({ format: {}, streams: [{ codec_type: 'video' }] }));
+    await assert.rejects(security.sniffVideo('a.mp4'), { message: 'The file has no duration.' });
+});
+
+test('isAuthorized checks the token from the header, the cookie or the query', () => {
+    const settings = { token: 's3cret', user: '', password: '' };
+    const request = (headers = {}, query = {}) => ({ headers, query });
+    assert.strictEqual(security.isAuthorized(request(), settings), false);
+    assert.strictEqual(security.isAuthorized(request({ authorization: 'Bearer wrong' }), settings), false);
+    assert.strictEqual(security.isAuthorized(request({ authorization: 'Bearer s3cret' }), settings), true);
+    assert.strictEqual(security.isAuthorized(request({ cookie: 'a=1; auth_token=s3cret' }), settings), true);
+    assert.strictEqual(security.isAuthorized(request({ cookie: 'auth_token=%E0%A4%A' }), settings), false);
+    assert.strictEqual(security.isAuthorized(request({}, { token: 's3cret' }), settings), true);
+    assert.strictEqual(security.isAuthorized(request({}, { token: ['s3cret'] }), settings), false);
+});
+
+test('isAuthorized checks basic auth user and password', () => {
+    const settings = { token: '', user: 'editor', password: 'pa:ss' };
+    const basic = value => ({ headers: { authorization: `Basic ${Buffer.from(value).toString('base64')}` }, query: {} });
+    assert.strictEqual(security.isAuthorized(basic('editor:pa:ss'), settings), true);
+    assert.strictEqual(security.isAuthorized(basic('editor:wrong'), settings), false);
+    assert.strictEqual(security.isAuthorized(basic('other:pa:ss'), settings), false);
+    assert.strictEqual(security.isAuthorized(basic('editorpass'), settings), false);
+    assert.strictEqual(security.isAuthorized({ headers: {}, query: {} }, settings), false);
+});
+
+test('no credentials configured leaves the server open', () => {
+    const settings = { token: '', user: '', password: '' };
+    assert.strictEqual(security.authMode(settings), null);
+    assert.strictEqual(security.isAuthorized({ headers: {}, query: {} }, settings), true);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const silence = require('../src/services/silence');
+
+// One silence from 2s to 5s in a 10s recording
+const SILENCES = [{ start: 2, end: 5 }];
+const settings = (overrides) => ({ mode: 'remove', padding: 0.1, keepSilenceMs: 300, ...overrides });
+const round = (segments) => segments.map(({ start, end }) => [Math.round(start * 1000) / 1000, Math.round(end * 1000) / 1000]);
+
+test('remove keeps the padding on each side of a silence', () => {
+    assert.deepStrictEqual(round(silence.buildKeptSegments(SILENCES, 10, settings())), [[0, 2.1], [4.9, 10]]);
+    assert.deepStrictEqual(round(silence.buildKeptSegments(SILENCES, 10, settings({ padding: 0 }))), [[0, 2], [5, 10]]);
+});
+
+test('shorten leaves keepSilenceMs of each silence, whatever the padding', () => {
+    assert.deepStrictEqual(round(silence.buildKeptSegments(SILENCES, 10, settings({ mode: 'shorten', keepSilenceMs: 600 }))), [[0, 2.3], [4.7, 10]]);
+    // Below twice the padding too
+    assert.deepStrictEqual(round(silence.buildKeptSegments(SILENCES, 10, settings({ mode: 'shorten', keepSilenceMs: 100 }))), [[0, 2.05], [4.95, 10]]);
+    assert.deepStrictEqual(round(silence.buildKeptSegments(SILENCES, 10, settings({ mode: 'shorten', keepSilenceMs: 0, padding: 0.5 }))), [[0, 2], [5, 10]]);
+});
+
+test('a silence shorter than what shorten keeps is left whole', () => {
+    assert.deepStrictEqual(round(silence.buildKeptSegments(SILENCES, 10, settings({ mode: 'shorten', keepSilenceMs: 4000 }))), [[0, 10]]);
+});
+
+test('segments too short to keep are dropped and the edges stay inside the recording', () => {
+    const silences = [{ start: 0, end: 1 }, { start: 4, end: 6 }, { start: 6.05, end: 10 }];
+    assert.deepStrictEqual(round(silence.buildKeptSegments(silences, 10, settings({ padding: 0 }))), [[1, 4]]);
+    assert.deepStrictEqual(round(silence.buildKeptSegments([{ start: 9, end: 10 }], 10, settings())), [[0, 9.1]]);
+});
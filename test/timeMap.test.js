@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const timeMap = require('../src/services/timeMap');
+
+// Kept 0-2s, 5-8s and 10-12s of a 12s recording: the clean video is 0-2, 2-5 and 5-7s
+const map = timeMap.buildSegmentMap('/videos/talk.mp4', [{ start: 0, end: 2 }, { start: 5, end: 8 }, { start: 10, end: 12 }], 12);
+
+test('buildSegmentMap lays the kept segments end to end', () => {
+    assert.strictEqual(map.source, 'talk.mp4');
+    assert.strictEqual(map.cleanDuration, 7);
+    assert.deepStrictEqual(map.segments.map(seg => [seg.cleanStart, seg.cleanEnd]), [[0, 2], [2, 5], [5, 7]]);
+});
+
+test('cleanToOriginal maps a segment edge to the end of the earlier segment', () => {
+    assert.strictEqual(timeMap.cleanToOriginal(map, 0), 0);
+    assert.strictEqual(timeMap.cleanToOriginal(map, 2), 2);
+    assert.strictEqual(timeMap.cleanToOriginal(map, 2.5), 5.5);
+    assert.strictEqual(timeMap.cleanToOriginal(map, 5), 8);
+    assert.strictEqual(timeMap.cleanToOriginal(map, 6), 11);
+    // Past the end of the clean video: the end of the recording's last kept segment
+    assert.strictEqual(timeMap.cleanToOriginal(map, 9), 12);
+});
+
+test('originalToClean snaps times inside a removed silence to the next kept segment', () => {
+    assert.strictEqual(timeMap.originalToClean(map, 1), 1);
+    assert.strictEqual(timeMap.originalToClean(map, 3), 2);
+    assert.strictEqual(timeMap.originalToClean(map, 5), 2);
+    assert.strictEqual(timeMap.originalToClean(map, 6.5), 3.5);
+    assert.strictEqual(timeMap.originalToClean(map, 9), 5);
+    assert.strictEqual(timeMap.originalToClean(map, 13), 7);
+});
+
+test('cleanRangeToOriginalSegments splits a range at every removed silence', () => {
+    assert.deepStrictEqual(timeMap.cleanRangeToOriginalSegments(map, 1, 6), [
+        { start: 1, end: 2 },
+        { start: 5, end: 8 },
+        { start: 10, end: 11 }
+    ]);
+    // Starting exactly on an edge does not produce an empty piece of the earlier segment
+    assert.deepStrictEqual(timeMap.cleanRangeToOriginalSegments(map, 2, 3), [{ start: 5, end: 6 }]);
+    // Slivers under 10ms are dropped
+    assert.deepStrictEqual(timeMap.cleanRangeToOriginalSegments(map, 2, 2.005), []);
+});
+
+test('mapClip gives the original span of a clip, also when it is too short to cut', () => {
+    assert.deepStrictEqual(timeMap.mapClip(map, 1, 6), { originalStart: 1, originalEnd: 11 });
+    assert.deepStrictEqual(timeMap.mapClip(map, 2, 2.005), { originalStart: 2, originalEnd: 5.005 });
+});
+
+test('an identity map leaves times unchanged', () => {
+    const identity = timeMap.buildIdentityMap('/videos/talk.mp4', 30);
+    assert.strictEqual(timeMap.cleanToOriginal(identity, 12.3), 12.3);
+    assert.strictEqual(timeMap.originalToClean(identity, 12.3), 12.3);
+    assert.deepStrictEqual(timeMap.mapClip(identity, 4, 9), { originalStart: 4, originalEnd: 9 });
+});
+
+test('originalRangeSegments clamps the kept segments to a range of the recording', () => {
+    assert.deepStrictEqual(timeMap.originalRangeSegments(map, 1, 11), [
+        { start: 1, end: 2 },
+        { start: 5, end: 8 },
+        { start: 10, end: 11 }
+    ]);
+    // A range inside a removed silence keeps nothing, touching an edge adds no empty piece
+    assert.deepStrictEqual(timeMap.originalRangeSegments(map, 2.5, 4.5), []);
+    assert.deepStrictEqual(timeMap.originalRangeSegments(map, 2, 5), []);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const videoProcessor = require('../src/services/videoProcessor');
+const analysisService = require('../src/services/analysis');
+const timeMap = require('../src/services/timeMap');
+const timelineExport = require('../src/services/timelineExport');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'cortes-timeline-'));
+const videoPath = path.join(tmp, 'ep.mp4');
+const analysisCachePath = path.join(tmp, 'ep_analysis.json');
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// A 29.97 fps recording whose clean cut dropped 5s-8s: clean 5s is original 8s
+function clipContext(t) {
+    t.mock.method(videoProcessor, 'probeMedia', () => ({
+        format: { duration: '40.0' },
+        streams: [
+            { codec_type: 'video', r_frame_rate: '30000/1001', avg_frame_rate: '30000/1001', width: 1920, height: 1080 },
+            { codec_type: 'audio', channels: 2, sample_rate: '48000' }
+        ]
+    }));
+    analysisService.saveAnalysisCache(analysisCachePath, {
+        moments: {
+            c3: { start: 30, end: 30.01, score: 7, rank: 3, titulo: 'Curto demais' },
+            c1: { start: 1, end: 2, score: 9, rank: 1, titulo: 'Abertura' },
+            c2: { start: 6, end: 7, score: 8, rank: 2, titulo: 'Lucro & <risco>' },
+            dropped: { start: 10, end: 20, score: 6, titulo: 'Descartado', review: 'rejected' }
+        },
+        failedChunks: []
+    });
+    return {
+        videoPath,
+        analysisCachePath,
+        baseName: 'ep',
+        originalTimeline: false,
+        segmentMap: timeMap.buildSegmentMap(videoPath, [{ start: 0, end: 5 }, { start: 8, end: 40 }], 40)
+    };
+}
+
+test('clips are rounded to whole source frames on the original timeline, never empty', (t) => {
+    const timeline = timelineExport.buildTimeline(clipContext(t));
+
+    assert.deepStrictEqual(timeline.source.rate, { num: 30000, den: 1001 });
+    assert.strictEqual(timeline.source.timebase, 30);
+    assert.strictEqual(timeline.source.ntsc, true);
+    assert.deepStrictEqual(timeline.clips.map(clip => [clip.key, clip.sourceIn, clip.sourceOut, clip.recordIn, clip.recordOut]), [
+        // 1s-2s at 29.97 is 29.97-59.94 frames
+        ['c1', 30, 60, 0, 30],
+        // Clean 6s-7s is original 9s-10s
+        ['c2', 270, 300, 30, 60],
+        // Original 33s-33.01s falls inside frame 989: the clip keeps one frame
+        ['c3', 989, 990, 60, 61]
+    ]);
+    assert.strictEqual(timeline.duration, 61);
+});
+
+test('framesToTimecode counts nominal frames, non-drop', () => {
+    const source = { timebase: 30 };
+    assert.strictEqual(timelineExport.framesToTimecode(0, source), '00:00:00:00');
+    assert.strictEqual(timelineExport.framesToTimecode(29, source), '00:00:00:29');
+    assert.strictEqual(timelineExport.framesToTimecode(30, source), '00:00:01:00');
+    assert.strictEqual(timelineExport.framesToTimecode(108000 + 1799, source), '01:00:59:29');
+});
+
+test('EDL events carry source and record timecodes starting at 01:00:00:00', (t) => {
+    const { filename, content, clipCount } = timelineExport.exportTimeline(clipContext(t), 'edl');
+    const events = content.split('\r\n').filter(line => /^\d{3} /.test(line));
+
+    assert.strictEqual(filename, 'ep_clips.edl');
+    assert.strictEqual(clipCount, 3);
+    assert.deepStrictEqual(events.map(line => line.split(/\s+/).slice(4)), [
+        ['00:00:01:00', '00:00:02:00', '01:00:00:00', '01:00:01:00'],
+        ['00:00:09:00', '00:00:10:00', '01:00:01:00', '01:00:02:00'],
+        ['00:00:32:29', '00:00:33:00', '01:00:02:00', '01:00:02:01']
+    ]);
+    assert.ok(content.includes('* COMMENT: Lucro & <risco> (#2, score 8)'));
+    assert.ok(!content.includes('Descartado'));
+});
+
+test('FCPXML times are exact rationals of the 1001/30000s frame', (t) => {
+    const { content } = timelineExport.exportTimeline(clipContext(t), 'fcpxml');
+
+    assert.ok(content.includes('<format id="r1" frameDuration="1001/30000s" width="1920" height="1080"/>'));
+    assert.ok(content.includes('<asset-clip ref="r2" name="Abertura" offset="0s" start="30030/30000s" duration="30030/30000s" tcFormat="NDF">'));
+    assert.ok(content.includes('name="Lucro &amp; &lt;risco&gt;" offset="30030/30000s" start="270270/30000s"'));
+    assert.ok(content.includes('<sequence format="r1" duration="61061/30000s"'));
+    assert.ok(content.includes('audioChannels="2" audioRate="48000"'));
+});
+
+test('XMEML clip items use frame counts at an NTSC timebase of 30', (t) => {
+    const { content, filename } = timelineExport.exportTimeline(clipContext(t), 'xmeml');
+
+    assert.strictEqual(filename, 'ep_clips.xml');
+    assert.ok(content.includes('<rate><timebase>30</timebase><ntsc>TRUE</ntsc></rate>'));
+    assert.match(content, /<clipitem id="video-3">[\s\S]*?<start>60<\/start>\s*<end>61<\/end>\s*<in>989<\/in>\s*<out>990<\/out>/);
+    assert.strictEqual((content.match(/<clipitem id="audio-/g) || []).length, 3);
+});
+
+test('unknown formats are refused', (t) => {
+    assert.throws(() => timelineExport.exportTimeline(clipContext(t), 'aaf'), /Unknown timeline format "aaf"/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const transcriptChunks = require('../src/services/transcriptChunks');
+
+// 30 cues of 4.5s, one every 5s (no pauses): a sentence ends every third cue (indexes 2, 5, 8...)
+const entries = Array.from({ length: 30 }, (_, i) => ({
+    startSeconds: i * 5,
+    endSeconds: i * 5 + 4.5,
+    text: i % 3 === 2 ? `fim da frase ${i}.` : `parte ${i}`
+}));
+const indexes = (chunk) => [entries.indexOf(chunk[0]), entries.indexOf(chunk[chunk.length - 1])];
+
+test('windows end on a sentence and the next one starts on a sentence inside the overlap', () => {
+    const chunks = transcriptChunks.chunkWithOverlap(entries, { minutes: 1, overlapSeconds: 20 });
+
+    // The first window could run to cue 12 (60s), it stops after the sentence ending at cue 11
+    assert.deepStrictEqual(chunks.map(indexes), [[0, 11], [9, 20], [18, 29]]);
+});
+
+test('a transcript shorter than a window is one chunk', () => {
+    assert.deepStrictEqual(transcriptChunks.chunkWithOverlap(entries.slice(0, 6), { minutes: 1, overlapSeconds: 20 }).map(indexes), [[0, 5]]);
+});
+
+test('the overlap must stay under half the window', () => {
+    assert.throws(() => transcriptChunks.chunkWithOverlap(entries, { minutes: 1, overlapSeconds: 30 }), /half the chunk length/);
+    assert.throws(() => transcriptChunks.chunkWithOverlap(entries, { minutes: 1, overlapSeconds: -1 }));
+    assert.doesNotThrow(() => transcriptChunks.chunkWithOverlap(entries, { minutes: 1, overlapSeconds: 0 }));
+});
+
+test('overlapRatio is the shared time over the combined span', () => {
+    assert.strictEqual(transcriptChunks.overlapRatio({ start: 0, end: 100 }, { start: 40, end: 100 }), 0.6);
+    assert.strictEqual(transcriptChunks.overlapRatio({ start: 0, end: 10 }, { start: 10, end: 20 }), 0);
+});
+
+test('mergeWindowMoments keeps a moment found by two windows once, from 0.6 overlap up', () => {
+    const merged = transcriptChunks.mergeWindowMoments([
+        { index: 0, moments: { c1: { start: 0, end: 100, score: 7 }, c2: { start: 300, end: 360, score: 8 } } },
+        // c1: same moment (exactly 0.6), better score. c2: 0.59 of c2 above, a different moment
+        { index: 1, moments: { c1: { start: 40, end: 100, score: 9 }, c2: { start: 301, end: 400, score: 6 } } }
+    ]);
+
+    assert.deepStrictEqual(Object.keys(merged), ['chunk1_c1', 'chunk0_c2', 'chunk1_c2']);
+    assert.deepStrictEqual(merged.chunk1_c1, { start: 40, end: 100, score: 9, foundInChunks: [0, 1] });
+    assert.deepStrictEqual(merged.chunk0_c2.foundInChunks, [0]);
+});
+
+test('mergeWindowMoments leaves overlaps inside one window alone', () => {
+    const merged = transcriptChunks.mergeWindowMoments([
+        { index: 0, moments: { c1: { start: 0, end: 60, score: 9 }, c2: { start: 0, end: 60, score: 8 } } }
+    ]);
+    assert.deepStrictEqual(Object.keys(merged), ['chunk0_c1', 'chunk0_c2']);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Chunks of 60s overlapping by 10s. The fixture is the transcript of one chunk of a recording that repeats
+// every 50s, so both chunks hear the same words: the cue at 51s is in the overlap of both.
+process.env.TRANSCRIPTION_PROVIDER = 'fake';
+process.env.FAKE_TRANSCRIPTION_SRT = path.join(__dirname, 'fixtures', 'chunk.srt');
+process.env.FAKE_TRANSCRIPTION_MAX_SECONDS = '60';
+process.env.TRANSCRIPTION_CHUNK_OVERLAP = '10';
+const videoProcessor = require('../src/services/videoProcessor');
+const transcription = require('../src/services/transcription');
+const { parseSRT } = require('../src/services/srt');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'cortes-transcription-'));
+const audioPath = path.join(tmp, 'audio.mp3');
+fs.writeFileSync(audioPath, 'x');
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test('chunked transcription through the fake provider is stitched on the full timeline', async (t) => {
+    // ffmpeg is not needed: the audio is 110s long and splits where splitAudio would split it
+    t.mock.method(videoProcessor, 'getDuration', () => 110);
+    const split = t.mock.method(videoProcessor, 'splitAudio', async () => [
+        { path: path.join(tmp, 'audio_part0.mp3'), offset: 0, duration: 60 },
+        { path: path.join(tmp, 'audio_part1.mp3'), offset: 50, duration: 60 }
+    ]);
+    const progress = [];
+
+    const result = await transcription.transcribeAudioDetailed(audioPath, { onProgress: update => progress.push(update) });
+
+    assert.deepStrictEqual(split.mock.calls[0].arguments.slice(2, 4), [60, 10]);
+    assert.deepStrictEqual(progress, [{ chunk: 1, totalChunks: 2 }, { chunk: 2, totalChunks: 2 }]);
+    const cues = parseSRT(result.srt).map(cue => [cue.startSeconds, cue.endSeconds, cue.text]);
+    assert.deepStrictEqual(cues, [
+        [1, 4, 'Bem-vindos ao episódio de hoje.'],
+        [12, 15.5, 'Vamos falar sobre cortes automáticos.'],
+        [25, 28, 'O primeiro passo é transcrever o áudio.'],
+        [38, 41.25, 'Depois a análise escolhe os melhores momentos.'],
+        // In the overlap (50s-60s): before its midpoint from the first chunk only...
+        [51, 54, 'Bem-vindos ao episódio de hoje.'],
+        // ...after it from the second one, shifted by its 50s offset
+        [62, 65.5, 'Vamos falar sobre cortes automáticos.'],
+        [75, 78, 'O primeiro passo é transcrever o áudio.'],
+        [88, 91.25, 'Depois a análise escolhe os melhores momentos.'],
+        [101, 104, 'Bem-vindos ao episódio de hoje.']
+    ]);
+    assert.strictEqual(result.words, null);
+});
+
+test('stitchChunks keeps each word of an overlap once', () => {
+    const cue = (start, text) => `00:00:0${start},000 --> 00:00:0${start},500\n${text}\n`;
+    // Overlap 6s-10s, midpoint 8s: "a" (7s) comes from the first chunk, "b" (9s) from the second
+    const chunks = [
+        { offset: 0, duration: 10, words: [['a', 7], ['b', 9]] },
+        { offset: 6, duration: 10, words: [['a', 1], ['b', 3], ['c', 5]] }
+    ].map(chunk => ({
+        offset: chunk.offset,
+        duration: chunk.duration,
+        language: 'pt',
+        srt: chunk.words.map(([word, start], i) => `${i + 1}\n${cue(start, word)}`).join('\n'),
+        words: chunk.words.map(([word, start]) => ({ word, start, end: start + 0.5 }))
+    }));
+
+    const result = transcription.stitchChunks(chunks);
+
+    assert.deepStrictEqual(result.words, [
+        { word: 'a', start: 7, end: 7.5 },
+        { word: 'b', start: 9, end: 9.5 },
+        { word: 'c', start: 11, end: 11.5 }
+    ]);
+    assert.deepStrictEqual(parseSRT(result.srt).map(entry => [entry.startSeconds, entry.text]), [[7, 'a'], [9, 'b'], [11, 'c']]);
+    assert.strictEqual(result.language, 'pt');
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { writeZip } = require('../src/services/zipArchive');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'cortes-zip-'));
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// Helper: Reference CRC-32, bit by bit
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Helper: Entries of the central directory, found through the end of central directory record
+function readCentralDirectory(zip) {
+    const end = zip.length - 22;
+    assert.strictEqual(zip.readUInt32LE(end), 0x06054b50);
+    const count = zip.readUInt16LE(end + 10);
+    const size = zip.readUInt32LE(end + 12);
+    let offset = zip.readUInt32LE(end + 16);
+    assert.strictEqual(offset + size, end, 'the central directory ends where the end record starts');
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(zip.readUInt32LE(offset), 0x02014b50);
+        const nameLength = zip.readUInt16LE(offset + 28);
+        const extraLength = zip.readUInt16LE(offset + 30);
+        entries.push({
+            flags: zip.readUInt16LE(offset + 8),
+            crc: zip.readUInt32LE(offset + 16),
+            compressedSize: zip.readUInt32LE(offset + 20),
+            size: zip.readUInt32LE(offset + 24),
+            extraLength,
+            localOffset: zip.readUInt32LE(offset + 42),
+            name: zip.toString('utf8', offset + 46, offset + 46 + nameLength)
+        });
+        offset += 46 + nameLength + extraLength + zip.readUInt16LE(offset + 32);
+    }
+    return entries;
+}
+
+test('writeZip stores UTF-8 names, sizes and CRCs that read back from the central directory', async () => {
+    const small = Buffer.from('Olá, mundo!\n', 'utf8');
+    // Larger than one read stream chunk (64 KB): the CRC carries over between chunks
+    const large = Buffer.alloc(200 * 1024 + 7, 0);
+    for (let i = 0; i < large.length; i++) large[i] = (i * 31 + (i >> 10)) & 0xff;
+    fs.writeFileSync(path.join(tmp, 'small.txt'), small);
+    fs.writeFileSync(path.join(tmp, 'large.bin'), large);
+    const zipPath = path.join(tmp, 'out.zip');
+    const output = fs.createWriteStream(zipPath);
+
+    const written = await writeZip([
+        { name: 'vídeo_ção/legendas.txt', path: path.join(tmp, 'small.txt') },
+        { name: 'vídeo_ção\\clips\\grande.bin', path: path.join(tmp, 'large.bin') }
+    ], output);
+    await once(output, 'close');
+
+    const zip = fs.readFileSync(zipPath);
+    assert.strictEqual(written, zip.length);
+    const entries = readCentralDirectory(zip);
+    assert.deepStrictEqual(entries.map(entry => entry.name), ['vídeo_ção/legendas.txt', 'vídeo_ção/clips/grande.bin']);
+
+    [small, large].forEach((data, i) => {
+        const entry = entries[i];
+        // Bit 11: the names are UTF-8, bit 3: a data descriptor follows the data
+        assert.strictEqual(entry.flags & 0x0800, 0x0800);
+        assert.strictEqual(entry.flags & 0x0008, 0x0008);
+        assert.strictEqual(entry.extraLength, 0, 'no ZIP64 records below 4 GB');
+        assert.strictEqual(entry.size, data.length);
+        assert.strictEqual(entry.compressedSize, data.length);
+        assert.strictEqual(entry.crc, crc32(data));
+
+        // The local header it points at, the stored bytes and the data descriptor after them
+        const local = entry.localOffset;
+        assert.strictEqual(zip.readUInt32LE(local), 0x04034b50);
+        const dataStart = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+        assert.strictEqual(zip.toString('utf8', local + 30, local + 30 + zip.readUInt16LE(local + 26)), entry.name);
+        assert.ok(zip.subarray(dataStart, dataStart + data.length).equals(data));
+        const descriptor = dataStart + data.length;
+        assert.strictEqual(zip.readUInt32LE(descriptor), 0x08074b50);
+        assert.deepStrictEqual(
+            [zip.readUInt32LE(descriptor + 4), zip.readUInt32LE(descriptor + 8), zip.readUInt32LE(descriptor + 12)],
+            [crc32(data), data.length, data.length]
+        );
+    });
+});
+
+test('an empty archive is just the end of central directory record', async () => {
+    const zipPath = path.join(tmp, 'empty.zip');
+    const output = fs.createWriteStream(zipPath);
+
+    await writeZip([], output);
+    await once(output, 'close');
+
+    const zip = fs.readFileSync(zipPath);
+    assert.strictEqual(zip.length, 22);
+    assert.deepStrictEqual(readCentralDirectory(zip), []);
+});